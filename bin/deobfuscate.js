@@ -1,32 +1,106 @@
 #!/usr/bin/env node
 import {REstringer} from '../src/restringer.js';
-import {parseArgs} from '../src/utils/parseArgs.js';
+import {parseArgs, STDIN_FILENAME} from '../src/utils/parseArgs.js';
+import {formatSummaryTable, runBatch} from '../src/utils/runBatch.js';
+import {createReport} from '../src/utils/createReport.js';
+import {listModules} from '../src/utils/configureRestringer.js';
+import {findConfigFile, loadConfig, mergeConfig} from '../src/utils/loadConfig.js';
+import {expandInputPaths} from '../src/utils/expandInputPaths.js';
+import {writeBundle, writeOutput} from '../src/utils/writeOutput.js';
+import {addSourceMappingUrl, toDataUrl} from '../src/utils/sourceMap.js';
+
+/**
+ * @return {Promise<string>} Everything written to stdin until it is closed.
+ */
+async function readStdin() {
+	const chunks = [];
+	for await (const chunk of process.stdin) chunks.push(chunk);
+	return Buffer.concat(chunks).toString('utf-8');
+}
 
 try {
-	const args = parseArgs(process.argv.slice(2));
-	
+	const cliArgs = parseArgs(process.argv.slice(2));
+
 	// Skip processing if help was displayed
-	if (args.help) process.exit(0);
-	
-	const fs = await import('node:fs');
-	let content = fs.readFileSync(args.inputFilename, 'utf-8');
+	if (cliArgs.help) process.exit(0);
+
+	// Command line options take precedence over the configuration file
+	const args = mergeConfig(loadConfig(cliArgs.config || findConfigFile()), cliArgs);
+
+	if (args.listModules) {
+		console.log(listModules(new REstringer('', undefined, args)));
+		process.exit(0);
+	}
+
+	if (!args.inputFilenames.length) throw new Error('missing required argument \'input_filename\'');
+	const readFromStdin = args.inputFilenames.includes(STDIN_FILENAME);
+	if (readFromStdin && (args.inputFilenames.length > 1 || args.outDir)) {
+		throw new Error('Reading from stdin cannot be combined with other input files or --out-dir');
+	}
+	const inputFilenames = readFromStdin ? [STDIN_FILENAME] : expandInputPaths(args.inputFilenames);
+	// Directories, glob patterns, multiple files or an output directory mean batch mode
+	const isBatch = inputFilenames.length > 1 || inputFilenames[0] !== args.inputFilename || !!args.outDir;
+
+	if (isBatch) {
+		if (args.unpackBundleDir) throw new Error('--unpack-bundle cannot be used with multiple input files or --out-dir');
+		if (args.outputToFile && args.outputFilename !== `${args.inputFilename}-deob.js`) {
+			throw new Error('An output filename cannot be used with multiple input files. Use --out-dir instead');
+		}
+		// Fail on invalid options before starting the workers
+		new REstringer('', undefined, args);
+		// When printing a report, stdout is reserved for it
+		const log = args.quiet ? () => {} : args.report ? console.error : console.log;
+		log(`[!] REstringer v${REstringer.__version__}`);
+		log(`[!] Deobfuscating ${inputFilenames.length} files...`);
+		if (args.sandbox?.seed !== undefined) log(`[!] Sandbox seed is ${args.sandbox.seed}`);
+		const startTime = Date.now();
+		const results = await runBatch(inputFilenames, args, result => {
+			if (args.verbose) log(`\t[${result.error ? '-' : '+'}] ${result.inputFilename} done in ${result.seconds} seconds`);
+		});
+		log(formatSummaryTable(results));
+		log(`[!] Deobfuscation of ${results.length} files took ${(Date.now() - startTime) / 1000} seconds.`);
+		if (args.report) {
+			console.log(JSON.stringify(results.map(r => r.report || {inputFilename: r.inputFilename, error: r.error}), null, 2));
+		}
+	} else {
+		const fs = await import('node:fs');
+		let content = readFromStdin ? await readStdin() : fs.readFileSync(args.inputFilename, 'utf-8');
 		const startTime = Date.now();
 
-		const restringer = new REstringer(content);
+		const restringer = new REstringer(content, undefined, args);
 		if (args.quiet) restringer.logger.setLogLevelNone();
 		else if (args.verbose) restringer.logger.setLogLevelDebug();
+		// Keep stdout clean for the next command in the pipeline, or for the report
+		if (readFromStdin || args.report) restringer.logger.setLogFunc(console.error);
 		restringer.logger.log(`[!] REstringer v${REstringer.__version__}`);
-		restringer.logger.log(`[!] Deobfuscating ${args.inputFilename}...`);
-		if (args.maxIterations) {
-			restringer.maxIterations.value = args.maxIterations;
-			restringer.logger.log(`[!] Running at most ${args.maxIterations} iterations`);
-		}
-		if (restringer.deobfuscate()) {
+		restringer.logger.log(`[!] Deobfuscating ${readFromStdin ? 'stdin' : args.inputFilename}...`);
+		if (args.maxIterations) restringer.logger.log(`[!] Running at most ${args.maxIterations} iterations`);
+		if (restringer.sandboxOptions.seed !== undefined) restringer.logger.log(`[!] Sandbox seed is ${restringer.sandboxOptions.seed}`);
+		restringer.generateSourceMap = args.sourceMap;
+		if (args.unpackBundleDir) restringer.unpackBundles = true;
+		const modified = restringer.deobfuscate();
+		const seconds = (Date.now() - startTime) / 1000;
+		if (modified) {
 			restringer.logger.log(`[+] Saved ${args.outputFilename}`);
-			restringer.logger.log(`[!] Deobfuscation took ${(Date.now() - startTime) / 1000} seconds.`);
-			if (args.outputToFile) fs.writeFileSync(args.outputFilename, restringer.script, {encoding: 'utf-8'});
-			else console.log(restringer.script);
+			restringer.logger.log(`[!] Deobfuscation took ${seconds} seconds.`);
+			const source = readFromStdin ? 'stdin' : args.inputFilename;
+			if (args.outputToFile) {
+				writeOutput(restringer, {inputFilename: source, outputFilename: args.outputFilename, sourceMap: args.sourceMap});
+			} else if (!args.report) {
+				// Without an output file, the source map is inlined into the script
+				console.log(args.sourceMap ?
+					addSourceMappingUrl(restringer.script, toDataUrl(restringer.getSourceMap({source}))) : restringer.script);
+			}
 		} else restringer.logger.log(`[-] Nothing was deobfuscated  ¯\\_(ツ)_/¯`);
+		if (args.unpackBundleDir && restringer.bundle) {
+			const written = writeBundle(restringer.bundle, args.unpackBundleDir);
+			restringer.logger.log(`[+] Saved ${written.length} modules and their manifest to ${args.unpackBundleDir}`);
+		}
+		if (args.report) {
+			const inputFilename = readFromStdin ? STDIN_FILENAME : args.inputFilename;
+			console.log(JSON.stringify(createReport(restringer, {inputFilename, inputScript: content, modified, seconds}), null, 2));
+		}
+	}
 } catch (e) {
 	console.error(`[-] Critical Error: ${e}`);
 }
@@ -9,6 +9,18 @@ export const DEFAULT_MAX_ITERATIONS = {
 	valueOf() {return this.value--;},
 };
 
+/**
+ * @param {number} [value] Defaults to DEFAULT_MAX_ITERATIONS.value
+ * @return {Object} A new iterations counter which behaves like DEFAULT_MAX_ITERATIONS,
+ *                  so that each REstringer instance decrements its own counter.
+ */
+export function createMaxIterations(value = DEFAULT_MAX_ITERATIONS.value) {
+	return {
+		value,
+		valueOf() {return this.value--;},
+	};
+}
+
 export const PROPERTIES_THAT_MODIFY_CONTENT = [
 	'push', 'forEach', 'pop', 'insert', 'add', 'set', 'delete', 'shift', 'unshift', 'splice',
 	'sort', 'reverse', 'fill', 'copyWithin'
@@ -24,4 +36,24 @@ export const SKIP_IDENTIFIERS = [
 export const SKIP_PROPERTIES = [
 	'test', 'exec', 'match', 'length', 'freeze', 'call', 'apply', 'create', 'getTime', 'now',
 	'getMilliseconds', ...PROPERTIES_THAT_MODIFY_CONTENT,
-];
\ No newline at end of file
+];
+
+/**
+ * Runs a function while SKIP_IDENTIFIERS and SKIP_PROPERTIES hold the given lists,
+ * restoring their previous content once the function returns.
+ * @param {Object} lists
+ * @param {string[]} [lists.skipIdentifiers] Defaults to the current SKIP_IDENTIFIERS.
+ * @param {string[]} [lists.skipProperties] Defaults to the current SKIP_PROPERTIES.
+ * @param {Function} func
+ * @return {*} The function's return value.
+ */
+export function runWithSkipLists({skipIdentifiers = SKIP_IDENTIFIERS, skipProperties = SKIP_PROPERTIES}, func) {
+	const previousIdentifiers = SKIP_IDENTIFIERS.splice(0, SKIP_IDENTIFIERS.length, ...skipIdentifiers);
+	const previousProperties = SKIP_PROPERTIES.splice(0, SKIP_PROPERTIES.length, ...skipProperties);
+	try {
+		return func();
+	} finally {
+		SKIP_IDENTIFIERS.splice(0, SKIP_IDENTIFIERS.length, ...previousIdentifiers);
+		SKIP_PROPERTIES.splice(0, SKIP_PROPERTIES.length, ...previousProperties);
+	}
+}
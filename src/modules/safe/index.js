@@ -22,9 +22,11 @@ export const resolveProxyCalls = await import('./resolveProxyCalls.js');
 export const resolveProxyReferences = await import('./resolveProxyReferences.js');
 export const resolveProxyVariables = await import('./resolveProxyVariables.js');
 export const resolveRedundantLogicalExpressions = await import('./resolveRedundantLogicalExpressions.js');
+export const resolveStorageObjects = await import('./resolveStorageObjects.js');
 export const separateChainedDeclarators = await import('./separateChainedDeclarators.js');
 export const simplifyCalls = await import('./simplifyCalls.js');
 export const simplifyIfStatements = await import('./simplifyIfStatements.js');
+export const unflattenControlFlow = await import('./unflattenControlFlow.js');
 export const unwrapFunctionShells = await import('./unwrapFunctionShells.js');
 export const unwrapIIFEs = await import('./unwrapIIFEs.js');
 export const unwrapSimpleOperations = await import('./unwrapSimpleOperations.js');
\ No newline at end of file
@@ -0,0 +1,217 @@
+import {isNodeInRanges} from '../utils/isNodeInRanges.js';
+
+const BINARY_EXPRESSION_TYPES = ['BinaryExpression', 'LogicalExpression'];
+const FUNCTION_TYPES = ['FunctionExpression', 'ArrowFunctionExpression'];
+// Arguments which can be skipped by a short-circuiting operator without losing any side effects
+const SIDE_EFFECT_FREE_TYPES = ['Literal', 'Identifier'];
+
+/**
+ * @param {ASTNode} n A Property or a MemberExpression
+ * @param {string} keyField The field holding the key, 'key' for properties and 'property' for member expressions
+ * @return {string|null} The key as a string, or null if it cannot be determined statically.
+ */
+function getKey(n, keyField) {
+	const key = n[keyField];
+	if (n.computed) return key.type === 'Literal' && !key.regex ? String(key.value) : null;
+	if (key.type === 'Identifier') return key.name;
+	return key.type === 'Literal' ? String(key.value) : null;
+}
+
+/**
+ * @param {ASTNode} func
+ * @return {ASTNode|null} The expression the function returns, if that is all the function does.
+ */
+function getReturnedExpression(func) {
+	if (func.type === 'ArrowFunctionExpression' && func.expression) return func.body;
+	const body = func.body.body;
+	return body?.length === 1 && body[0].type === 'ReturnStatement' ? body[0].argument : null;
+}
+
+/**
+ * @param {ASTNode[]} params
+ * @param {ASTNode[]} nodes
+ * @return {boolean} True if the nodes are references to the params, in the same order.
+ */
+function areParamsInOrder(params, nodes) {
+	return params.length === nodes.length && nodes.every((n, i) => n.type === 'Identifier' && n.declNode === params[i]);
+}
+
+/**
+ * A proxy function only applies an operation to its params, using each once and in the order they were given:
+ * function(a, b) {return a + b;} or function(a, b, c) {return a(b, c);}
+ * so that calls to it can be replaced with the operation without changing the order in which arguments are evaluated.
+ * @param {ASTNode} func
+ * @return {string|null} 'binary' or 'call' for proxy functions, or null for other functions.
+ */
+function getProxyKind(func) {
+	if (func.async || func.generator || !func.params.every(p => p.type === 'Identifier')) return null;
+	const returned = getReturnedExpression(func);
+	if (BINARY_EXPRESSION_TYPES.includes(returned?.type) && areParamsInOrder(func.params, [returned.left, returned.right])) {
+		return 'binary';
+	}
+	if (returned?.type === 'CallExpression' && !returned.optional &&
+		areParamsInOrder(func.params, [returned.callee, ...returned.arguments])) {
+		return 'call';
+	}
+	return null;
+}
+
+/**
+ * @param {ASTNode} objectExpression
+ * @return {Map<string, {value: ASTNode, kind: string}>|null} The object's members by key, where kind is 'literal',
+ *   'binary' or 'call'. Null if any of the properties is neither a literal nor a proxy function.
+ */
+function getStorageMembers(objectExpression) {
+	const members = new Map();
+	for (let i = 0; i < objectExpression.properties.length; i++) {
+		const prop = objectExpression.properties[i];
+		if (prop.type !== 'Property' || prop.kind !== 'init') return null;
+		const key = getKey(prop, 'key');
+		if (key === null || members.has(key)) return null;
+		let kind = null;
+		if (prop.value.type === 'Literal' && !prop.value.regex) kind = 'literal';
+		else if (FUNCTION_TYPES.includes(prop.value.type)) kind = getProxyKind(prop.value);
+		if (!kind) return null;
+		members.set(key, {value: prop.value, kind});
+	}
+	return members;
+}
+
+/**
+ * @param {ASTNode} memberExpression A member of a storage object which holds a literal
+ * @return {boolean} True if the member is only read.
+ */
+function isReadOnly(memberExpression) {
+	const parent = memberExpression.parentNode;
+	if (parent.type === 'AssignmentExpression' && memberExpression.parentKey === 'left') return false;
+	if (parent.type === 'UpdateExpression') return false;
+	if (parent.type === 'UnaryExpression' && parent.operator === 'delete') return false;
+	return !(parent.type === 'CallExpression' && memberExpression.parentKey === 'callee');
+}
+
+/**
+ * @param {ASTNode} call A call to a storage object's proxy function
+ * @param {ASTNode} func The proxy function
+ * @param {string} kind
+ * @return {boolean} True if the call can be replaced with the operation. Calls where the called argument is a member
+ *   expression are not, since calling it directly would change the value of `this` for the called function.
+ *   Neither are calls to logical operations whose right argument may have side effects, since the call always
+ *   evaluates it while the operation may short-circuit.
+ */
+function isReplaceableCall(call, func, kind) {
+	if (call.optional || call.arguments.length !== func.params.length) return false;
+	if (call.arguments.some(arg => arg.type === 'SpreadElement')) return false;
+	if (kind === 'binary' && getReturnedExpression(func).type === 'LogicalExpression' &&
+		!SIDE_EFFECT_FREE_TYPES.includes(call.arguments[1].type)) return false;
+	return kind !== 'call' || !['MemberExpression', 'ChainExpression'].includes(call.arguments[0].type);
+}
+
+/**
+ * @param {Object} member
+ * @param {ASTNode} memberExpression
+ * @return {{node: ASTNode, replacement: ASTNode}|null} The node which replaces the reference to the member,
+ *   and what it is replaced with. Null if the reference cannot be replaced.
+ */
+function getReplacement(member, memberExpression) {
+	if (member.kind === 'literal') {
+		if (!isReadOnly(memberExpression)) return null;
+		const {type, value, raw} = member.value;
+		return {node: memberExpression, replacement: {type, value, raw}};
+	}
+	const call = memberExpression.parentNode;
+	if (call.type !== 'CallExpression' || memberExpression.parentKey !== 'callee' ||
+		!isReplaceableCall(call, member.value, member.kind)) return null;
+	const args = call.arguments;
+	if (member.kind === 'binary') {
+		const {type, operator} = getReturnedExpression(member.value);
+		return {node: call, replacement: {type, operator, left: args[0], right: args[1]}};
+	}
+	return {node: call, replacement: {type: 'CallExpression', callee: args[0], arguments: args.slice(1), optional: false}};
+}
+
+/**
+ * Find objects which only hold literals and proxy functions, and are only used by reading those literals
+ * and calling those functions.
+ *
+ * @param {Arborist} arb
+ * @param {Function} [candidateFilter] a filter to apply on the candidates list. Defaults to true.
+ * @return {Object[]} Array of {declarator, replacements} objects, with the replacement for every reference to the object.
+ */
+export function resolveStorageObjectsMatch(arb, candidateFilter = () => true) {
+	const relevantNodes = arb.ast[0].typeMap.VariableDeclarator;
+	const matches = [];
+
+	for (let i = 0; i < relevantNodes.length; i++) {
+		const n = relevantNodes[i];
+		if (n.id.type !== 'Identifier' || n.init?.type !== 'ObjectExpression' || !n.id.references?.length ||
+			!['body', 'consequent'].includes(n.parentNode.parentKey) || !candidateFilter(n)) continue;
+		const members = getStorageMembers(n.init);
+		if (!members) continue;
+		const replacements = [];
+		for (let j = 0; j < n.id.references.length; j++) {
+			const ref = n.id.references[j];
+			const memberExpression = ref.parentNode;
+			// References which come before the declaration would not see the object's values
+			if (memberExpression.type !== 'MemberExpression' || ref.parentKey !== 'object' ||
+				ref.range[0] < n.range[1]) break;
+			const key = getKey(memberExpression, 'property');
+			const replacement = members.has(key) ? getReplacement(members.get(key), memberExpression) : null;
+			if (!replacement) break;
+			replacements.push(replacement);
+		}
+		if (replacements.length === n.id.references.length) matches.push({declarator: n, replacements});
+	}
+	return matches;
+}
+
+/**
+ * Replace every reference to the storage object with the value or operation it stands for, and remove the object.
+ * References in the arguments of a replaced call are replaced in a later pass, and the object is only removed then.
+ *
+ * @param {Arborist} arb
+ * @param {Object} match
+ * @return {Arborist}
+ */
+export function resolveStorageObjectsTransform(arb, match) {
+	const {declarator, replacements} = match;
+	const replacedRanges = [];
+	// Outer calls come first, so that the calls nested in their arguments are skipped
+	const ordered = [...replacements].sort((a, b) => a.node.range[0] - b.node.range[0]);
+	for (let i = 0; i < ordered.length; i++) {
+		const {node, replacement} = ordered[i];
+		if (isNodeInRanges(node, replacedRanges)) continue;
+		arb.markNode(node, replacement);
+		replacedRanges.push(node.range);
+	}
+	if (replacedRanges.length === replacements.length) {
+		const declaration = declarator.parentNode;
+		arb.markNode(declaration.declarations.length === 1 ? declaration : declarator);
+	}
+	return arb;
+}
+
+/**
+ * Inline the members of storage objects - objects which hold strings and proxy functions for simple operations,
+ * as javascript-obfuscator creates to hide the operations and strings of a function.
+ * The object is only resolved if it is never mutated and every reference to it can be replaced, after which it is removed.
+ *
+ * Example transformation:
+ *   const o = {'abc': function(a, b) {return a + b;}, 'def': function(a, b) {return a(b);}, 'ghi': 'log'};
+ *   o['def'](print, o['abc'](1, 2));
+ *   console[o['ghi']]('done');
+ *
+ * Becomes:
+ *   print(1 + 2);
+ *   console['log']('done');
+ *
+ * @param {Arborist} arb
+ * @param {Function} [candidateFilter] a filter to apply on the candidates list. Defaults to true.
+ * @return {Arborist}
+ */
+export default function resolveStorageObjects(arb, candidateFilter = () => true) {
+	const matches = resolveStorageObjectsMatch(arb, candidateFilter);
+	for (let i = 0; i < matches.length; i++) {
+		arb = resolveStorageObjectsTransform(arb, matches[i]);
+	}
+	return arb;
+}
@@ -0,0 +1,284 @@
+import {getDescendants} from '../utils/getDescendants.js';
+import {isNodeInRanges} from '../utils/isNodeInRanges.js';
+
+// Dispatchers which take more steps than this are assumed to loop forever
+const MAX_DISPATCHES = 1000;
+const LOOP_TYPES = ['WhileStatement', 'DoWhileStatement', 'ForStatement', 'ForInStatement', 'ForOfStatement'];
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'];
+const EXIT_TYPES = ['ReturnStatement', 'ThrowStatement'];
+
+/**
+ * @param {ASTNode} n A loop's test
+ * @return {boolean} True if the test is missing or always truthy. E.g. true, 1, !![], !0
+ */
+function isAlwaysTruthy(n) {
+	if (!n) return true;
+	if (n.type === 'Literal') return !!n.value;
+	if (n.type === 'UnaryExpression' && n.operator === '!') {
+		const arg = n.argument;
+		return (arg.type === 'Literal' && !arg.value) ||
+			(arg.type === 'UnaryExpression' && arg.operator === '!' && ['ArrayExpression', 'ObjectExpression'].includes(arg.argument.type));
+	}
+	return false;
+}
+
+/**
+ * @param {ASTNode} loop A while or for loop
+ * @return {{switchNode: ASTNode, exitsAfterSwitch: boolean}|null} The switch statement the loop consists of,
+ *   and whether it is followed by a break which exits the loop once the switch is done. Null if the loop has other statements.
+ */
+function getLoopSwitch(loop) {
+	if (loop.type === 'ForStatement' && (loop.init || loop.update)) return null;
+	const statements = loop.body.type === 'BlockStatement' ? loop.body.body : [loop.body];
+	if (statements[0]?.type !== 'SwitchStatement') return null;
+	if (statements.length === 1) return {switchNode: statements[0], exitsAfterSwitch: false};
+	if (statements.length === 2 && statements[1].type === 'BreakStatement' && !statements[1].label) {
+		return {switchNode: statements[0], exitsAfterSwitch: true};
+	}
+	return null;
+}
+
+/**
+ * @param {ASTNode} n
+ * @return {ASTNode|null} The declarator of the identifier, if it is declared with an initial value
+ *   by a declaration statement which can be removed.
+ */
+function getInitializedDeclarator(n) {
+	const declarator = n?.type === 'Identifier' ? n.declNode?.parentNode : null;
+	return declarator?.type === 'VariableDeclarator' && declarator.id === n.declNode && declarator.init &&
+		['body', 'consequent'].includes(declarator.parentNode.parentKey) ? declarator : null;
+}
+
+/**
+ * Parse a dispatcher which reads the order of the cases from a split string:
+ * var order = '3|1|0|2'.split('|'), i = 0; while (true) {switch (order[i++]) {...} break;}
+ * @param {ASTNode} loop
+ * @param {ASTNode} switchNode
+ * @return {Object|null} {keys, scaffolding}, where keys are the case tests in the order they are dispatched to,
+ *   and scaffolding are the declarators of the order and counter variables.
+ */
+function parseSplitStringDispatcher(loop, switchNode) {
+	const d = switchNode.discriminant;
+	if (d.type !== 'MemberExpression' || !d.computed || d.property.type !== 'UpdateExpression' ||
+		d.property.operator !== '++' || d.property.prefix || !isAlwaysTruthy(loop.test)) return null;
+	const orderDeclarator = getInitializedDeclarator(d.object);
+	const counterDeclarator = getInitializedDeclarator(d.property.argument);
+	const split = orderDeclarator?.init;
+	if (!counterDeclarator || typeof counterDeclarator.init.value !== 'number' ||
+		split?.type !== 'CallExpression' || split.callee.type !== 'MemberExpression' ||
+		split.callee.object.type !== 'Literal' || typeof split.callee.object.value !== 'string' ||
+		(split.callee.property.name || split.callee.property.value) !== 'split' ||
+		split.arguments.length !== 1 || split.arguments[0].type !== 'Literal' || typeof split.arguments[0].value !== 'string') return null;
+	// The dispatcher must be the only one using its variables
+	if (orderDeclarator.id.references?.length !== 1 || counterDeclarator.id.references?.length !== 1) return null;
+	return {
+		keys: split.callee.object.value.split(split.arguments[0].value).slice(counterDeclarator.init.value),
+		scaffolding: [orderDeclarator, counterDeclarator],
+	};
+}
+
+/**
+ * @param {ASTNode} n A statement in one of the switch's cases
+ * @param {ASTNode} stateId The identifier declaring the state variable
+ * @return {boolean} True if the statement sets the state variable to a literal. E.g. state = 3;
+ */
+function isTransition(n, stateId) {
+	return n.type === 'ExpressionStatement' && n.expression.type === 'AssignmentExpression' &&
+		n.expression.operator === '=' && n.expression.left.declNode === stateId && n.expression.right.type === 'Literal';
+}
+
+/**
+ * Parse a state machine dispatcher, whose cases set the state to the next case:
+ * var state = 0; while (state !== 3) {switch (state) {case 0: a(); state = 2; break; case 2: b(); state = 3; break;}}
+ * @param {ASTNode} loop
+ * @param {ASTNode} switchNode
+ * @return {Object|null} {initial, exit, hasExit, stateId, scaffolding}, where exit is the state which ends the loop if
+ *   hasExit is set, and scaffolding is the declarator of the state variable.
+ */
+function parseStateMachineDispatcher(loop, switchNode) {
+	const stateDeclarator = getInitializedDeclarator(switchNode.discriminant);
+	if (stateDeclarator?.init.type !== 'Literal') return null;
+	const stateId = stateDeclarator.id;
+	let hasExit = false, exit;
+	if (!isAlwaysTruthy(loop.test)) {
+		const t = loop.test;
+		if (t.type !== 'BinaryExpression' || !['!==', '!='].includes(t.operator)) return null;
+		const [stateSide, exitSide] = t.left.declNode === stateId ? [t.left, t.right] : [t.right, t.left];
+		if (stateSide.declNode !== stateId || exitSide.type !== 'Literal') return null;
+		hasExit = true;
+		exit = exitSide.value;
+	}
+	// The state may only be read by the dispatcher, and set by transitions at the top level of the cases
+	for (const ref of stateId.references || []) {
+		if (ref === switchNode.discriminant || (hasExit && ref.parentNode === loop.test)) continue;
+		const statement = ref.parentNode.parentNode;
+		if (ref.parentKey !== 'left' || !isTransition(statement, stateId) ||
+			statement.parentNode.type !== 'SwitchCase' || statement.parentNode.parentNode !== switchNode) return null;
+	}
+	return {initial: stateDeclarator.init.value, exit, hasExit, stateId, scaffolding: [stateDeclarator]};
+}
+
+/**
+ * @param {ASTNode} n A statement in one of the switch's cases
+ * @return {boolean} True if no break or continue in the statement leaves it, since they would target the dispatcher.
+ */
+function isSelfContained(n) {
+	const jumps = getDescendants(n).filter(d => d.type === 'BreakStatement' || d.type === 'ContinueStatement');
+	for (let i = 0; i < jumps.length; i++) {
+		if (jumps[i].label) return false;
+		let p = jumps[i].parentNode;
+		while (p && p !== n.parentNode) {
+			if (LOOP_TYPES.includes(p.type) || FUNCTION_TYPES.includes(p.type) ||
+				(jumps[i].type === 'BreakStatement' && p.type === 'SwitchStatement')) break;
+			p = p.parentNode;
+		}
+		if (p === n.parentNode) return false;
+	}
+	return true;
+}
+
+/**
+ * Find loops which dispatch to the cases of a switch statement, in an order which can be determined statically.
+ * This is how control flow flattening hides the order of a block's statements. Dispatchers are either
+ * split strings (javascript-obfuscator) or state machines with literal states, in while (true) or for (;;) loops.
+ *
+ * @param {Arborist} arb
+ * @param {Function} [candidateFilter] a filter to apply on the candidates list. Defaults to true.
+ * @return {ASTNode[]} Array of matching loop nodes
+ */
+export function unflattenControlFlowMatch(arb, candidateFilter = () => true) {
+	const relevantNodes = [
+		...arb.ast[0].typeMap.WhileStatement,
+		...arb.ast[0].typeMap.ForStatement,
+	];
+	const matchingNodes = [];
+
+	for (let i = 0; i < relevantNodes.length; i++) {
+		const n = relevantNodes[i];
+		const loopSwitch = getLoopSwitch(n);
+		if (loopSwitch &&
+			(parseSplitStringDispatcher(n, loopSwitch.switchNode) || parseStateMachineDispatcher(n, loopSwitch.switchNode)) &&
+			candidateFilter(n)) {
+			matchingNodes.push(n);
+		}
+	}
+	return matchingNodes;
+}
+
+/**
+ * Replace a dispatcher loop with the statements of its cases, in the order they are dispatched to,
+ * and remove the variables which controlled the dispatcher.
+ *
+ * Algorithm:
+ * 1. Find the case for the next key of a split string, or for the current state of a state machine
+ * 2. Collect the case's statements up to its break or continue, falling through to the next case if it has neither,
+ *    while transitions set the state for the next dispatch
+ * 3. Stop once a case returns or throws, once the dispatcher runs out of keys or reaches its exit state,
+ *    or when nothing matches and the loop breaks after the switch
+ * 4. Give up if the dispatcher would loop forever, visits a case twice, or a case breaks or continues in a way
+ *    which can't be linearized
+ *
+ * @param {Arborist} arb
+ * @param {ASTNode} loop The dispatcher loop
+ * @return {Arborist}
+ */
+export function unflattenControlFlowTransform(arb, loop) {
+	const {switchNode, exitsAfterSwitch} = getLoopSwitch(loop);
+	const splitString = parseSplitStringDispatcher(loop, switchNode);
+	const stateMachine = splitString ? null : parseStateMachineDispatcher(loop, switchNode);
+	const cases = switchNode.cases;
+	const ordered = [];
+	const visited = new Set();
+	let keyIndex = 0, state = stateMachine?.initial;
+	for (let step = 0; ; step++) {
+		if (step > MAX_DISPATCHES) return arb;
+		let key;
+		if (splitString) {
+			if (keyIndex >= splitString.keys.length) key = undefined;
+			else key = splitString.keys[keyIndex++];
+		} else {
+			if (stateMachine.hasExit && state === stateMachine.exit) break;
+			key = state;
+		}
+		let caseIndex = key === undefined ? -1 : cases.findIndex(c => c.test?.type === 'Literal' && c.test.value === key);
+		if (caseIndex === -1) caseIndex = cases.findIndex(c => !c.test);
+		if (caseIndex === -1) {
+			if (exitsAfterSwitch) break;
+			return arb;
+		}
+		let ending = '';
+		for (let i = caseIndex; i < cases.length && !ending; i++) {
+			if (visited.has(i)) return arb;
+			visited.add(i);
+			const consequent = cases[i].consequent;
+			for (let j = 0; j < consequent.length && !ending; j++) {
+				const s = consequent[j];
+				if ((s.type === 'ContinueStatement' || s.type === 'BreakStatement') && !s.label) ending = s.type;
+				else if (stateMachine && isTransition(s, stateMachine.stateId)) state = s.expression.right.value;
+				else if (!isSelfContained(s)) return arb;
+				else {
+					ordered.push(s);
+					if (EXIT_TYPES.includes(s.type)) ending = s.type;
+				}
+			}
+		}
+		if (EXIT_TYPES.includes(ending)) break;
+		// Without a continue, the switch is done and the loop either breaks or dispatches again
+		if (ending !== 'ContinueStatement' && exitsAfterSwitch) break;
+	}
+
+	arb.markNode(loop, {
+		type: 'BlockStatement',
+		body: ordered,
+	});
+	const scaffolding = (splitString || stateMachine).scaffolding;
+	const declarations = new Set(scaffolding.map(d => d.parentNode));
+	for (const declaration of declarations) {
+		const removed = scaffolding.filter(d => d.parentNode === declaration);
+		if (removed.length === declaration.declarations.length) arb.markNode(declaration);
+		else removed.forEach(d => arb.markNode(d));
+	}
+	return arb;
+}
+
+/**
+ * Reconstruct the order of statements hidden by control flow flattening, by replacing dispatcher loops with the
+ * statements of the cases they dispatch to.
+ *
+ * Example transformation:
+ *   var order = '2|0|1'.split('|'), i = 0;
+ *   while (true) {
+ *     switch (order[i++]) {
+ *       case '0': second(); continue;
+ *       case '1': third(); continue;
+ *       case '2': first(); continue;
+ *     }
+ *     break;
+ *   }
+ *
+ * Becomes:
+ *   {
+ *     first();
+ *     second();
+ *     third();
+ *   }
+ *
+ * Dispatchers nested in the cases of another dispatcher are unflattened in a later pass.
+ *
+ * @param {Arborist} arb
+ * @param {Function} [candidateFilter] a filter to apply on the candidates list. Defaults to true.
+ * @return {Arborist}
+ */
+export default function unflattenControlFlow(arb, candidateFilter = () => true) {
+	// Outer dispatchers come first, so that the dispatchers nested in them are skipped
+	const matchingNodes = unflattenControlFlowMatch(arb, candidateFilter).sort((a, b) => a.range[0] - b.range[0]);
+	const transformedRanges = [];
+	for (let i = 0; i < matchingNodes.length; i++) {
+		const n = matchingNodes[i];
+		if (isNodeInRanges(n, transformedRanges)) continue;
+		const changes = arb.getNumberOfChanges();
+		arb = unflattenControlFlowTransform(arb, n);
+		if (arb.getNumberOfChanges() > changes) transformedRanges.push(n.range);
+	}
+	return arb;
+}
@@ -106,7 +106,8 @@ export function resolveLocalCallsTransform(arb, matches) {
 		
 		// Cache management for performance
 		const cacheName = `rlc-${callee.name || callee.value}-${declNode?.nodeId}`;
-		if (!cache[cacheName]) {
+		// Cached contexts are rebuilt once their isolate is disposed of, e.g. at the end of a previous run
+		if (!cache[cacheName] || cache[cacheName].isDisposed) {
 			cache[cacheName] = evalInVm.BAD_VALUE;
 			
 			// Skip problematic callee types that shouldn't be evaluated
@@ -0,0 +1,45 @@
+/**
+ * Replaces Date and Math.random on the given global object with deterministic implementations:
+ * - Date.now() and new Date() return a fixed epoch, while dates created from explicit values behave as usual
+ * - Math.random() returns a sequence of numbers generated by a seeded PRNG (mulberry32)
+ *
+ * This function is not called directly. Its source is evaluated inside a sandbox (see the seed option of
+ * runWithSandboxOptions()), so it must not reference anything outside of its own body.
+ *
+ * The returned function reinstalls the implementations and restarts the sequence from the seed,
+ * so that every evaluation sees the same values regardless of what was evaluated before it.
+ *
+ * @param {Object} global The sandbox's global object
+ * @param {number} seed The seed of the PRNG
+ * @param {number} epoch The fixed time in milliseconds since 1970-01-01T00:00:00Z
+ * @return {Function} Resets the deterministic implementations.
+ */
+export function installDeterministicApis(global, seed, epoch) {
+	const OriginalDate = global.Date;
+	const originalMath = global.Math;
+	let state = seed >>> 0;
+
+	function random() {
+		state = (state + 0x6D2B79F5) | 0;
+		let t = Math.imul(state ^ (state >>> 15), 1 | state);
+		t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	}
+
+	function DeterministicDate(...args) {
+		// Called as a function, Date returns the current time as a string and ignores its arguments
+		if (!new.target) return new OriginalDate(epoch).toString();
+		return args.length ? new OriginalDate(...args) : new OriginalDate(epoch);
+	}
+	DeterministicDate.prototype = OriginalDate.prototype;
+	DeterministicDate.now = () => epoch;
+	DeterministicDate.parse = OriginalDate.parse;
+	DeterministicDate.UTC = OriginalDate.UTC;
+
+	return function reset() {
+		state = seed >>> 0;
+		global.Date = DeterministicDate;
+		global.Math = originalMath;
+		originalMath.random = random;
+	};
+}
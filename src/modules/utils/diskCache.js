@@ -0,0 +1,125 @@
+import {isDeepStrictEqual} from 'node:util';
+import {fileURLToPath} from 'node:url';
+import {join} from 'node:path';
+import {existsSync, mkdirSync, readdirSync, readFileSync, renameSync, rmSync, statSync, utimesSync, writeFileSync} from 'node:fs';
+
+// Entries written by other versions are ignored, since the results they hold may have changed
+const VERSION = JSON.parse(readFileSync(fileURLToPath(new URL('../../../package.json', import.meta.url)), 'utf-8')).version;
+
+const DEFAULT_MAX_ENTRIES = 10000;
+
+// The share of entries removed when the cache is full, so that eviction doesn't run on every write
+const EVICTION_RATIO = 0.1;
+
+const ENTRY_EXTENSION = '.json';
+
+/**
+ * A cache of JSON values which persists across runs and processes, stored as a file per entry in a directory.
+ * Keys are expected to be content hashes (see generateHash()), and are used as filenames.
+ *
+ * The least recently used entries are evicted once there are more than maxEntries, using the files' modification
+ * time as their last access time. Several processes may share a directory, in which case eviction is approximate.
+ * Failing to read or write an entry is treated as a cache miss, since the cache only saves time.
+ *
+ * @example
+ * // const cache = new DiskCache('/tmp/restringer-cache', {maxEntries: 1000});
+ * // cache.set('5d41402abc4b2a76b9719d911017c592', {type: 'Literal', value: 'hello', raw: 'hello'});
+ * // cache.get('5d41402abc4b2a76b9719d911017c592'); // {type: 'Literal', value: 'hello', raw: 'hello'}
+ */
+export class DiskCache {
+	/**
+	 * @param {string} dir - The directory to store entries in. Created if it doesn't exist
+	 * @param {Object} [options]
+	 * @param {number} [options.maxEntries] - Defaults to DEFAULT_MAX_ENTRIES
+	 */
+	constructor(dir, {maxEntries = DEFAULT_MAX_ENTRIES} = {}) {
+		this.dir = dir;
+		this.maxEntries = maxEntries;
+		this.hits = 0;
+		this.misses = 0;
+		mkdirSync(dir, {recursive: true});
+		this._size = this._listEntries().length;
+	}
+
+	/**
+	 * @param {string} key
+	 * @return {*} The cached value, or undefined if there is none.
+	 */
+	get(key) {
+		const filename = this._getFilename(key);
+		try {
+			const entry = JSON.parse(readFileSync(filename, 'utf-8'));
+			if (entry.version === VERSION) {
+				const now = new Date();
+				utimesSync(filename, now, now);
+				this.hits++;
+				return entry.value;
+			}
+		} catch {
+			// Missing or unreadable entries are misses
+		}
+		this.misses++;
+		return undefined;
+	}
+
+	/**
+	 * Store a value, unless it cannot be restored from JSON as is (e.g. a RegExp or undefined).
+	 * @param {string} key
+	 * @param {*} value
+	 * @return {boolean} True if the value was stored.
+	 */
+	set(key, value) {
+		if (value === undefined) return false;
+		let isNewEntry;
+		try {
+			const json = JSON.stringify({version: VERSION, value});
+			if (!isDeepStrictEqual(JSON.parse(json).value, value)) return false;
+			const filename = this._getFilename(key);
+			// Write to a temporary file first, so that other processes never read a partially written entry
+			const tempFilename = `${filename}.${process.pid}.tmp`;
+			isNewEntry = !existsSync(filename);
+			writeFileSync(tempFilename, json);
+			renameSync(tempFilename, filename);
+		} catch {
+			return false;
+		}
+		// Overwriting an entry doesn't add to the cache's size
+		if (isNewEntry && ++this._size > this.maxEntries) this._evict();
+		return true;
+	}
+
+	/**
+	 * Remove the least recently used entries, leaving room for new ones.
+	 */
+	_evict() {
+		const entries = [];
+		const names = this._listEntries();
+		for (let i = 0; i < names.length; i++) {
+			try {
+				entries.push({name: names[i], lastUsed: statSync(join(this.dir, names[i])).mtimeMs});
+			} catch {
+				// Removed by another process
+			}
+		}
+		entries.sort((a, b) => a.lastUsed - b.lastUsed);
+		const remaining = Math.floor(this.maxEntries * (1 - EVICTION_RATIO));
+		const evicted = entries.slice(0, Math.max(entries.length - remaining, 0));
+		for (let i = 0; i < evicted.length; i++) rmSync(join(this.dir, evicted[i].name), {force: true});
+		this._size = entries.length - evicted.length;
+	}
+
+	/**
+	 * @return {string[]} The filenames of the entries in the directory.
+	 */
+	_listEntries() {
+		return readdirSync(this.dir).filter(name => name.endsWith(ENTRY_EXTENSION));
+	}
+
+	/**
+	 * @param {string} key
+	 * @return {string} The path of the key's entry.
+	 */
+	_getFilename(key) {
+		return join(this.dir, `${key}${ENTRY_EXTENSION}`);
+	}
+}
@@ -0,0 +1,297 @@
+/**
+ * Installs a minimal, deterministic emulation of the browser's DOM on the given global object.
+ *
+ * This function is not called directly. Its source is evaluated inside a sandbox (see Sandbox's dom option),
+ * so it must not reference anything outside of its own body.
+ *
+ * The emulation covers what obfuscated layers typically use to build their code:
+ * - document: createElement, createTextNode, getElementsByTagName, getElementById, write, cookie, body, head
+ * - HTMLElement: innerHTML, outerHTML, textContent, innerText, text, attributes, child manipulation, getElementsByTagName
+ * - window / self, which refer to the global object, and a fixed location of about:blank
+ * - atob / btoa, which behave like the browser's and work on binary strings
+ *
+ * HTML is parsed leniently: unknown tags are kept as elements, unclosed elements are closed at the end of the markup,
+ * and the content of script and style elements is kept as raw text.
+ *
+ * @param {Object} global The sandbox's global object
+ */
+export function emulateDom(global) {
+	const VOID_ELEMENTS = ['AREA', 'BASE', 'BR', 'COL', 'EMBED', 'HR', 'IMG', 'INPUT', 'LINK', 'META', 'SOURCE', 'TRACK', 'WBR'];
+	const RAW_TEXT_ELEMENTS = ['SCRIPT', 'STYLE', 'TEXTAREA', 'TITLE'];
+	const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+	const ENTITIES = {amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: '\u00a0'};
+	const TAG_REGEX = /<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/y;
+	const ATTRIBUTE_REGEX = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+	const decodeEntities = text => text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (match, entity) => {
+		if (entity[0] !== '#') return ENTITIES[entity.toLowerCase()] ?? match;
+		return String.fromCharCode(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+	});
+	const escapeText = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\u00a0/g, '&nbsp;');
+	const escapeAttribute = value => value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/\u00a0/g, '&nbsp;');
+
+	class Node {
+		constructor() {
+			this.parentNode = null;
+			this.childNodes = [];
+		}
+		get firstChild() {return this.childNodes[0] || null;}
+		get lastChild() {return this.childNodes[this.childNodes.length - 1] || null;}
+		get parentElement() {return this.parentNode instanceof HTMLElement ? this.parentNode : null;}
+		appendChild(child) {
+			return this.insertBefore(child, null);
+		}
+		insertBefore(child, referenceChild) {
+			if (child.parentNode) child.parentNode.removeChild(child);
+			const index = referenceChild ? this.childNodes.indexOf(referenceChild) : -1;
+			if (index > -1) this.childNodes.splice(index, 0, child);
+			else this.childNodes.push(child);
+			child.parentNode = this;
+			return child;
+		}
+		removeChild(child) {
+			const index = this.childNodes.indexOf(child);
+			if (index === -1) throw new Error('The node to be removed is not a child of this node');
+			this.childNodes.splice(index, 1);
+			child.parentNode = null;
+			return child;
+		}
+		hasChildNodes() {
+			return this.childNodes.length > 0;
+		}
+		get textContent() {
+			return this.childNodes.map(n => n.textContent).join('');
+		}
+		set textContent(value) {
+			this.childNodes.forEach(n => n.parentNode = null);
+			this.childNodes = [];
+			if (String(value)) this.appendChild(new Text(String(value)));
+		}
+	}
+
+	class Text extends Node {
+		constructor(data) {
+			super();
+			this.data = data;
+			this.nodeType = 3;
+			this.nodeName = '#text';
+		}
+		get textContent() {return this.data;}
+		set textContent(value) {this.data = String(value);}
+		get nodeValue() {return this.data;}
+	}
+
+	class HTMLElement extends Node {
+		constructor(tagName) {
+			super();
+			this.tagName = String(tagName).toUpperCase();
+			this.nodeName = this.tagName;
+			this.nodeType = 1;
+			this.attributes = {};
+			this.style = {};
+		}
+		get children() {
+			return this.childNodes.filter(n => n instanceof HTMLElement);
+		}
+		get id() {return this.getAttribute('id') ?? '';}
+		set id(value) {this.setAttribute('id', value);}
+		get className() {return this.getAttribute('class') ?? '';}
+		set className(value) {this.setAttribute('class', value);}
+		get src() {return this.getAttribute('src') ?? '';}
+		set src(value) {this.setAttribute('src', value);}
+		getAttribute(name) {
+			return Object.hasOwn(this.attributes, name.toLowerCase()) ? this.attributes[name.toLowerCase()] : null;
+		}
+		setAttribute(name, value) {
+			this.attributes[name.toLowerCase()] = String(value);
+		}
+		removeAttribute(name) {
+			delete this.attributes[name.toLowerCase()];
+		}
+		hasAttribute(name) {
+			return Object.hasOwn(this.attributes, name.toLowerCase());
+		}
+		get innerText() {return this.textContent;}
+		set innerText(value) {this.textContent = value;}
+		get text() {return this.textContent;}
+		set text(value) {this.textContent = value;}
+		get innerHTML() {
+			return this.childNodes.map(n => n instanceof Text ?
+				RAW_TEXT_ELEMENTS.includes(this.tagName) ? n.data : escapeText(n.data) :
+				n.outerHTML).join('');
+		}
+		set innerHTML(html) {
+			this.textContent = '';
+			parseHtml(String(html), this);
+		}
+		get outerHTML() {
+			const tagName = this.tagName.toLowerCase();
+			const attributes = Object.keys(this.attributes).map(name => ` ${name}="${escapeAttribute(this.attributes[name])}"`).join('');
+			return VOID_ELEMENTS.includes(this.tagName) ? `<${tagName}${attributes}>` : `<${tagName}${attributes}>${this.innerHTML}</${tagName}>`;
+		}
+		getElementsByTagName(tagName) {
+			const name = String(tagName).toUpperCase();
+			const found = [];
+			const stack = [...this.children].reverse();
+			while (stack.length) {
+				const element = stack.pop();
+				if (name === '*' || element.tagName === name) found.push(element);
+				stack.push(...[...element.children].reverse());
+			}
+			return found;
+		}
+		getElementById(id) {
+			return this.getElementsByTagName('*').find(e => e.id === String(id)) || null;
+		}
+	}
+
+	/**
+	 * @param {string} html
+	 * @param {HTMLElement} parent The element the parsed nodes are appended to
+	 */
+	function parseHtml(html, parent) {
+		let current = parent;
+		let position = 0;
+		const appendText = text => {
+			if (text) current.appendChild(new Text(decodeEntities(text)));
+		};
+		while (position < html.length) {
+			const tagStart = html.indexOf('<', position);
+			if (tagStart === -1) {
+				appendText(html.slice(position));
+				break;
+			}
+			appendText(html.slice(position, tagStart));
+			if (html.startsWith('<!--', tagStart)) {
+				const commentEnd = html.indexOf('-->', tagStart + 4);
+				position = commentEnd === -1 ? html.length : commentEnd + 3;
+				continue;
+			}
+			TAG_REGEX.lastIndex = tagStart;
+			const match = TAG_REGEX.exec(html);
+			if (!match) {
+				appendText('<');
+				position = tagStart + 1;
+				continue;
+			}
+			position = TAG_REGEX.lastIndex;
+			const [, isClosing, tagName, attributes] = match;
+			if (isClosing) {
+				let element = current;
+				while (element !== parent && element.tagName !== tagName.toUpperCase()) element = element.parentNode;
+				if (element !== parent) current = element.parentNode;
+				continue;
+			}
+			const element = current.appendChild(new HTMLElement(tagName));
+			for (const [, name, ...values] of attributes.matchAll(ATTRIBUTE_REGEX)) {
+				element.setAttribute(name, decodeEntities(values.find(v => v !== undefined) ?? ''));
+			}
+			if (RAW_TEXT_ELEMENTS.includes(element.tagName)) {
+				const contentEnd = html.toLowerCase().indexOf(`</${tagName.toLowerCase()}`, position);
+				const content = html.slice(position, contentEnd === -1 ? html.length : contentEnd);
+				if (content) element.appendChild(new Text(content));
+				position = contentEnd === -1 ? html.length : html.indexOf('>', contentEnd) + 1 || html.length;
+			} else if (!VOID_ELEMENTS.includes(element.tagName) && !attributes.trim().endsWith('/')) current = element;
+		}
+	}
+
+	class HTMLDocument extends Node {
+		constructor() {
+			super();
+			this.nodeType = 9;
+			this.nodeName = '#document';
+			this.cookies = {};
+			this.documentElement = this.appendChild(new HTMLElement('html'));
+			this.documentElement.appendChild(new HTMLElement('head'));
+			this.documentElement.appendChild(new HTMLElement('body'));
+		}
+		get head() {return this.documentElement.children[0];}
+		get body() {return this.documentElement.children[1];}
+		get location() {return global.location;}
+		get cookie() {
+			return Object.keys(this.cookies).map(name => name ? `${name}=${this.cookies[name]}` : this.cookies[name]).join('; ');
+		}
+		set cookie(value) {
+			const [pair, ...attributes] = String(value).split(';');
+			const separator = pair.indexOf('=');
+			const name = separator === -1 ? '' : pair.slice(0, separator).trim();
+			const isExpired = attributes.some(a => /^\s*max-age\s*=\s*(-\d+|0)\s*$/i.test(a));
+			if (isExpired) delete this.cookies[name];
+			else this.cookies[name] = (separator === -1 ? pair : pair.slice(separator + 1)).trim();
+		}
+		createElement(tagName) {
+			return new HTMLElement(tagName);
+		}
+		createTextNode(data) {
+			return new Text(String(data));
+		}
+		getElementsByTagName(tagName) {
+			const name = String(tagName).toUpperCase();
+			return [
+				...(name === '*' || name === 'HTML' ? [this.documentElement] : []),
+				...this.documentElement.getElementsByTagName(name),
+			];
+		}
+		getElementById(id) {
+			return this.documentElement.getElementById(id);
+		}
+		write(...html) {
+			parseHtml(html.join(''), this.body);
+		}
+		writeln(...html) {
+			this.write(...html, '\n');
+		}
+	}
+
+	/**
+	 * @param {string} data Base64 encoded data
+	 * @return {string} The decoded data as a binary string.
+	 */
+	function atob(data) {
+		let encoded = String(data).replace(/[\t\n\f\r ]/g, '');
+		if (encoded.length % 4 === 0) encoded = encoded.replace(/={1,2}$/, '');
+		if (encoded.length % 4 === 1 || /[^A-Za-z0-9+/]/.test(encoded)) {
+			throw new Error('The string to be decoded is not correctly encoded.');
+		}
+		let decoded = '';
+		let buffer = 0, bits = 0;
+		for (let i = 0; i < encoded.length; i++) {
+			buffer = (buffer << 6) | BASE64_CHARS.indexOf(encoded[i]);
+			bits += 6;
+			if (bits >= 8) {
+				bits -= 8;
+				decoded += String.fromCharCode((buffer >> bits) & 255);
+			}
+		}
+		return decoded;
+	}
+
+	/**
+	 * @param {string} data A binary string
+	 * @return {string} The data encoded as base64.
+	 */
+	function btoa(data) {
+		const binary = String(data);
+		let encoded = '';
+		for (let i = 0; i < binary.length; i += 3) {
+			const bytes = [binary.charCodeAt(i), binary.charCodeAt(i + 1), binary.charCodeAt(i + 2)];
+			if (bytes.some(b => b > 255)) throw new Error('The string to be encoded contains characters outside of the Latin1 range.');
+			const chunk = (bytes[0] << 16) | ((bytes[1] || 0) << 8) | (bytes[2] || 0);
+			encoded += BASE64_CHARS[chunk >> 18] + BASE64_CHARS[(chunk >> 12) & 63] +
+				(i + 1 < binary.length ? BASE64_CHARS[(chunk >> 6) & 63] : '=') +
+				(i + 2 < binary.length ? BASE64_CHARS[chunk & 63] : '=');
+		}
+		return encoded;
+	}
+
+	global.window = global;
+	global.self = global;
+	global.location = {href: 'about:blank', protocol: 'about:', host: '', hostname: '', port: '', pathname: 'blank', search: '', hash: '', origin: 'null'};
+	global.Node = Node;
+	global.Text = Text;
+	global.HTMLElement = HTMLElement;
+	global.HTMLDocument = HTMLDocument;
+	global.document = new HTMLDocument();
+	global.atob = atob;
+	global.btoa = btoa;
+}
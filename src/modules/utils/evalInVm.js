@@ -1,4 +1,4 @@
-import {Sandbox} from './sandbox.js';
+import {Sandbox, getEvalCache, getSandboxOptionsSignature, isCapturingSideEffects} from './sandbox.js';
 import {BAD_VALUE} from '../config.js';
 import {getObjType} from './getObjType.js';
 import {generateHash} from './generateHash.js';
@@ -32,6 +32,67 @@ const TRAP_STRINGS = [
 let CACHE = {};
 const MAX_CACHE_SIZE = 100;
 
+/**
+ * @param {string} code
+ * @return {string} The code with anti-debugging and infinite loop traps neutralized.
+ */
+function neutralizeTraps(code) {
+	for (let i = 0; i < TRAP_STRINGS.length; i++) {
+		const ts = TRAP_STRINGS[i];
+		code = code.replace(ts.trap, ts.replaceWith);
+	}
+	return code;
+}
+
+/**
+ * Evaluates code in a sandbox and converts the result to an AST node.
+ * @param {string} stringToEval - JavaScript code string to evaluate
+ * @param {Sandbox} [sb] - Optional existing sandbox
+ * @return {{result: ASTNode|string, cacheable: boolean}} The AST node or BAD_VALUE, and whether the result may be cached.
+ */
+function evaluate(stringToEval, sb) {
+	let vm;
+	try {
+		vm = sb || new Sandbox();
+		// Neutralize anti-debugging and infinite loop traps before evaluation
+		let res = vm.run(neutralizeTraps(stringToEval));
+		
+		// Only process valid, safe references that can be converted to AST nodes
+		if (vm.isReference(res) && !BAD_TYPES.includes(getObjType(res))) {
+			// noinspection JSUnresolvedVariable
+			res = res.copySync(); // Extract value from VM reference
+			
+			// Check if result matches a known builtin object (e.g., console)
+			const objKeys = Object.keys(res).sort().join('');
+			return {result: MATCHING_OBJECT_KEYS[objKeys] || createNewNode(res), cacheable: true};
+		}
+	} catch (e) {
+		// Failures due to the sandbox's limits are not cached, since the evaluation may succeed with other limits
+		if (e.sandboxLimit || vm?.isDisposed) return {result: BAD_VALUE, cacheable: false};
+	}
+	return {result: BAD_VALUE, cacheable: true};
+}
+
+/**
+ * Evaluates code, using the results persisted in the current eval cache if there is one (see runWithSandboxOptions()).
+ * @param {string} stringToEval - JavaScript code string to evaluate
+ * @param {Sandbox} [sb] - Optional existing sandbox
+ * @return {{result: ASTNode|string, cacheable: boolean}} See evaluate()
+ */
+function evaluateWithEvalCache(stringToEval, sb) {
+	const evalCache = getEvalCache();
+	if (!evalCache) return evaluate(stringToEval, sb);
+	const key = generateHash(getSandboxOptionsSignature() + (sb?.stateHash || '') + stringToEval);
+	const cachedResult = evalCache.get(key);
+	if (cachedResult !== undefined) {
+		sb?.skip(neutralizeTraps(stringToEval));
+		return {result: cachedResult, cacheable: true};
+	}
+	const evaluated = evaluate(stringToEval, sb);
+	if (evaluated.cacheable) evalCache.set(key, evaluated.result);
+	return evaluated;
+}
+
 /**
  * Safely evaluates JavaScript code in a somewhat isolated sandbox environment.
  * Never trust the code you are evaluating, but if you do decide to execute it, this much is basic.
@@ -44,8 +105,14 @@ const MAX_CACHE_SIZE = 100;
  * - Filters out dangerous object types that could cause security issues
  *
  * Performance optimizations:
- * - Content-based caching prevents re-evaluation of identical code
+ * - Content-based caching prevents re-evaluation of identical code. Evaluations which exceed the sandbox's timeout
+ *   or memory limit are not cached, since they may succeed with other limits (see runWithSandboxOptions()).
+ *   Nothing is cached while side effects are captured, so that every evaluation records them
  * - Cache size limit prevents memory bloat
+ * - Results can also be persisted across runs and processes in a DiskCache (see runWithSandboxOptions()).
+ *   Persisted results are keyed by the state of the provided sandbox as well, since scripts evaluated in other
+ *   runs may define the same code differently. When a persisted result is used, the code is skipped rather than
+ *   run in the sandbox (see Sandbox.skip())
  * - Reuses provided sandbox instances to avoid VM creation overhead
  *
  * @param {string} stringToEval - JavaScript code string to evaluate safely
@@ -58,39 +125,26 @@ const MAX_CACHE_SIZE = 100;
  * // evalInVm('[1,2,3].length') => {type: 'Literal', value: 3, raw: '3'}
  */
 export function evalInVm(stringToEval, sb) {
-	const cacheName = `eval-${generateHash(stringToEval)}`;
+	// Side effects are recorded only when code is evaluated, so nothing is cached while capturing them
+	if (isCapturingSideEffects()) return evaluate(stringToEval, sb).result;
+	const cacheName = `eval-${generateHash(getSandboxOptionsSignature() + stringToEval)}`;
 	if (CACHE[cacheName] === undefined) {
 		// Simple cache eviction: clear all when hitting size limit
 		if (Object.keys(CACHE).length >= MAX_CACHE_SIZE) CACHE = {};
-		CACHE[cacheName] = BAD_VALUE;
-		try {
-			// Neutralize anti-debugging and infinite loop traps before evaluation
-			for (let i = 0; i < TRAP_STRINGS.length; i++) {
-				const ts = TRAP_STRINGS[i];
-				stringToEval = stringToEval.replace(ts.trap, ts.replaceWith);
-			}
-			let vm = sb || new Sandbox();
-			let res = vm.run(stringToEval);
-			
-			// Only process valid, safe references that can be converted to AST nodes
-			if (vm.isReference(res) && !BAD_TYPES.includes(getObjType(res))) {
-				// noinspection JSUnresolvedVariable
-				res = res.copySync(); // Extract value from VM reference
-				
-				// Check if result matches a known builtin object (e.g., console)
-				const objKeys = Object.keys(res).sort().join('');
-				if (MATCHING_OBJECT_KEYS[objKeys]) {
-					CACHE[cacheName] = MATCHING_OBJECT_KEYS[objKeys];
-				} else {
-					CACHE[cacheName] = createNewNode(res);
-				}
-			}
-		} catch {
-			// Evaluation failed - cache entry remains BAD_VALUE
-		}
+		const {result, cacheable} = evaluateWithEvalCache(stringToEval, sb);
+		if (!cacheable) return result;
+		CACHE[cacheName] = result;
 	}
 	return CACHE[cacheName];
 }
 
 // Attach BAD_VALUE to evalInVm for convenient access by modules using evalInVm
-evalInVm.BAD_VALUE = BAD_VALUE;
\ No newline at end of file
+evalInVm.BAD_VALUE = BAD_VALUE;
+
+/**
+ * Clears the in-memory cache of evaluation results, leaving the results persisted in an eval cache.
+ * Useful for testing.
+ */
+evalInVm.flush = function() {
+	CACHE = {};
+};
\ No newline at end of file
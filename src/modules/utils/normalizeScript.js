@@ -3,6 +3,13 @@ import * as normalizeComputed from '../safe/normalizeComputed.js';
 import * as normalizeEmptyStatements from '../safe/normalizeEmptyStatements.js';
 import * as normalizeRedundantNotOperator from '../unsafe/normalizeRedundantNotOperator.js';
 
+// The methods applied by normalizeScript(), in order
+export const normalizationMethods = [
+	normalizeComputed.default,
+	normalizeRedundantNotOperator.default,
+	normalizeEmptyStatements.default,
+];
+
 /**
  * Normalizes JavaScript code to improve readability without affecting functionality.
  * This function applies a series of safe transformations that make code more readable
@@ -18,16 +25,14 @@ import * as normalizeRedundantNotOperator from '../unsafe/normalizeRedundantNotO
  * changes occur, handling cases where one transformation enables another.
  *
  * @param {string} script - JavaScript source code to normalize
+ * @param {boolean} [safeOnly] - Skip normalizeRedundantNotOperator, which evaluates code. Defaults to false.
  * @return {string} The normalized script with improved readability
  *
  * @example
  * // Input: obj['method'](); !!true; ;;;
  * // Output: obj.method(); true;
  */
-export function normalizeScript(script) {
-	return applyIteratively(script, [
-		normalizeComputed.default,
-		normalizeRedundantNotOperator.default,
-		normalizeEmptyStatements.default,
-	]);
+export function normalizeScript(script, safeOnly = false) {
+	return applyIteratively(script, safeOnly ?
+		normalizationMethods.filter(m => m !== normalizeRedundantNotOperator.default) : normalizationMethods);
 }
\ No newline at end of file
@@ -1,17 +1,21 @@
 import pkg from 'isolated-vm';
-const {Isolate, Reference} = pkg;
-
-// Security-critical APIs that must be blocked in the sandbox environment
-const BLOCKED_APIS = {
-	debugger: undefined,
-	WebAssembly: undefined,
-	fetch: undefined,
-	XMLHttpRequest: undefined,
-	WebSocket: undefined,
-	globalThis: undefined,
-	navigator: undefined,
-	Navigator: undefined,
-};
+import {emulateDom} from './domEmulation.js';
+import {installDeterministicApis} from './deterministicApis.js';
+import {INDIRECT_EVAL, RECORD_EVAL, installSideEffectCapture, instrumentEvalCalls} from './sideEffectCapture.js';
+import {generateHash} from './generateHash.js';
+const {Callback, ExternalCopy, Isolate, Reference} = pkg;
+
+// Security-critical APIs that are blocked in the sandbox environment unless explicitly allowed
+export const DEFAULT_BLOCKED_GLOBALS = [
+	'debugger',
+	'WebAssembly',
+	'fetch',
+	'XMLHttpRequest',
+	'WebSocket',
+	'globalThis',
+	'navigator',
+	'Navigator',
+];
 
 // Default memory limit for VM instances (in MB)
 const DEFAULT_MEMORY_LIMIT = 128;
@@ -19,6 +23,112 @@ const DEFAULT_MEMORY_LIMIT = 128;
 // Default execution timeout (in milliseconds)
 const DEFAULT_TIMEOUT = 1000;
 
+// Default fixed time of the deterministic Date (2024-01-01T00:00:00Z), see the seed option of runWithSandboxOptions()
+export const DEFAULT_EPOCH = 1704067200000;
+
+// Name of the hidden global which resets the deterministic Date and Math.random before each run
+const RESET_DETERMINISTIC_APIS = '__restringerResetDeterministicApis';
+
+// Name of the hidden global which returns the side effects recorded by the last run
+const DRAIN_SIDE_EFFECTS = '__restringerDrainSideEffects';
+
+// Code given to eval inside the sandbox is instrumented by the host, outside of the sandbox's limits.
+// Longer code is evaluated as is, so that the evaluated code cannot make the host parse strings of any size
+export const MAX_INSTRUMENTED_EVAL_LENGTH = 100000;
+
+// While set, creating a sandbox throws. See preventCodeEvaluation().
+let isCodeEvaluationPrevented = false;
+
+// Options applied to sandboxes created by runWithSandboxOptions()'s function
+let currentSandboxOptions = {};
+
+/**
+ * Runs a function while sandboxes are created with the given options instead of the defaults.
+ *
+ * @param {Object} options
+ * @param {number} [options.timeout] - Execution timeout in milliseconds
+ * @param {number} [options.memoryLimit] - Memory limit in MB
+ * @param {string[]} [options.blockedGlobals] - Globals to block in addition to DEFAULT_BLOCKED_GLOBALS
+ * @param {string[]} [options.allowedGlobals] - Globals from DEFAULT_BLOCKED_GLOBALS not to block
+ * @param {Object} [options.globals] - Globals to inject into the sandbox, by name. Values are copied into the sandbox,
+ *                                     and may replace blocked globals (e.g. a fake navigator)
+ * @param {number} [options.seed] - Replace Date and Math.random with deterministic implementations instead of deleting them,
+ *                                  using this seed for Math.random. See installDeterministicApis()
+ * @param {number} [options.epoch] - The fixed time of the deterministic Date, in milliseconds. Defaults to DEFAULT_EPOCH
+ * @param {boolean} [options.captureSideEffects] - Record console output, evaluated strings and network attempts.
+ *                                                See installSideEffectCapture()
+ * @param {Function} [options.onSideEffect] - Called with {type, value, code} for each side effect recorded while running code
+ * @param {Function} [options.onLimitExceeded] - Called with {limit, value, code} when code run in a sandbox exceeds
+ *                                               its timeout or memory limit. limit is either 'timeout' or 'memoryLimit'
+ * @param {SandboxPool} [options.pool] - Create sandboxes on the pool's isolates instead of creating an isolate for each
+ * @param {DiskCache} [options.evalCache] - Persist the results of evalInVm() in this cache, in addition to its in-memory cache
+ * @param {Function} func - The function to run
+ * @return {*} The function's return value
+ */
+export function runWithSandboxOptions(options, func) {
+	const previousOptions = currentSandboxOptions;
+	currentSandboxOptions = options;
+	try {
+		return func();
+	} finally {
+		currentSandboxOptions = previousOptions;
+	}
+}
+
+/**
+ * @return {string} A signature of the current options which affect the results of evaluated code,
+ *                  or an empty string if there are none. Used to avoid sharing cached results between different options.
+ */
+export function getSandboxOptionsSignature() {
+	const {blockedGlobals, allowedGlobals, globals, seed, epoch} = currentSandboxOptions;
+	const signature = [blockedGlobals, allowedGlobals, globals, seed, seed === undefined ? undefined : epoch];
+	return signature.some(o => o !== undefined) ? JSON.stringify(signature) : '';
+}
+
+/**
+ * @return {DiskCache|undefined} The cache evalInVm() persists its results in, if any.
+ */
+export function getEvalCache() {
+	return currentSandboxOptions.evalCache;
+}
+
+/**
+ * @return {boolean} True if sandboxes created now record side effects. Their evaluations should not be cached,
+ *                   since the side effects would not be recorded again.
+ */
+export function isCapturingSideEffects() {
+	return !!currentSandboxOptions.captureSideEffects;
+}
+
+/**
+ * @param {Error} error An error thrown while running code in a sandbox
+ * @param {Isolate} isolate The sandbox's isolate
+ * @return {string} The limit the code exceeded ('timeout' or 'memoryLimit'), or an empty string if the error is unrelated.
+ */
+function getExceededLimit(error, isolate) {
+	// isolated-vm disposes of an isolate which exceeds its memory limit
+	if (isolate.isDisposed) return 'memoryLimit';
+	if (/timed out/.test(error?.message)) return 'timeout';
+	return '';
+}
+
+/**
+ * Runs a function while no sandbox can be created, guaranteeing that no code is evaluated during its run.
+ * Any attempt to create a sandbox throws an error instead.
+ *
+ * @param {Function} func - The function to run
+ * @return {*} The function's return value
+ */
+export function preventCodeEvaluation(func) {
+	const wasPrevented = isCodeEvaluationPrevented;
+	isCodeEvaluationPrevented = true;
+	try {
+		return func();
+	} finally {
+		isCodeEvaluationPrevented = wasPrevented;
+	}
+}
+
 /**
  * Isolated sandbox environment for executing untrusted JavaScript code during deobfuscation.
  * 
@@ -32,11 +142,14 @@ const DEFAULT_TIMEOUT = 1000;
  * Isolation Features:
  * - Separate V8 context isolated from host environment
  * - Blocked access to dangerous APIs (WebAssembly, fetch, WebSocket, etc.)
- * - Memory and execution time limits to prevent resource exhaustion
- * - Deterministic evaluation (Math.random and Date are deleted for consistent results)
+ * - Memory and execution time limits to prevent resource exhaustion, reported through the onLimitExceeded option
+ * - Deterministic evaluation (Math.random and Date are deleted for consistent results, or replaced by seeded implementations)
+ * - Optional recording of side effects (console output, eval'd strings, network attempts), see installSideEffectCapture()
+ * - Optional emulation of a browser's DOM (document, HTMLElement, window, atob), see emulateDom()
  * 
  * Performance Optimizations:
  * - Reusable instances to avoid VM creation overhead
+ * - Isolates shared between sandboxes through a SandboxPool, see runWithSandboxOptions()
  * - Shared contexts for multiple evaluations
  * - Pre-configured global environment setup
  * 
@@ -50,14 +163,30 @@ export class Sandbox {
 	/**
 	 * Creates a new isolated sandbox environment with security restrictions.
 	 * The sandbox is configured with memory limits, execution timeouts, and blocked APIs.
+	 * Limits default to DEFAULT_MEMORY_LIMIT and DEFAULT_TIMEOUT, and DEFAULT_BLOCKED_GLOBALS are blocked,
+	 * unless set otherwise by runWithSandboxOptions().
+	 * @param {Object} [options]
+	 * @param {boolean} [options.dom] - Emulate a browser's DOM, for code which builds code using HTMLElements
+	 * @throws {Error} If code evaluation is prevented (see preventCodeEvaluation()).
 	 */
-	constructor() {
-		this.replacedItems = {...BLOCKED_APIS};
-		this.replacedItemsNames = Object.keys(BLOCKED_APIS);
-		this.timeout = DEFAULT_TIMEOUT;
+	constructor({dom = false} = {}) {
+		if (isCodeEvaluationPrevented) throw new Error('Code evaluation is prevented');
+		const {blockedGlobals = [], allowedGlobals = [], globals = {}} = currentSandboxOptions;
+		this.replacedItemsNames = [...new Set(DEFAULT_BLOCKED_GLOBALS.filter(n => !allowedGlobals.includes(n)).concat(blockedGlobals))];
+		this.replacedItems = Object.fromEntries(this.replacedItemsNames.map(n => [n, undefined]));
+		this.timeout = currentSandboxOptions.timeout || DEFAULT_TIMEOUT;
+		this.memoryLimit = currentSandboxOptions.memoryLimit || DEFAULT_MEMORY_LIMIT;
+		this.onLimitExceeded = currentSandboxOptions.onLimitExceeded;
+		this.seed = currentSandboxOptions.seed;
+		this.epoch = currentSandboxOptions.epoch ?? DEFAULT_EPOCH;
+		this.captureSideEffects = !!currentSandboxOptions.captureSideEffects;
+		this.onSideEffect = currentSandboxOptions.onSideEffect;
+		// A hash of all the code run in the sandbox, which identifies its state. See skip()
+		this.stateHash = '';
+		this._skipped = [];
 
-		// Create isolated V8 context with memory limits
-		this.vm = new Isolate({memoryLimit: DEFAULT_MEMORY_LIMIT});
+		// Create isolated V8 context with memory limits, on a shared isolate when a pool is set
+		this.vm = currentSandboxOptions.pool?.getIsolate(this.memoryLimit) || new Isolate({memoryLimit: this.memoryLimit});
 		this.context = this.vm.createContextSync();
 
 		// Set up global reference for compatibility
@@ -68,6 +197,25 @@ export class Sandbox {
 			const itemName = this.replacedItemsNames[i];
 			this.context.global.setSync(itemName, this.replacedItems[itemName]);
 		}
+
+		for (const [name, value] of Object.entries(globals)) {
+			this.context.global.setSync(name, new ExternalCopy(value).copyInto());
+		}
+
+		if (dom) this.context.evalSync(`(${emulateDom})(global);`);
+
+		if (this.seed !== undefined) {
+			this.context.evalSync(`Object.defineProperty(global, '${RESET_DETERMINISTIC_APIS}', {
+				value: (${installDeterministicApis})(global, ${Number(this.seed)}, ${Number(this.epoch)}),
+			});`);
+		}
+
+		if (this.captureSideEffects) {
+			this.context.evalClosureSync(`Object.defineProperty(global, '${DRAIN_SIDE_EFFECTS}', {
+				value: (${installSideEffectCapture})(global, $0, '${RECORD_EVAL}', '${INDIRECT_EVAL}'),
+			});`, [new Callback(code => typeof code === 'string' && code.length <= MAX_INSTRUMENTED_EVAL_LENGTH ?
+				instrumentEvalCalls(code) : code)]);
+		}
 	}
 
 	/**
@@ -76,21 +224,97 @@ export class Sandbox {
 	 * For deterministic results during deobfuscation, Math.random and Date are deleted
 	 * before execution to ensure consistent output across runs. This is critical for
 	 * reliable deobfuscation results.
+	 * When the sandbox has a seed, they are reset to their seeded implementations before execution instead.
 	 * 
 	 * @param {string} code - JavaScript code to execute in the sandbox
 	 * @return {Reference} A Reference object from isolated-vm containing the execution result
+	 * @throws {Error} If the code throws, or exceeds the timeout or memory limit. In the latter case the error's
+	 *                 sandboxLimit property names the exceeded limit, and the sandbox cannot be used after exceeding
+	 *                 its memory limit.
 	 * 
 	 * @example
 	 * // const sandbox = new Sandbox();
 	 * // const result = sandbox.run('2 + 3'); // Returns Reference containing 5
 	 */
 	run(code) {
-		// Delete non-deterministic APIs to ensure consistent results across deobfuscation runs
-		const script = this.vm.compileScriptSync('delete Math.random; delete Date;\n\n' + code);
-		return script.runSync(this.context, {
-			timeout: this.timeout,
-			reference: true,
-		});
+		if (this.isDisposed) throw new Error('The sandbox\'s isolate was disposed of');
+		this._runSkipped();
+		this.stateHash = generateHash(this.stateHash + code);
+		return this._run(code);
+	}
+
+	/**
+	 * Treat code as if it was run, without running it until the sandbox is used again. Used when the result of running
+	 * the code is already known, so that the sandbox's state and stateHash still match the results which follow it.
+	 * @param {string} code
+	 */
+	skip(code) {
+		this._skipped.push(code);
+		this.stateHash = generateHash(this.stateHash + code);
+	}
+
+	/**
+	 * Run the code which was skipped, ignoring its results.
+	 */
+	_runSkipped() {
+		const skipped = this._skipped;
+		this._skipped = [];
+		for (let i = 0; i < skipped.length; i++) {
+			try {
+				this._run(skipped[i]);
+			} catch {
+				// The code's result was already known, including a failure
+			}
+		}
+	}
+
+	/**
+	 * @param {string} code
+	 * @return {Reference} See run()
+	 */
+	_run(code) {
+		try {
+			// Delete non-deterministic APIs to ensure consistent results across deobfuscation runs
+			const prefix = this.seed === undefined ? 'delete Math.random; delete Date;' : `${RESET_DETERMINISTIC_APIS}();`;
+			const script = this.vm.compileScriptSync(prefix + '\n\n' + (this.captureSideEffects ? instrumentEvalCalls(code) : code));
+			return script.runSync(this.context, {
+				timeout: this.timeout,
+				reference: true,
+			});
+		} catch (e) {
+			const limit = getExceededLimit(e, this.vm);
+			if (limit) {
+				e.sandboxLimit = limit;
+				this.onLimitExceeded?.({limit, value: this[limit], code});
+			}
+			throw e;
+		} finally {
+			if (this.captureSideEffects && !this.isDisposed) this._reportSideEffects(code);
+		}
+	}
+
+	/**
+	 * Pass the side effects recorded while running the code to the onSideEffect option.
+	 * @param {string} code The code which was run
+	 */
+	_reportSideEffects(code) {
+		let sideEffects = [];
+		try {
+			sideEffects = this.context.evalSync(`${DRAIN_SIDE_EFFECTS}()`, {timeout: this.timeout, copy: true});
+		} catch {
+			// The recorded side effects are lost if the sandbox's state no longer allows to copy them
+		}
+		for (let i = 0; i < sideEffects.length; i++) {
+			this.onSideEffect?.({type: sideEffects[i].type, value: sideEffects[i].value, code});
+		}
+	}
+
+	/**
+	 * @return {boolean} True if the sandbox can no longer be used, since it or another sandbox on its isolate exceeded
+	 *                   the memory limit, or since its pool was disposed of.
+	 */
+	get isDisposed() {
+		return this.vm.isDisposed;
 	}
 
 	/**
@@ -0,0 +1,79 @@
+import pkg from 'isolated-vm';
+const {Isolate} = pkg;
+
+// Number of sandboxes created on an isolate before the pool creates a new one.
+// Sandboxes are cheap contexts on a shared isolate, but they share its memory limit as long as they are referenced.
+const DEFAULT_MAX_SANDBOXES_PER_ISOLATE = 50;
+
+/**
+ * Shares isolates between sandboxes, since creating an isolate is several times slower than creating a context.
+ *
+ * A sandbox created while a pool is set by runWithSandboxOptions() runs in a new context on one of the pool's isolates,
+ * so it starts from a clean global state like any new sandbox, and is otherwise unaware of the pool.
+ * Isolates are created on demand for each memory limit, and are replaced after hosting maxSandboxesPerIsolate sandboxes,
+ * or after being disposed of for exceeding their memory limit - which also ends the sandboxes which shared them.
+ *
+ * @example
+ * // const pool = new SandboxPool();
+ * // runWithSandboxOptions({pool}, () => [new Sandbox(), new Sandbox()]); // Both sandboxes share an isolate
+ * // pool.metrics; // {sandboxesCreated: 2, isolatesCreated: 1, isolatesReused: 1}
+ * // pool.dispose();
+ */
+export class SandboxPool {
+	/**
+	 * @param {Object} [options]
+	 * @param {number} [options.maxSandboxesPerIsolate] - Defaults to DEFAULT_MAX_SANDBOXES_PER_ISOLATE
+	 */
+	constructor({maxSandboxesPerIsolate = DEFAULT_MAX_SANDBOXES_PER_ISOLATE} = {}) {
+		this.maxSandboxesPerIsolate = maxSandboxesPerIsolate;
+		// The isolate new sandboxes are created on, and the number of sandboxes created on it, by memory limit
+		this._current = new Map();
+		// Every isolate the pool created and has yet to dispose of
+		this._isolates = new Set();
+		this.resetMetrics();
+	}
+
+	/**
+	 * @return {{sandboxesCreated: number, isolatesCreated: number, isolatesReused: number}} Counts since the last
+	 *         call to resetMetrics(), where isolatesReused is the number of sandboxes created on an existing isolate.
+	 */
+	get metrics() {
+		return {...this._metrics};
+	}
+
+	resetMetrics() {
+		this._metrics = {sandboxesCreated: 0, isolatesCreated: 0, isolatesReused: 0};
+	}
+
+	/**
+	 * Called by the Sandbox constructor.
+	 * @param {number} memoryLimit - The memory limit of the new sandbox, in MB
+	 * @return {Isolate} An isolate with the given memory limit for the new sandbox to create its context on.
+	 */
+	getIsolate(memoryLimit) {
+		this._metrics.sandboxesCreated++;
+		const current = this._current.get(memoryLimit);
+		if (current && !current.isolate.isDisposed && current.sandboxes < this.maxSandboxesPerIsolate) {
+			current.sandboxes++;
+			this._metrics.isolatesReused++;
+			return current.isolate;
+		}
+		const isolate = new Isolate({memoryLimit});
+		this._current.set(memoryLimit, {isolate, sandboxes: 1});
+		this._isolates.add(isolate);
+		this._metrics.isolatesCreated++;
+		return isolate;
+	}
+
+	/**
+	 * Dispose of every isolate the pool created. Sandboxes created on them can no longer be used,
+	 * while sandboxes created afterwards get new isolates.
+	 */
+	dispose() {
+		for (const isolate of this._isolates) {
+			if (!isolate.isDisposed) isolate.dispose();
+		}
+		this._isolates.clear();
+		this._current.clear();
+	}
+}
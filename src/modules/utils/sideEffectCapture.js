@@ -0,0 +1,147 @@
+import {generateFlatAST} from 'flast';
+
+// Name of the hidden global which records the code given to a direct eval call and returns it instrumented
+export const RECORD_EVAL = '__restringerRecordEval';
+
+// Name of the hidden global which stands for eval where it is not called directly, see instrumentEvalCalls()
+export const INDIRECT_EVAL = '__restringerIndirectEval';
+
+// Positions in which an eval identifier doesn't reference the global eval function
+const NON_REFERENCE_KEYS = ['params', 'id', 'label', 'left', 'local', 'imported', 'exported'];
+
+/**
+ * @param {ASTNode} n An eval identifier
+ * @return {boolean} True if the identifier references the global eval function and can be replaced by another reference.
+ */
+function isGlobalEvalReference(n) {
+	const parent = n.parentNode;
+	return !n.declNode && !NON_REFERENCE_KEYS.includes(n.parentKey) && !parent.shorthand &&
+		!(['key', 'property'].includes(n.parentKey) && !parent.computed) &&
+		!['UpdateExpression', 'ArrayPattern', 'RestElement'].includes(parent.type);
+}
+
+/**
+ * Instrument code so that the code given to eval is recorded without replacing the global eval function,
+ * which would turn direct eval calls into indirect ones and run them in the global scope instead of the caller's:
+ * - Direct calls keep calling eval, with their argument passed through RECORD_EVAL: eval(RECORD_EVAL(code))
+ * - Other references are replaced with INDIRECT_EVAL, which records the code and evaluates it in the global scope,
+ *   the same way eval does when it is not called directly: (0, INDIRECT_EVAL)(code)
+ * eval reached through a property (e.g. window.eval) is not recorded.
+ *
+ * @param {string} code
+ * @return {string} The instrumented code, or the code itself if it doesn't reference eval or cannot be parsed.
+ */
+export function instrumentEvalCalls(code) {
+	if (typeof code !== 'string' || !/\beval\b/.test(code)) return code;
+	const ast = generateFlatAST(code);
+	const identifiers = ast[0]?.typeMap?.Identifier || [];
+	// [start, end, replacement] of each replaced range
+	const replacements = [];
+	for (let i = 0; i < identifiers.length; i++) {
+		const n = identifiers[i];
+		if (n.name !== 'eval' || !isGlobalEvalReference(n)) continue;
+		if (n.parentKey === 'callee' && n.parentNode.type === 'CallExpression') {
+			const arg = n.parentNode.arguments[0];
+			if (arg) replacements.push([arg.range[0], arg.range[0], `${RECORD_EVAL}(`], [arg.range[1], arg.range[1], ')']);
+		} else replacements.push([n.range[0], n.range[1], INDIRECT_EVAL]);
+	}
+	// Replace from the end so that the ranges which were not replaced yet remain valid
+	replacements.sort((a, b) => b[0] - a[0] || b[1] - a[1]);
+	let instrumented = code;
+	for (const [start, end, replacement] of replacements) {
+		instrumented = instrumented.slice(0, start) + replacement + instrumented.slice(end);
+	}
+	return instrumented;
+}
+
+/**
+ * Instruments the given global object so that side effects of the code run on it are recorded:
+ * - console.<method>(...args): the arguments, joined by spaces
+ * - eval(code) and Function(...params, code), including Function reached through a constructor property: the code
+ * - setTimeout(code) and setInterval(code) with a string: the code
+ * - fetch(url) and XMLHttpRequest.open(method, url): the URL
+ *
+ * Evaluation results are not affected by the instrumentation.
+ * eval is recorded through the code being run, which must be instrumented with instrumentEvalCalls().
+ * APIs which don't exist in the sandbox (timers and network access) still fail after recording the attempt,
+ * so that code which depends on them is not resolved.
+ *
+ * This function is not called directly. Its source is evaluated inside a sandbox (see the captureSideEffects option of
+ * runWithSandboxOptions()), so it must not reference anything outside of its own body.
+ *
+ * @param {Object} global The sandbox's global object
+ * @param {Function} instrument instrumentEvalCalls(), called from the sandbox to instrument the code given to eval
+ * @param {string} recordEvalName RECORD_EVAL
+ * @param {string} indirectEvalName INDIRECT_EVAL
+ * @return {Function} Returns the side effects recorded since it was last called, as {type, value} objects.
+ */
+export function installSideEffectCapture(global, instrument, recordEvalName, indirectEvalName) {
+	let recorded = [];
+	const stringify = value => {
+		try {
+			if (typeof value === 'string') return value;
+			if (typeof value === 'object' && value !== null) return JSON.stringify(value) ?? String(value);
+			return String(value);
+		} catch {
+			return Object.prototype.toString.call(value);
+		}
+	};
+	const record = (type, value) => recorded.push({type, value: stringify(value)});
+	const unavailable = name => {
+		throw new ReferenceError(`${name} is not defined`);
+	};
+
+	const console = global.console || (global.console = {});
+	for (const method of ['log', 'info', 'warn', 'error', 'debug', 'trace', 'dir', 'table']) {
+		console[method] = (...args) => {
+			record(`console.${method}`, args.map(stringify).join(' '));
+		};
+	}
+
+	const recordEval = code => {
+		if (typeof code !== 'string') return code;
+		record('eval', code);
+		return instrument(code);
+	};
+	const originalEval = global.eval;
+	Object.defineProperty(global, recordEvalName, {value: recordEval});
+	Object.defineProperty(global, indirectEvalName, {value: code => originalEval(recordEval(code))});
+
+	const OriginalFunction = global.Function;
+	const CapturingFunction = function(...args) {
+		record('Function', args.length ? args[args.length - 1] : '');
+		return OriginalFunction(...args);
+	};
+	CapturingFunction.prototype = OriginalFunction.prototype;
+	OriginalFunction.prototype.constructor = CapturingFunction;
+	global.Function = CapturingFunction;
+
+	for (const name of ['setTimeout', 'setInterval']) {
+		if (global[name] !== undefined) continue;
+		global[name] = handler => {
+			if (typeof handler === 'string') record(name, handler);
+			unavailable(name);
+		};
+	}
+
+	if (global.fetch === undefined) {
+		global.fetch = resource => {
+			record('fetch', typeof resource === 'object' && resource !== null && 'url' in resource ? resource.url : resource);
+			unavailable('fetch');
+		};
+	}
+	if (global.XMLHttpRequest === undefined) {
+		global.XMLHttpRequest = class XMLHttpRequest {
+			open(method, url) {
+				record('XMLHttpRequest', `${String(method).toUpperCase()} ${stringify(url)}`);
+				unavailable('XMLHttpRequest');
+			}
+		};
+	}
+
+	return function drain() {
+		const drained = recorded;
+		recorded = [];
+		return drained;
+	};
+}
@@ -0,0 +1,49 @@
+/**
+ * AAencode Processor
+ *
+ * AAencode encodes a script using Japanese-style emoticons as variable names:
+ * ﾟωﾟﾉ= /｀ｍ´）ﾉ ~┻━┻   / ['_']; o=(ﾟｰﾟ)  =_=3; c=(ﾟΘﾟ) =(ﾟｰﾟ)-(ﾟｰﾟ); (ﾟДﾟ) =(ﾟΘﾟ)= (o^_^o)/ (o^_^o);...
+ * (where the regex is followed by a comment with another emoticon)
+ *
+ * The emoticons hold digits and letters taken from strings like 'false' and '[object Object]', which spell
+ * 'constructor' and 'return'. Like JJencode, the script's source is built by a function created from a string
+ * ('return"<escaped source>"'), and the result is compiled into a function which is immediately called.
+ *
+ * The encoded script is decoded the same way as JJencode (see captureDecodedScript()), and is replaced with
+ * the source it decodes to, which then goes through the main deobfuscation loop.
+ */
+import {Arborist} from 'flast';
+import {captureDecodedScript} from './jjencode.js';
+
+// The first statement of an AAencoded script, which assigns a regex decorated with an emoticon and a flipped table
+const AAENCODE_REGEX = /^\s*ﾟωﾟﾉ\s*=\s*\/｀ｍ´）ﾉ\s*~┻━┻\s*\//;
+
+/**
+ * @param {string} script
+ * @return {boolean} True if the script is AAencoded.
+ */
+export function isAAencoded(script) {
+	return AAENCODE_REGEX.test(script);
+}
+
+/**
+ * @param {Arborist} arb
+ * @return {ASTNode[]} The script's root node, since decoding evaluates the entire script.
+ */
+export function decodeAAencodeMatch(arb) {
+	return arb.ast[0] && isAAencoded(arb.script) ? [arb.ast[0]] : [];
+}
+
+/**
+ * Replace an AAencoded script with the script it decodes to.
+ * @param {Arborist} arb
+ * @return {Arborist} A new Arborist instance for the decoded script, or the given one if it could not be decoded.
+ */
+function decodeAAencode(arb) {
+	if (!decodeAAencodeMatch(arb).length) return arb;
+	const decoded = new Arborist(captureDecodedScript(arb.script));
+	return decoded.ast?.length ? decoded : arb;
+}
+
+export const preprocessors = [decodeAAencode];
+export const postprocessors = [];
@@ -1,10 +1,45 @@
 import {Arborist} from 'flast';
 import {safe} from '../modules/index.js';
+import {Sandbox} from '../modules/utils/sandbox.js';
 const {removeDeadNodes} = safe;
 
 const LINE_WITH_FINAL_ASSIGNMENT_REGEX = /(\w{3})\[.*]\s*=.*\((\w{3})\).*=\s*\1\s*\+\s*['"]/ms;
 const VARIABLE_CONTAINING_THE_INNER_LAYER_REGEX = /\(((\w{3}\()+(\w{3})\)*)\)/gms;
 
+// Replaces the Function constructor so that the code of every function created from a string is collected instead of compiled
+const CAPTURE_FUNCTION_CODE = `var __capturedFunctionCode = [];
+Function.prototype.constructor = function() {
+  __capturedFunctionCode.push(String(arguments[arguments.length - 1] ?? ''));
+  return function() {};
+};
+Function = Function.prototype.constructor;`;
+
+/**
+ * Run the outer layer in a sandbox with an emulated DOM, capturing the code it compiles into a function
+ * without running that code.
+ * @param {string} script The outer layer
+ * @return {string} The code of the last function created from a string, or an empty string if the outer layer
+ *                  could not be run or did not create one.
+ */
+function evalWithDom(script) {
+	try {
+		const sandbox = new Sandbox({dom: true});
+		sandbox.run(CAPTURE_FUNCTION_CODE);
+		sandbox.run(script);
+		return sandbox.run('__capturedFunctionCode[__capturedFunctionCode.length - 1] || \'\'').copySync();
+	} catch {
+		return '';
+	}
+}
+
+/**
+ * @param {Arborist} arb
+ * @return {ASTNode[]} The script's root node, since extracting the inner layer evaluates the entire outer layer.
+ */
+export function extractInnerLayerMatch(arb) {
+	return arb.ast[0] ? [arb.ast[0]] : [];
+}
+
 /**
  * Caesar+ Deobfuscator
  * The Caesar+ obfuscation comprises two layers:
@@ -27,10 +62,17 @@ const VARIABLE_CONTAINING_THE_INNER_LAYER_REGEX = /\(((\w{3}\()+(\w{3})\)*)\)/gm
  * 2. The inner layer contains a cnc check and other run-time limiters,
  *    but also the original target code, still obfuscated.
  *
+ * The outer layer is run in a sandbox with an emulated DOM, and the inner layer is captured when it is
+ * compiled into a function. Variants which cannot be run this way fall back to locating the final assignment
+ * in the code and replacing it with a statement outputting the inner layer instead.
+ *
  * @param {Arborist} arb
  * @return {Arborist}
  */
 function extractInnerLayer(arb) {
+	const innerLayer = evalWithDom(arb.script);
+	if (innerLayer) return new Arborist(innerLayer);
+
 	// The outer layer is a lot of code moved around and concatenated, but it all comes together in the last
 	// couple of lines where an object's toString is being replaced with the inner layer code, and then
 	// run when the object is being added to a string, implicitly invoking the object's toString method.
@@ -45,7 +87,6 @@ function extractInnerLayer(arb) {
 		const innerLayerVarMatches = VARIABLE_CONTAINING_THE_INNER_LAYER_REGEX.exec(lineToReplace);
 		const variableContainingTheInnerLayer = innerLayerVarMatches ? innerLayerVarMatches[0] : matches[2];
 		script = script.replace(lineToReplace, `console.log(${variableContainingTheInnerLayer}.toString());})();\n`);
-		// script = evalWithDom(script);
 		if (script) arb = new Arborist(script);
 	}
 	return arb;
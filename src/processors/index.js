@@ -1,12 +1,31 @@
+const jjencode = await import('./jjencode.js');
+const aaencode = await import('./aaencode.js');
+const packer = await import('./packer.js');
+const obfuscatorIo = await import('./obfuscator.io.js');
+
 /**
  * Mapping specific obfuscation type to their processors, which are lazily loaded.
  */
 export const processors = {
 	'caesar_plus': await import('./caesarp.js'),
-	'obfuscator.io': await import('./obfuscator.io.js'),
+	'jjencode': jjencode,
+	'aaencode': aaencode,
+	'packer': packer,
+	'obfuscator.io': obfuscatorIo,
 	'augmented_array_replacements': await import('./augmentedArray.js'),
 	'function_to_array_replacements': await import('./functionToArray.js'),
 	'proxied_augmented_array_replacements': await import('./augmentedArray.js'),
 	'augmented_array_function_replacements': await import('./augmentedArray.js'),
 	'augmented_proxied_array_function_replacements': await import('./augmentedArray.js'),
 };
+
+/**
+ * Obfuscation types which the obfuscation detector doesn't recognize, mapped to functions which are given the script
+ * and return true if it is obfuscated with that type.
+ */
+export const detectors = {
+	'jjencode': jjencode.isJJencoded,
+	'aaencode': aaencode.isAAencoded,
+	'packer': packer.isPacked,
+	'obfuscator.io': obfuscatorIo.isObfuscatorIo,
+};
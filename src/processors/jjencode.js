@@ -0,0 +1,80 @@
+/**
+ * JJencode Processor
+ *
+ * JJencode encodes a script using only symbols and the name of a single global variable:
+ * $=~[];$={___:++$,$$$$:(![]+"")[$],__$:++$,...};$.$_=...;$.$$=...;$.$=($.___)[$.$_][$.$_];$.$($.$($.$$+"\""+...+"\"")())();
+ *
+ * The variable is populated with digits and with letters taken from strings like 'false' and '[object Object]',
+ * which spell 'constructor' and 'return'. The script's source is built by a function created from a string
+ * ('return"<escaped source>"'), and the result is compiled into a function which is immediately called.
+ *
+ * The encoded script is run in a sandbox which captures the code compiled by the Function constructor,
+ * and is replaced with the source it decodes to, which then goes through the main deobfuscation loop.
+ */
+import {Arborist} from 'flast';
+import {Sandbox} from '../modules/utils/sandbox.js';
+
+// The first statements of a JJencoded script, where the global variable is the only name used. E.g. $=~[];$={___:++$,
+const JJENCODE_REGEX = /^\s*([\w$]+)\s*=\s*~\s*\[\s*]\s*;\s*\1\s*=\s*\{\s*___\s*:\s*\+\+\s*\1\s*,/;
+
+// Replaces the Function constructor so that the code of every function created from a string is collected.
+// Functions which only return a string are compiled, since that is how the encoded source is built,
+// while the decoded script is collected without being compiled.
+const CAPTURE_FUNCTION_CODE = `var __capturedFunctionCode = [];
+(function() {
+  var OriginalFunction = Function;
+  Function.prototype.constructor = function() {
+    var code = String(arguments[arguments.length - 1] ?? '');
+    __capturedFunctionCode.push(code);
+    return /^\\s*return\\s*["']/.test(code) ? OriginalFunction.apply(null, arguments) : function() {};
+  };
+  Function = Function.prototype.constructor;
+})();`;
+
+/**
+ * Run an encoded script in a sandbox, and capture the script it decodes to when it is compiled into a function,
+ * without running the decoded script.
+ * @param {string} script The encoded script
+ * @return {string} The code of the last function created from a string which isn't part of the decoding,
+ *                  or an empty string if the encoded script could not be run or did not create one.
+ */
+export function captureDecodedScript(script) {
+	try {
+		const sandbox = new Sandbox();
+		sandbox.run(CAPTURE_FUNCTION_CODE);
+		sandbox.run(script);
+		return sandbox.run(`__capturedFunctionCode.filter(c => !/^\\s*return\\s*["']/.test(c)).pop() || ''`).copySync();
+	} catch {
+		return '';
+	}
+}
+
+/**
+ * @param {string} script
+ * @return {boolean} True if the script is JJencoded.
+ */
+export function isJJencoded(script) {
+	return JJENCODE_REGEX.test(script);
+}
+
+/**
+ * @param {Arborist} arb
+ * @return {ASTNode[]} The script's root node, since decoding evaluates the entire script.
+ */
+export function decodeJJencodeMatch(arb) {
+	return arb.ast[0] && isJJencoded(arb.script) ? [arb.ast[0]] : [];
+}
+
+/**
+ * Replace a JJencoded script with the script it decodes to.
+ * @param {Arborist} arb
+ * @return {Arborist} A new Arborist instance for the decoded script, or the given one if it could not be decoded.
+ */
+function decodeJJencode(arb) {
+	if (!decodeJJencodeMatch(arb).length) return arb;
+	const decoded = new Arborist(captureDecodedScript(arb.script));
+	return decoded.ast?.length ? decoded : arb;
+}
+
+export const preprocessors = [decodeJJencode];
+export const postprocessors = [];
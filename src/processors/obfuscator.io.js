@@ -13,9 +13,20 @@
  * This processor bypasses the protection by replacing the tested functions with
  * strings that pass the validation tests, effectively "freezing" their values.
  * 
+ * It also resolves the string array: an array of (possibly base64 or RC4 encoded) strings,
+ * rotated by an IIFE, and read through a decoder function which may be called through
+ * chains of wrapper functions and variables. The chain is evaluated once for every call
+ * with literal arguments, and the calls are replaced with the decoded strings.
+ * 
+ * Guards injected by the selfDefending, disableConsoleOutput, debugProtection and domainLock options are removed,
+ * both before and after the main deobfuscation loop, since their strings may only be decoded by it.
+ * 
  * Combined with augmentedArray processors for comprehensive obfuscator.io support.
  */
+import {generateCode} from 'flast';
 import * as augmentedArrayProcessors from './augmentedArray.js';
+import {utils} from '../modules/index.js';
+const {evalInVm, getDescendants, isNodeInRanges} = utils.default;
 
 // String literal values that trigger debug protection mechanisms
 const DEBUG_PROTECTION_TRIGGERS = ['newState', 'removeCookie'];
@@ -120,5 +131,595 @@ function freezeUnbeautifiedValues(arb, candidateFilter = () => true) {
 	return arb;
 }
 
-export const preprocessors = [freezeUnbeautifiedValues, ...augmentedArrayProcessors.preprocessors];
+/**
+ * @param {ASTNode} n
+ * @return {boolean} True if the node is an array with only string literals.
+ */
+function isStringArray(n) {
+	return n?.type === 'ArrayExpression' && n.elements.length > 0 &&
+		n.elements.every(e => e?.type === 'Literal' && typeof e.value === 'string');
+}
+
+/**
+ * @param {ASTNode} n
+ * @return {boolean} True if the node can be evaluated on its own as a decoder argument. E.g. 0x1b3, 'key', -0x2a.
+ */
+function isLiteralArgument(n) {
+	return n.type === 'Literal' || (n.type === 'UnaryExpression' && n.argument.type === 'Literal');
+}
+
+/**
+ * @param {ASTNode} n
+ * @return {ASTNode} The statement at the top level of the script which contains the node.
+ */
+function getTopLevelStatement(n) {
+	while (n.parentNode && n.parentNode.type !== 'Program') n = n.parentNode;
+	return n;
+}
+
+/**
+ * Finds the string arrays declared at the top level of the script, either as an array variable
+ * or as a function which returns the array and replaces itself with a function returning the same array:
+ * function a() {var b = ['...']; a = function () {return b;}; return a();}
+ *
+ * @param {Arborist} arb - Arborist instance containing the AST
+ * @return {{id: ASTNode, statement: ASTNode}[]} The identifier declaring each array, and the statement declaring it.
+ */
+function findStringArrays(arb) {
+	const stringArrays = [];
+	const functions = arb.ast[0].typeMap.FunctionDeclaration;
+	for (let i = 0; i < functions.length; i++) {
+		const n = functions[i];
+		if (n.parentNode?.type === 'Program' &&
+			n.body.body[0]?.type === 'VariableDeclaration' &&
+			isStringArray(n.body.body[0].declarations[0]?.init) &&
+			n.id.references?.some(r => r.parentKey === 'left' && r.parentNode.type === 'AssignmentExpression')) {
+			stringArrays.push({id: n.id, statement: n});
+		}
+	}
+	const declarators = arb.ast[0].typeMap.VariableDeclarator;
+	for (let i = 0; i < declarators.length; i++) {
+		const n = declarators[i];
+		if (n.parentNode.parentNode?.type === 'Program' && n.parentNode.declarations.length === 1 &&
+			n.id.type === 'Identifier' && isStringArray(n.init)) {
+			stringArrays.push({id: n.id, statement: n.parentNode});
+		}
+	}
+	return stringArrays;
+}
+
+/**
+ * @param {ASTNode} n - A function node
+ * @return {ASTNode|null} The identifier the function is declared with, if it is a function declaration
+ *                        or a function expression assigned in a variable declaration.
+ */
+function getFunctionId(n) {
+	if (n.type === 'FunctionDeclaration') return n.id;
+	if (n.type === 'FunctionExpression' && n.parentKey === 'init') return n.parentNode.id;
+	return null;
+}
+
+/**
+ * @param {ASTNode} call - A call to one of the chain's functions
+ * @return {ASTNode|null} The function the call is wrapped by, if the function only returns the call,
+ *                        and the call's arguments only depend on the function's parameters.
+ */
+function getWrappingFunction(call) {
+	if (call.parentNode.type !== 'ReturnStatement' || call.parentNode.parentNode.body?.length !== 1) return null;
+	const func = call.parentNode.parentNode.parentNode;
+	if (!getFunctionId(func)) return null;
+	const isArgumentSafe = arg => [arg, ...getDescendants(arg)].every(d =>
+		d.type !== 'Identifier' || func.params.includes(d.declNode));
+	return call.arguments.every(isArgumentSafe) ? func : null;
+}
+
+/**
+ * @param {ASTNode} id - The identifier declaring a function or an alias
+ * @return {ASTNode} The statement to remove in order to remove the declaration.
+ */
+function getDeclarationStatement(id) {
+	const declarator = id.parentNode.type === 'VariableDeclarator' ? id.parentNode :
+		id.parentNode.type === 'FunctionExpression' ? id.parentNode.parentNode : null;
+	if (!declarator) return id.parentNode;
+	return declarator.parentNode.declarations.length === 1 ? declarator.parentNode : declarator;
+}
+
+/**
+ * Finds the decoder chain of a string array:
+ * - Decoders - functions at the top level of the script which read the string array
+ * - Rotations - IIFEs at the top level of the script which are given the string array, and shuffle it
+ * - Wrappers - functions which only return a call to a decoder or to another wrapper, and variables which are
+ *   assigned one of them (javascript-obfuscator's stringArrayWrappersType 'function' and 'variable')
+ * - Calls - calls to a decoder or a wrapper with literal arguments, which can be replaced with the strings they return
+ *
+ * @param {{id: ASTNode, statement: ASTNode}} stringArray - See findStringArrays()
+ * @return {Object|null} {stringArray, decoders, rotations, wrappers, calls, isComplete}, where decoders and rotations are
+ *   top level statements, wrappers are {id, node, target} where node is the wrapping function or null for an alias,
+ *   and isComplete is true if the calls are the only references to the chain outside of it. Null if there are no decoders.
+ */
+function findDecoderChain(stringArray) {
+	const decoders = [], rotations = [];
+	for (const ref of stringArray.id.references || []) {
+		const statement = getTopLevelStatement(ref);
+		if (statement === stringArray.statement || decoders.includes(statement) || rotations.includes(statement)) continue;
+		const decoderFunc = statement.type === 'FunctionDeclaration' ? statement :
+			statement.type === 'VariableDeclaration' && statement.declarations.length === 1 &&
+			statement.declarations[0].init?.type === 'FunctionExpression' ? statement.declarations[0].init : null;
+		if (decoderFunc) decoders.push(statement);
+		else if (statement.type === 'ExpressionStatement' && ref.parentKey === 'arguments' &&
+			ref.parentNode.callee.type === 'FunctionExpression' && getTopLevelStatement(ref.parentNode) === statement) {
+			rotations.push(statement);
+		} else return null;
+	}
+	if (!decoders.length) return null;
+	const chainRanges = [stringArray.statement, ...decoders, ...rotations].map(n => n.range);
+	const wrappers = [], calls = [];
+	let isComplete = true;
+	const queue = decoders.map(d => d.type === 'FunctionDeclaration' ? d.id : d.declarations[0].id);
+	const chainIds = new Set(queue);
+	while (queue.length) {
+		const id = queue.shift();
+		for (const ref of id.references || []) {
+			if (isNodeInRanges(ref, chainRanges) || wrappers.some(w => w.node && isNodeInRanges(ref, [w.node.range]))) continue;
+			let wrapperId = null, wrapperNode = null;
+			if (ref.parentKey === 'callee') {
+				if (ref.parentNode.arguments.every(isLiteralArgument)) {
+					calls.push(ref.parentNode);
+					continue;
+				}
+				wrapperNode = getWrappingFunction(ref.parentNode);
+				wrapperId = wrapperNode && getFunctionId(wrapperNode);
+			} else if (ref.parentKey === 'init' && ref.parentNode.id.type === 'Identifier' &&
+				!ref.parentNode.id.references?.some(r => r.parentKey === 'left' && r.parentNode.type === 'AssignmentExpression')) {
+				wrapperId = ref.parentNode.id;
+			}
+			if (wrapperId && !chainIds.has(wrapperId)) {
+				chainIds.add(wrapperId);
+				wrappers.push({id: wrapperId, node: wrapperNode, target: id});
+				queue.push(wrapperId);
+			} else if (!wrapperId) isComplete = false;
+		}
+	}
+	// Calls found before the wrapper containing them was known are part of the chain
+	const wrapperRanges = wrappers.filter(w => w.node).map(w => w.node.range);
+	const outerCalls = calls.filter(c => !isNodeInRanges(c, wrapperRanges));
+	return {stringArray, decoders, rotations, wrappers, calls: outerCalls, isComplete};
+}
+
+/**
+ * Identifies the calls to string array decoders, directly or through wrappers, which can be replaced with the strings
+ * they return. See findDecoderChain().
+ *
+ * @param {Arborist} arb - Arborist instance containing the AST
+ * @param {Function} [candidateFilter=(() => true)] - Optional filter function for additional criteria
+ * @return {ASTNode[]} Array of CallExpression nodes with literal arguments
+ */
+export function stringArrayDecoderMatch(arb, candidateFilter = () => true) {
+	const matches = [];
+	const stringArrays = findStringArrays(arb);
+	for (let i = 0; i < stringArrays.length; i++) {
+		const chain = findDecoderChain(stringArrays[i]);
+		if (chain) matches.push(...chain.calls.filter(c => candidateFilter(c)));
+	}
+	return matches;
+}
+
+/**
+ * Evaluates a string array's decoder chain once for all of its calls, and replaces each call with the string it
+ * returned. Once every reference to the chain is replaced, the string array, decoders, rotations and wrappers are removed.
+ *
+ * @param {Arborist} arb - Arborist instance containing the AST
+ * @param {Object} chain - See findDecoderChain()
+ * @param {ASTNode[]} calls - The chain's calls to replace
+ * @return {Arborist} The modified Arborist instance
+ */
+function stringArrayDecoderTransform(arb, chain, calls) {
+	// Wrappers may share names with each other or with the decoders, so they are renamed in the sandbox
+	const names = new Map();
+	const getName = id => names.get(id) || id.name;
+	const wrappersSrc = chain.wrappers.map((w, i) => {
+		names.set(w.id, `_wrapper${i}`);
+		if (!w.node) return `var ${getName(w.id)} = ${getName(w.target)};`;
+		const call = w.node.body.body[0].argument;
+		return `function ${getName(w.id)}(${w.node.params.map(p => p.src).join(', ')}) {` +
+			`return ${getName(w.target)}(${call.arguments.map(a => a.src).join(', ')});}`;
+	});
+	// With selfDefending, decoders test their own source and return wrong strings unless it is compact.
+	// The script may have been beautified, so the chain is evaluated as compact code
+	const chainSrc = [chain.stringArray.statement, ...chain.decoders, ...chain.rotations]
+		.sort((a, b) => a.range[0] - b.range[0])
+		.map(n => generateCode(n, {format: {compact: true}}));
+	const callsSrc = calls.map(c => `(() => {try {return ${getName(c.callee.declNode)}(${c.arguments.map(a => a.src).join(', ')});} catch {}})()`);
+	const result = evalInVm([...chainSrc, ...wrappersSrc, `[${callsSrc.join(',\n')}];`].join('\n'));
+	if (result === evalInVm.BAD_VALUE || result.type !== 'ArrayExpression') return arb;
+	let replaced = 0;
+	for (let i = 0; i < calls.length; i++) {
+		const decoded = result.elements[i];
+		if (decoded?.type === 'Literal' && typeof decoded.value === 'string') {
+			arb.markNode(calls[i], decoded);
+			replaced++;
+		}
+	}
+	if (chain.isComplete && replaced === chain.calls.length) {
+		const statements = new Set([chain.stringArray.statement, ...chain.decoders, ...chain.rotations,
+			...chain.wrappers.map(w => getDeclarationStatement(w.id))]);
+		for (const n of statements) arb.markNode(n);
+	}
+	return arb;
+}
+
+// javascript-obfuscator's string array function: function a() {var b = ['...']; a = function () {return b;}; return a();}
+const STRING_ARRAY_FUNCTION_REGEX = /function\s+([\w$]+)\s*\(\)\s*\{\s*(?:var|let|const)\s+([\w$]+)\s*=\s*\[[^]*?\]\s*;\s*\1\s*=\s*function\s*\(\)\s*\{\s*return\s+\2\s*;?\s*\}\s*;?\s*return\s+\1\s*\(\)/;
+
+// The start of javascript-obfuscator's call controller, see isCallController()
+const CALL_CONTROLLER_REGEX = /\(function\s*\(\)\s*\{\s*(?:var|let|const)\s+([\w$]+)\s*=\s*!!\[\]\s*;\s*return\s+function\s*\(\s*[\w$]+\s*,\s*([\w$]+)\s*\)\s*\{\s*(?:var|let|const)\s+[\w$]+\s*=\s*\1\s*\?\s*function\s*\(\)\s*\{\s*if\s*\(\s*\2\s*\)/;
+
+/**
+ * The obfuscation detector recognizes javascript-obfuscator's string array as an augmented array when its calls are
+ * wrapped, and doesn't recognize the protections on their own.
+ *
+ * @param {string} script
+ * @return {boolean} True if the script contains javascript-obfuscator's string array function or call controller.
+ */
+export function isObfuscatorIo(script) {
+	return STRING_ARRAY_FUNCTION_REGEX.test(script) || CALL_CONTROLLER_REGEX.test(script);
+}
+
+/**
+ * Resolves javascript-obfuscator's string array (stringArrayEncoding 'none', 'base64' or 'rc4'), by replacing calls
+ * to its decoders and their wrappers with the decoded strings.
+ *
+ * @param {Arborist} arb - Arborist instance containing the AST
+ * @param {Function} [candidateFilter=(() => true)] - Optional filter function for additional criteria
+ * @return {Arborist} The modified Arborist instance
+ *
+ * @example
+ * // Before: function _0x1c3a() {...} function _0x2b1f(a, b) {...} (function (a, b) {...}(_0x1c3a, 0x1d3b2));
+ * //         function _0x4e2a(a, b) {return _0x2b1f(a - 0x12, b);} console[_0x4e2a(0x1b3, 'k3Lz')]('hi');
+ * // After:  console['log']('hi');
+ */
+export function resolveStringArrayDecoders(arb, candidateFilter = () => true) {
+	const stringArrays = findStringArrays(arb);
+	for (let i = 0; i < stringArrays.length; i++) {
+		const chain = findDecoderChain(stringArrays[i]);
+		const calls = chain?.calls.filter(c => candidateFilter(c));
+		if (calls?.length) arb = stringArrayDecoderTransform(arb, chain, calls);
+	}
+	return arb;
+}
+
+// The regexes selfDefending tests a function's source with, which backtrack catastrophically once the script is beautified
+const SELF_DEFENDING_PATTERNS = ['(((.+)+)+)+$', '^([^ ]+( +[^ ]+)+)+[^ ]}'];
+
+// The console methods disableConsoleOutput replaces with empty functions
+const DISABLED_CONSOLE_METHODS = ['log', 'warn', 'info', 'error', 'exception', 'table', 'trace'];
+
+// The names domainLock looks up in the global object in order to find the page's hostname
+const DOMAIN_LOCK_NAMES = ['document', 'domain', 'location', 'hostname'];
+
+/**
+ * @param {ASTNode} n
+ * @return {number|null} The value of a numeric literal.
+ */
+function getNumber(n) {
+	return n?.type === 'Literal' && typeof n.value === 'number' ? n.value : null;
+}
+
+/**
+ * domainLock doesn't name what it looks up, but compares the global object's keys with some of their characters,
+ * given as pairs of index and char code: [0x7, 0x74, 0x5, 0x65, 0x3, 0x75, 0x0, 0x64] matches 'document'.
+ *
+ * @param {ASTNode} n
+ * @return {Set<string>} The DOMAIN_LOCK_NAMES the node's string literals and char code arrays match.
+ */
+function getDomainLockNames(n) {
+	const names = new Set([...getStringValues(n)].filter(v => DOMAIN_LOCK_NAMES.includes(v)));
+	for (const d of getDescendants(n)) {
+		const numbers = d.type === 'ArrayExpression' ? d.elements.map(getNumber) : [];
+		if (!numbers.length || numbers.length % 2 || numbers.includes(null)) continue;
+		for (const name of DOMAIN_LOCK_NAMES) {
+			let isMatch = true;
+			for (let i = 0; i < numbers.length && isMatch; i += 2) isMatch = name.charCodeAt(numbers[i]) === numbers[i + 1];
+			if (isMatch) names.add(name);
+		}
+	}
+	return names;
+}
+
+/**
+ * @param {ASTNode} n
+ * @return {string|null} The value of a string literal, or of a concatenation of string literals. E.g. 'debu' + 'gger'
+ */
+function getStaticString(n) {
+	if (n?.type === 'Literal') return typeof n.value === 'string' ? n.value : null;
+	if (n?.type === 'BinaryExpression' && n.operator === '+') {
+		const left = getStaticString(n.left), right = getStaticString(n.right);
+		return left !== null && right !== null ? left + right : null;
+	}
+	return null;
+}
+
+/**
+ * @param {ASTNode} n
+ * @return {Set<string>} The values of the string literals in the node, and the patterns of its regex literals.
+ */
+function getStringValues(n) {
+	const values = new Set();
+	for (const d of getDescendants(n)) {
+		if (d.type !== 'Literal') continue;
+		if (d.regex) values.add(d.regex.pattern);
+		else if (typeof d.value === 'string') values.add(d.value);
+	}
+	return values;
+}
+
+/**
+ * @param {ASTNode} n
+ * @param {ASTNode} sibling - A statement in a block or in the script's body
+ * @return {ASTNode|null} The statement which contains the node and is in the same block as the sibling.
+ */
+function getSiblingStatement(n, sibling) {
+	while (n && !(n.parentNode === sibling.parentNode && n.parentKey === sibling.parentKey)) n = n.parentNode;
+	return n && Array.isArray(n.parentNode?.[n.parentKey]) ? n : null;
+}
+
+/**
+ * @param {ASTNode} id
+ * @return {boolean} True if the identifier declares javascript-obfuscator's call controller, which wraps a function
+ *   so that it only runs once: const a = (function () {let b = true; return function (c, d) {...};}());
+ */
+function isCallController(id) {
+	const init = id?.parentNode?.type === 'VariableDeclarator' && id.parentKey === 'id' ? id.parentNode.init : null;
+	if (init?.type !== 'CallExpression' || init.callee.type !== 'FunctionExpression') return false;
+	const lastStatement = init.callee.body.body.slice(-1)[0];
+	return lastStatement?.type === 'ReturnStatement' && lastStatement.argument?.type === 'FunctionExpression' &&
+		lastStatement.argument.params.length === 2;
+}
+
+/**
+ * @param {ASTNode} n
+ * @return {ASTNode|null} The expression statement the node can be removed from on its own: the node is either
+ *   the statement's expression, or one of the expressions of the statement's sequence: a(), console.log(b);
+ */
+function getExpressionStatement(n) {
+	const statement = n.parentNode?.type === 'SequenceExpression' && n.parentKey === 'expressions' ? n.parentNode.parentNode : n.parentNode;
+	return statement?.type === 'ExpressionStatement' ? statement : null;
+}
+
+/**
+ * @param {ASTNode} n
+ * @param {ASTNode} sibling - A statement in a block or in the script's body
+ * @return {boolean} True if the node can be removed on its own from a statement in the same block as the sibling.
+ *   See getExpressionStatement()
+ */
+function isRemovableExpression(n, sibling) {
+	const statement = getExpressionStatement(n);
+	return !!statement && getSiblingStatement(statement, sibling) === statement;
+}
+
+/**
+ * Finds the guards javascript-obfuscator injects with its call controller, which are called right after they are declared,
+ * possibly along with the code they were injected into:
+ * var a = callController(this, function () {...}); a(), console.log('b');
+ *
+ * @param {Arborist} arb - Arborist instance containing the AST
+ * @param {Function} candidateFilter - Filter function applied to the guards' declarators
+ * @return {{func: ASTNode, statements: ASTNode[]}[]} The function each guard wraps, the node which declares it,
+ *   and the calls to it.
+ */
+function findGuards(arb, candidateFilter) {
+	const guards = [];
+	const declarators = arb.ast[0].typeMap.VariableDeclarator;
+	for (let i = 0; i < declarators.length; i++) {
+		const n = declarators[i];
+		const func = n.init?.arguments?.[1];
+		if (n.id.type !== 'Identifier' || n.init?.type !== 'CallExpression' || !isCallController(n.init.callee.declNode) ||
+			n.init.arguments[0].type !== 'ThisExpression' || func?.type !== 'FunctionExpression' ||
+			!Array.isArray(n.parentNode.parentNode[n.parentNode.parentKey]) || !candidateFilter(n)) continue;
+		const statements = [getDeclarationStatement(n.id)];
+		for (const ref of n.id.references || []) {
+			if (isNodeInRanges(ref, [func.range])) continue;
+			const call = ref.parentKey === 'callee' && !ref.parentNode.arguments.length ? ref.parentNode : null;
+			if (!call || !isRemovableExpression(call, n.parentNode)) {
+				statements.length = 0;
+				break;
+			}
+			statements.push(call);
+		}
+		if (statements.length) guards.push({func, statements});
+	}
+	return guards;
+}
+
+/**
+ * Removes the statements, along with the call controllers they use once no other code uses them.
+ * Declarations and sequences whose every declarator or expression is removed are removed as a whole.
+ *
+ * @param {Arborist} arb - Arborist instance containing the AST
+ * @param {ASTNode[]} statements - Statements, declarators, or expressions of a statement's sequence
+ * @return {Arborist} The modified Arborist instance
+ */
+function removeProtectionStatements(arb, statements) {
+	const removed = new Set(statements);
+	const ranges = statements.map(s => s.range);
+	for (const s of statements) {
+		for (const d of getDescendants(s)) {
+			const controllerId = d.type === 'CallExpression' && d.callee.type === 'Identifier' ? d.callee.declNode : null;
+			if (isCallController(controllerId) && controllerId.references.every(r => isNodeInRanges(r, ranges))) {
+				removed.add(getDeclarationStatement(controllerId));
+			}
+		}
+	}
+	for (const n of removed) {
+		const parent = n.parentNode;
+		const siblings = ['declarations', 'expressions'].includes(n.parentKey) ? parent[n.parentKey] : null;
+		if (siblings?.every(sibling => removed.has(sibling))) removed.add(parent);
+	}
+	const removedRanges = [...removed].map(n => n.range);
+	for (const n of removed) {
+		// Nodes within a removed parent are removed along with it
+		if (!isNodeInRanges(n.parentNode, removedRanges)) arb.markNode(n);
+	}
+	return arb;
+}
+
+/**
+ * Removes javascript-obfuscator's selfDefending guard, which hangs the script once it is beautified,
+ * by testing the guard's own source with a regex which backtracks catastrophically unless the source is compact.
+ *
+ * @param {Arborist} arb - Arborist instance containing the AST
+ * @param {Function} [candidateFilter=(() => true)] - Optional filter function for additional criteria
+ * @return {Arborist} The modified Arborist instance
+ *
+ * @example
+ * // Before: const _0x3c = _0x1d(this, function () {return _0x3c.toString().search('(((.+)+)+)+$')...;}); _0x3c();
+ * // After:  (removed)
+ */
+export function removeSelfDefending(arb, candidateFilter = () => true) {
+	const guards = findGuards(arb, candidateFilter).filter(g => {
+		const values = getStringValues(g.func);
+		return SELF_DEFENDING_PATTERNS.some(p => values.has(p));
+	});
+	return guards.length ? removeProtectionStatements(arb, guards.flatMap(g => g.statements)) : arb;
+}
+
+/**
+ * Removes javascript-obfuscator's disableConsoleOutput guard, which replaces the console's methods with empty functions.
+ *
+ * @param {Arborist} arb - Arborist instance containing the AST
+ * @param {Function} [candidateFilter=(() => true)] - Optional filter function for additional criteria
+ * @return {Arborist} The modified Arborist instance
+ *
+ * @example
+ * // Before: const _0x4f = _0x1d(this, function () {... const m = ['log', 'warn', 'info', ...]; ...}); _0x4f();
+ * // After:  (removed)
+ */
+export function removeConsoleOutputDisabling(arb, candidateFilter = () => true) {
+	const guards = findGuards(arb, candidateFilter).filter(g => {
+		const values = getStringValues(g.func);
+		return DISABLED_CONSOLE_METHODS.every(m => values.has(m));
+	});
+	return guards.length ? removeProtectionStatements(arb, guards.flatMap(g => g.statements)) : arb;
+}
+
+/**
+ * Removes javascript-obfuscator's domainLock guard, which stops the script or redirects the page
+ * when it runs on a domain other than the ones it was locked to.
+ *
+ * @param {Arborist} arb - Arborist instance containing the AST
+ * @param {Function} [candidateFilter=(() => true)] - Optional filter function for additional criteria
+ * @return {Arborist} The modified Arborist instance
+ */
+export function removeDomainLock(arb, candidateFilter = () => true) {
+	const guards = findGuards(arb, candidateFilter).filter(g => getDomainLockNames(g.func).size === DOMAIN_LOCK_NAMES.length);
+	return guards.length ? removeProtectionStatements(arb, guards.flatMap(g => g.statements)) : arb;
+}
+
+/**
+ * @param {ASTNode} n
+ * @return {boolean} True if the node creates a function which runs a debugger statement or loops forever:
+ *   function () {}.constructor('debu' + 'gger')
+ */
+function isDebuggerTrap(n) {
+	if (n.type !== 'CallExpression' || n.callee.type !== 'MemberExpression') return false;
+	const property = n.callee.property;
+	return (property.name || property.value) === 'constructor' &&
+		['debugger', 'while (true) {}'].includes(getStaticString(n.arguments[0]));
+}
+
+/**
+ * @param {ASTNode} ref - A reference to the debugProtection function
+ * @param {ASTNode} func - The debugProtection function
+ * @return {ASTNode|null} The IIFE which runs the guard the reference is in, if the IIFE can be removed:
+ *   (function () {callController(this, function () {... ref('init') ...})();}())
+ */
+function getDebugProtectionGuard(ref, func) {
+	// Guards may be nested in the dead branches of their own guard function
+	for (let guardFunc = ref.parentNode; guardFunc; guardFunc = guardFunc.parentNode) {
+		if (guardFunc.type !== 'FunctionExpression' || guardFunc.parentKey !== 'arguments') continue;
+		const controllerCall = guardFunc.parentNode;
+		if (controllerCall.arguments[1] !== guardFunc || controllerCall.callee.type !== 'Identifier' ||
+			!isCallController(controllerCall.callee.declNode)) continue;
+		const guardCall = controllerCall.parentKey === 'callee' ? controllerCall.parentNode : null;
+		const iifeBody = guardCall?.parentNode?.type === 'ExpressionStatement' ? guardCall.parentNode.parentNode : null;
+		const iife = iifeBody?.body?.length === 1 && iifeBody.parentNode.type === 'FunctionExpression' &&
+			iifeBody.parentNode.parentKey === 'callee' ? iifeBody.parentNode.parentNode : null;
+		// The guard is injected into the first function the script calls, or into the script itself
+		if (iife && getExpressionStatement(iife) && !isNodeInRanges(iife, [func.range])) return iife;
+	}
+	return null;
+}
+
+/**
+ * @param {ASTNode} ref - A reference to the debugProtection function
+ * @param {ASTNode} func - The debugProtection function
+ * @return {ASTNode|null} The IIFE which sets the function on an interval, if the IIFE only gets the global object
+ *   before doing so, and can be removed from the function's block:
+ *   (function () {var a; try {a = Function('return this')();} catch (b) {a = window;} a['setInterval'](ref, 0xfa0);}())
+ */
+function getDebugProtectionInterval(ref, func) {
+	const call = ref.parentKey === 'arguments' && ref.parentNode.arguments[0] === ref ? ref.parentNode : null;
+	const callee = call?.callee;
+	const isSetInterval = callee?.type === 'Identifier' ? callee.name === 'setInterval' :
+		callee?.type === 'MemberExpression' && callee.object.type === 'Identifier' &&
+		(callee.property.name || callee.property.value) === 'setInterval';
+	if (!isSetInterval || call.arguments.length !== 2 || getNumber(call.arguments[1]) === null ||
+		call.parentNode.type !== 'ExpressionStatement') return null;
+	const body = call.parentNode.parentNode;
+	const iife = body.type === 'BlockStatement' && body.parentNode.type === 'FunctionExpression' &&
+		body.parentNode.parentKey === 'callee' && !body.parentNode.parentNode.arguments.length ? body.parentNode.parentNode : null;
+	if (!iife || body.body.slice(-1)[0] !== call.parentNode ||
+		!body.body.slice(0, -1).every(st => ['VariableDeclaration', 'TryStatement'].includes(st.type))) return null;
+	return isRemovableExpression(iife, func) ? iife : null;
+}
+
+/**
+ * Removes javascript-obfuscator's debugProtection function, which traps the debugger in an endless loop,
+ * along with the guard which calls it and the IIFE which sets it on an interval (debugProtectionInterval).
+ * The function is only removed if it is used by nothing else.
+ *
+ * @param {Arborist} arb - Arborist instance containing the AST
+ * @param {Function} [candidateFilter=(() => true)] - Optional filter function for additional criteria
+ * @return {Arborist} The modified Arborist instance
+ *
+ * @example
+ * // Before: function hi() {var _0x1d = (function () {...}()); (function () {_0x1d(this, function () {... _0x5a('init') ...})();}()), f();}
+ * //         (function () {... that['setInterval'](_0x5a, 0xfa0);}()), hi();
+ * //         function _0x5a(a) {function b(c) {... function () {}['constructor']('debu' + 'gger')['call']('action') ...} ...}
+ * // After:  function hi() {f();} hi();
+ */
+export function removeDebugProtection(arb, candidateFilter = () => true) {
+	const statements = [];
+	const functions = arb.ast[0].typeMap.FunctionDeclaration;
+	for (let i = 0; i < functions.length; i++) {
+		const n = functions[i];
+		if (!Array.isArray(n.parentNode[n.parentKey]) || !getDescendants(n).some(isDebuggerTrap) || !candidateFilter(n)) continue;
+		const used = [];
+		let isRemovable = true;
+		for (const ref of n.id.references || []) {
+			if (isNodeInRanges(ref, [n.range])) continue;
+			const expression = getDebugProtectionGuard(ref, n) || getDebugProtectionInterval(ref, n);
+			if (!expression) isRemovable = false;
+			else if (!used.includes(expression)) used.push(expression);
+		}
+		if (isRemovable) statements.push(n, ...used);
+	}
+	return statements.length ? removeProtectionStatements(arb, statements) : arb;
+}
+
+/**
+ * The methods which remove the protections javascript-obfuscator injects, mapped to the name of the protection
+ * they remove, as it appears in javascript-obfuscator's options.
+ * Protections whose strings are only revealed by the main deobfuscation loop are removed by the loop,
+ * before its unsafe methods can evaluate the calls to them.
+ */
+export const protectionRemovers = new Map([
+	[removeSelfDefending, 'selfDefending'],
+	[removeConsoleOutputDisabling, 'disableConsoleOutput'],
+	[removeDebugProtection, 'debugProtection'],
+	[removeDomainLock, 'domainLock'],
+]);
+
+export const preprocessors = [freezeUnbeautifiedValues, resolveStringArrayDecoders, ...protectionRemovers.keys(),
+	...augmentedArrayProcessors.preprocessors];
 export const postprocessors = [...augmentedArrayProcessors.postprocessors];
@@ -0,0 +1,176 @@
+/**
+ * Packer Processor
+ *
+ * Dean Edwards' packer (p.a.c.k.e.r) replaces every word of a script with its index in a keyword list,
+ * encoded in the given radix, and wraps the result with an unpacking function whose output is evaluated:
+ * eval(function(p,a,c,k,e,d){...;return p}('0.1(\'2\');',62,3,'console|log|deob'.split('|'),0,{}))
+ *
+ * The unpacking function is not run. Instead, the packed script is unpacked using the arguments it is given,
+ * the same way the unpacking function does, and the call is replaced with the unpacked script as a string:
+ * eval('console.log(\'deob\');')
+ * which the main deobfuscation loop then replaces with its content.
+ * Scripts which were packed more than once are unpacked until no packed layers remain.
+ */
+import {Arborist} from 'flast';
+import {createNewNode} from '../modules/utils/createNewNode.js';
+
+// The params of the unpacking function. The last one is named either d or r, depending on the packer's version
+const PACKER_PARAMS = ['p', 'a', 'c', 'k', 'e'];
+const PACKER_LAST_PARAMS = ['d', 'r'];
+// Higher radixes use characters which are not word characters, and are decoded differently
+const MAX_SUPPORTED_RADIX = 62;
+// Stop unpacking nested layers beyond this depth
+const MAX_UNPACKING_DEPTH = 10;
+const PACKER_REGEX = /\beval\s*\(\s*function\s*\(\s*p\s*,\s*a\s*,\s*c\s*,\s*k\s*,\s*e\s*,\s*[dr]\s*\)/;
+
+/**
+ * Encode a keyword's index the way the unpacking function does.
+ * @param {number} index
+ * @param {number} radix
+ * @return {string}
+ */
+function encodeIndex(index, radix) {
+	const digit = index % radix;
+	return (index < radix ? '' : encodeIndex(Math.floor(index / radix), radix)) +
+		(digit > 35 ? String.fromCharCode(digit + 29) : digit.toString(36));
+}
+
+/**
+ * @param {ASTNode} n
+ * @return {boolean} True if the node is a string literal.
+ */
+function isStringLiteral(n) {
+	return n?.type === 'Literal' && typeof n.value === 'string';
+}
+
+/**
+ * @param {ASTNode} n
+ * @return {string[]|null} The keywords if the node splits a string literal into them: 'a|b|c'.split('|')
+ */
+function getKeywords(n) {
+	if (n?.type !== 'CallExpression' || n.callee.type !== 'MemberExpression' || !isStringLiteral(n.callee.object) ||
+		(n.callee.computed ? n.callee.property.value : n.callee.property.name) !== 'split' ||
+		n.arguments.length !== 1 || n.arguments[0].value !== '|') return null;
+	return n.callee.object.value.split('|');
+}
+
+/**
+ * @param {ASTNode} n
+ * @return {boolean} True if the node is a function with the unpacking function's params.
+ */
+function isUnpackingFunction(n) {
+	return n.type === 'FunctionExpression' && n.params.length === PACKER_PARAMS.length + 1 &&
+		n.params.every(p => p.type === 'Identifier') &&
+		PACKER_PARAMS.every((name, i) => n.params[i].name === name) &&
+		PACKER_LAST_PARAMS.includes(n.params[PACKER_PARAMS.length].name);
+}
+
+/**
+ * Replace every word of the packed script with the keyword its encoded index points to.
+ * @param {string} payload The packed script
+ * @param {number} radix
+ * @param {number} count The number of keywords
+ * @param {string[]} keywords Keywords which are empty stand for their own encoded index
+ * @return {string|null} The unpacked script, or null if any of the words doesn't stand for a keyword.
+ */
+function unpack(payload, radix, count, keywords) {
+	const dictionary = new Map();
+	for (let i = 0; i < count; i++) {
+		const encoded = encodeIndex(i, radix);
+		dictionary.set(encoded, keywords[i] || encoded);
+	}
+	let isResolved = true;
+	const unpacked = payload.replace(/\b\w+\b/g, word => {
+		if (!dictionary.has(word)) isResolved = false;
+		return dictionary.get(word);
+	});
+	return isResolved ? unpacked : null;
+}
+
+/**
+ * Unpack a script, as well as any packed scripts nested in it.
+ * @param {string} script
+ * @param {number} [depth] The number of layers already unpacked
+ * @return {string} The unpacked script.
+ */
+function unpackNestedLayers(script, depth = 0) {
+	if (depth >= MAX_UNPACKING_DEPTH || !isPacked(script)) return script;
+	let arb;
+	try {
+		arb = new Arborist(script);
+	} catch {
+		return script;
+	}
+	if (!arb.ast?.length) return script;
+	const matches = unpackPackedScriptsMatch(arb);
+	for (let i = 0; i < matches.length; i++) {
+		arb = unpackPackedScriptsTransform(arb, matches[i], depth + 1);
+	}
+	arb.applyChanges();
+	return arb.script;
+}
+
+/**
+ * @param {string} script
+ * @return {boolean} True if the script contains a packed script.
+ */
+export function isPacked(script) {
+	return PACKER_REGEX.test(script);
+}
+
+/**
+ * Find the calls to the unpacking function which are evaluated, and unpack the scripts they are given.
+ *
+ * @param {Arborist} arb
+ * @param {Function} [candidateFilter] a filter to apply on the candidates list. Defaults to true.
+ * @return {Object[]} Array of {node, unpacked} objects, where node is the call to the unpacking function.
+ */
+export function unpackPackedScriptsMatch(arb, candidateFilter = () => true) {
+	const relevantNodes = arb.ast[0].typeMap.CallExpression;
+	const matches = [];
+
+	for (let i = 0; i < relevantNodes.length; i++) {
+		const n = relevantNodes[i];
+		const [payload, radix, count] = n.arguments;
+		if (n.callee.type !== 'FunctionExpression' || n.parentNode.type !== 'CallExpression' ||
+			n.parentNode.callee.type !== 'Identifier' || n.parentNode.callee.name !== 'eval' ||
+			n.parentKey !== 'arguments' || !isUnpackingFunction(n.callee) || !isStringLiteral(payload) ||
+			!Number.isInteger(radix?.value) || radix.value < 2 || radix.value > MAX_SUPPORTED_RADIX ||
+			!Number.isInteger(count?.value) || count.value < 0 || !candidateFilter(n)) continue;
+		const keywords = getKeywords(n.arguments[3]);
+		const unpacked = keywords ? unpack(payload.value, radix.value, count.value, keywords) : null;
+		if (unpacked !== null) matches.push({node: n, unpacked});
+	}
+	return matches;
+}
+
+/**
+ * Replace the call to the unpacking function with the unpacked script, after unpacking the layers nested in it.
+ *
+ * @param {Arborist} arb
+ * @param {Object} match
+ * @param {number} [depth] The number of layers already unpacked
+ * @return {Arborist}
+ */
+export function unpackPackedScriptsTransform(arb, match, depth = 0) {
+	arb.markNode(match.node, createNewNode(unpackNestedLayers(match.unpacked, depth)));
+	return arb;
+}
+
+/**
+ * Unpack scripts packed with Dean Edwards' packer without running the unpacking function.
+ *
+ * @param {Arborist} arb
+ * @param {Function} [candidateFilter] a filter to apply on the candidates list. Defaults to true.
+ * @return {Arborist}
+ */
+function unpackPackedScripts(arb, candidateFilter = () => true) {
+	const matches = unpackPackedScriptsMatch(arb, candidateFilter);
+	for (let i = 0; i < matches.length; i++) {
+		arb = unpackPackedScriptsTransform(arb, matches[i]);
+	}
+	return arb;
+}
+
+export const preprocessors = [unpackPackedScripts];
+export const postprocessors = [];
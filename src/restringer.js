@@ -1,9 +1,29 @@
 import {fileURLToPath} from 'node:url';
-import {logger as flastLogger, applyIteratively} from 'flast';
-import {processors} from './processors/index.js';
+import {EventEmitter} from 'node:events';
+import {logger as flastLogger, applyIteratively, generateCode, Arborist} from 'flast';
+import {detectors, processors} from './processors/index.js';
+import * as augmentedArray from './processors/augmentedArray.js';
+import * as caesarp from './processors/caesarp.js';
+import * as jjencode from './processors/jjencode.js';
+import * as aaencode from './processors/aaencode.js';
+import * as obfuscatorIo from './processors/obfuscator.io.js';
 import {detectObfuscation} from 'obfuscation-detector';
-import {config, safe as safeMod, unsafe as unsafeMod, utils} from './modules/index.js';
-const {normalizeScript} = utils.default;
+import {config, safe as safeMod, unsafe as unsafeMod} from './modules/index.js';
+import {normalizationMethods} from './modules/utils/normalizeScript.js';
+import {preventCodeEvaluation, runWithSandboxOptions} from './modules/utils/sandbox.js';
+import {SandboxPool} from './modules/utils/sandboxPool.js';
+import {evalInVm} from './modules/utils/evalInVm.js';
+import {generateHash} from './modules/utils/generateHash.js';
+import {captureBehavior, compareBehavior, verifyEquivalence} from './utils/verifyEquivalence.js';
+import {unpackBundle} from './utils/unpackBundle.js';
+import {configureRestringer} from './utils/configureRestringer.js';
+import {
+	composeMappings,
+	createIdentityMappings,
+	createSourceMap,
+	generateCodeWithMappings,
+	setNodeLocations,
+} from './utils/sourceMap.js';
 import {readFileSync} from 'node:fs';
 const __version__ = JSON.parse(readFileSync(fileURLToPath(new URL('../package.json', import.meta.url)), 'utf-8')).version;
 const safe = {};
@@ -14,32 +34,196 @@ const unsafe = {};
 for (const funcName in unsafeMod) {
 	unsafe[funcName] = unsafeMod[funcName].default || unsafeMod[funcName];
 }
+// Methods which evaluate code, mapped to the functions matching the nodes they would evaluate
+const evaluatingMethods = new Map();
+for (const funcName in unsafeMod) {
+	evaluatingMethods.set(unsafe[funcName], unsafeMod[funcName][`${funcName}Match`]);
+}
+evaluatingMethods.set(augmentedArray.replaceArrayWithStaticAugmentedVersion, augmentedArray.augmentedArrayMatch);
+evaluatingMethods.set(caesarp.preprocessors[0], caesarp.extractInnerLayerMatch);
+evaluatingMethods.set(jjencode.preprocessors[0], jjencode.decodeJJencodeMatch);
+evaluatingMethods.set(aaencode.preprocessors[0], aaencode.decodeAAencodeMatch);
+evaluatingMethods.set(obfuscatorIo.resolveStringArrayDecoders, obfuscatorIo.stringArrayDecoderMatch);
+// Methods which remove protections injected into the script, mapped to the name of the protection they remove.
+// Removing a protection is meant to change the script's behavior, so it is not rolled back when verifying.
+const protectionRemovers = new Map(obfuscatorIo.protectionRemovers);
 
 // Silence async errors
 // process.on('uncaughtException', () => {});
 
-export class REstringer {
+// Source snippets recorded in the trace are truncated to this many characters
+const MAX_TRACE_SNIPPET_LENGTH = 200;
+
+/**
+ * @param {string} src
+ * @return {string} The source truncated to MAX_TRACE_SNIPPET_LENGTH characters.
+ */
+function truncateSnippet(src) {
+	return src.length > MAX_TRACE_SNIPPET_LENGTH ? src.slice(0, MAX_TRACE_SNIPPET_LENGTH) + '...' : src;
+}
+
+/**
+ * @param {Arborist} arb
+ * @param {number} nodeId
+ * @return {ASTNode|undefined} The node with the given id.
+ */
+function getNodeById(arb, nodeId) {
+	return arb.ast[nodeId]?.nodeId === nodeId ? arb.ast[nodeId] : arb.ast.find(n => n.nodeId === nodeId);
+}
+
+/**
+ * @param {Arborist} arb
+ * @return {ASTNode[]} The nodes marked for replacement or deletion which have not been applied yet.
+ */
+function getMarkedNodes(arb) {
+	const nodes = arb.replacements.map(([targetNode]) => targetNode);
+	for (let i = 0; i < arb.markedForDeletion.length; i++) {
+		const n = getNodeById(arb, arb.markedForDeletion[i]);
+		if (n) nodes.push(n);
+	}
+	return nodes;
+}
+
+/**
+ * @param {ASTNode} n
+ * @return {string} A key which identifies the node by its type and source, so that it can be recognized after the
+ *                  script is parsed again.
+ */
+function getNodeKey(n) {
+	return `${n.type}:${generateHash(n.src)}`;
+}
+
+/**
+ * Describe the changes marked on an Arborist instance which have not been applied yet.
+ * Ranges refer to the script as it was before the changes are applied.
+ * @param {Arborist} arb
+ * @return {Object[]} A list of {range, before, after} objects, one per marked node.
+ */
+function describeMarkedChanges(arb) {
+	const changes = [];
+	for (let i = 0; i < arb.markedForDeletion.length; i++) {
+		const n = getNodeById(arb, arb.markedForDeletion[i]);
+		if (n) changes.push({range: n.range, before: truncateSnippet(n.src), after: ''});
+	}
+	for (let i = 0; i < arb.replacements.length; i++) {
+		const [targetNode, replacementNode] = arb.replacements[i];
+		let after;
+		try {
+			after = truncateSnippet(generateCode(replacementNode));
+		} catch {
+			after = `<${replacementNode.type}>`;
+		}
+		changes.push({range: targetNode.range, before: truncateSnippet(targetNode.src), after});
+	}
+	return changes;
+}
+
+/**
+ * Events:
+ * - 'progress' - Emitted before each deobfuscation method is applied, with {phase, iteration, method, scriptSize}.
+ */
+export class REstringer extends EventEmitter {
 	static __version__ = __version__;
 	logger = flastLogger;
 
 	/**
 	 * @param {string} script The target script to be deobfuscated
-	 * @param {boolean} [normalize] Run optional methods which will make the script more readable
+	 * @param {boolean} [normalize] Run optional methods which will make the script more readable.
+	 *   Defaults to the settings' normalize, or true.
+	 * @param {Object} [settings] Settings as returned by loadConfig(). Configuration files are not read unless given.
 	 */
-	constructor(script, normalize = true) {
+	constructor(script, normalize, settings = {}) {
+		super();
 		this.script = script;
-		this.normalize = normalize;
+		this.normalize = true;
+		// Remove dead nodes after deobfuscation, unless deobfuscate() is told otherwise
+		this.clean = false;
 		this.modified = false;
 		this.obfuscationName = 'Generic';
 		this._preprocessors = [];
 		this._postprocessors = [];
+		this._protectionRemovers = [];
 		this.logger.setLogLevelLog();
-		this.maxIterations = config.DEFAULT_MAX_ITERATIONS;
+		// Decrements each time it is used. Set maxIterations.value to limit the iterations of this instance
+		this.maxIterations = config.createMaxIterations();
 		this.detectObfuscationType = true;
+		// Set to true to record which method changed what in this.trace
+		this.recordTrace = false;
+		this.trace = [];
+		// Set when an async deobfuscation was cancelled before completing
+		this.aborted = false;
+		// Stop deobfuscating once the run takes longer than maxRuntime milliseconds,
+		// or the script grows beyond maxScriptGrowthFactor times its original length. 0 means no limit.
+		this.maxRuntime = 0;
+		this.maxScriptGrowthFactor = 0;
+		// Describes the exceeded limit and where the deobfuscation stopped, or null if no limit was exceeded
+		this.budgetExceeded = null;
+		this._startTime = 0;
+		this._originalScript = '';
+		// Set to true to map the deobfuscated script back to the original one. See getSourceMap().
+		this.generateSourceMap = false;
+		// Mappings from the current script to the original script, or null while they are the same
+		this._mappings = null;
+		// The number of iterations of the main deobfuscation loop in the current run
+		this.iteration = 0;
+		// The number of changes each method made in the current run, by method name
+		this.methodHits = {};
+		this._phase = '';
+		// Set to true to never evaluate code. Methods which require evaluation are skipped and listed in
+		// this.skippedTransformations as {phase, method, candidates}, where candidates is the largest number
+		// of nodes the method would have evaluated in a single pass.
+		this.safeOnly = false;
+		this.skippedTransformations = [];
+		// Options for the sandboxes created while deobfuscating:
+		// {timeout, memoryLimit, blockedGlobals, allowedGlobals, globals, seed, epoch}. See runWithSandboxOptions().
+		this.sandboxOptions = {};
+		// Sandboxes created while deobfuscating share the pool's isolates, which are disposed of at the end of each run.
+		// Its metrics count the sandboxes and isolates created in the current run.
+		this.sandboxPool = new SandboxPool();
+		// Set to a DiskCache to persist the results of evaluated code across runs and processes
+		this.evalCache = null;
+		// Set to true to check that the deobfuscated script behaves like the original one after deobfuscation.
+		// The result is kept in this.verification as {equivalent, divergences, introducedBy}. See verifyEquivalence().
+		// Not available in safe-only mode, since it runs both scripts.
+		this.verify = false;
+		this.verification = null;
+		// The script before each change made in the current run, as {phase, iteration, method, scriptBefore}
+		this._verificationSteps = [];
+		// Evaluations which exceeded the sandbox's timeout or memory limit in the current run,
+		// as {phase, iteration, method, limit, value, code}. Each is also emitted as a 'sandboxLimitExceeded' event.
+		this.sandboxLimitsExceeded = [];
+		// Set to true to record the side effects of evaluated code: console output, strings passed to eval, Function,
+		// setTimeout or setInterval, and fetch or XMLHttpRequest URLs. Each distinct side effect is listed once in
+		// this.sideEffects as {phase, iteration, method, type, value, code}, and emitted as a 'sideEffect' event.
+		this.captureSideEffects = false;
+		this.sideEffects = [];
+		// Method applications which broke the script, or changed its behavior when verifying, and were rolled back,
+		// as {phase, iteration, method, reason, nodes, error}. Each is also emitted as a 'rollback' event.
+		// See _rollBack().
+		this.rollbacks = [];
+		// Protections injected into the script (e.g. javascript-obfuscator's selfDefending or debugProtection),
+		// which were found and removed in the current run. Each is listed once as {phase, iteration, method, protection},
+		// and emitted as a 'protectionRemoved' event.
+		this.protections = [];
+		// Set to true to split the deobfuscated script into the sources of its modules when it is a webpack or
+		// Browserify bundle. The result is kept in this.bundle as {format, entries, modules}. See unpackBundle().
+		this.unpackBundles = false;
+		this.bundle = null;
+		// The keys of the nodes each method may no longer change in the current run, by method name. See getNodeKey().
+		this._blacklistedNodes = new Map();
+		// The names of the methods which are no longer applied in the current run
+		this._blacklistedMethods = new Set();
+		// The behavior of the original script, captured once per run when verifying. See captureBehavior().
+		this._originalBehavior = null;
+		// Identifiers and properties which the unsafe methods won't resolve
+		this.skipIdentifiers = [...config.SKIP_IDENTIFIERS];
+		this.skipProperties = [...config.SKIP_PROPERTIES];
 		// Deobfuscation methods that don't use eval
 		this.safeMethods = [
 			safe.rearrangeSequences,
 			safe.separateChainedDeclarators,
+			safe.resolveStorageObjects,
+			safe.unflattenControlFlow,
 			safe.rearrangeSwitches,
 			safe.normalizeEmptyStatements,
 			safe.removeRedundantBlockStatements,
@@ -80,17 +264,21 @@ export class REstringer {
 			unsafe.resolveLocalCalls,
 			unsafe.resolveEvalCallsOnNonLiterals,
 		];
+		configureRestringer(this, settings);
+		if (normalize !== undefined) this.normalize = normalize;
 	}
 
 	/**
 	 * Determine the type of the obfuscation, and populate the appropriate pre- and post- processors.
 	 */
 	determineObfuscationType() {
-		const detectedObfuscationType = detectObfuscation(this.script, false).slice(-1)[0];
+		const detectedObfuscationType = Object.keys(detectors).find(name => detectors[name](this.script)) ||
+			detectObfuscation(this.script, false).slice(-1)[0];
 		if (detectedObfuscationType) {
 			this.obfuscationName = detectedObfuscationType;
 			if (processors[detectedObfuscationType]) {
 				({preprocessors: this._preprocessors, postprocessors: this._postprocessors} = processors[detectedObfuscationType]);
+				this._protectionRemovers = [...(processors[detectedObfuscationType].protectionRemovers?.keys() || [])];
 			}
 		}
 		this.logger.log(`[+] Obfuscation type is ${this.obfuscationName}`);
@@ -102,26 +290,89 @@ export class REstringer {
 	 * 
 	 * Algorithm per iteration:
 	 * 1. Apply all safe methods repeatedly until they stop making changes (up to maxIterations)
-	 * 2. Apply all unsafe methods exactly once (they may be overreaching, so limited to 1 iteration)
-	 * 3. Repeat the entire process until no changes occur in either phase
+	 * 2. Remove the protections the safe methods revealed, before the unsafe methods can evaluate them
+	 * 3. Apply all unsafe methods exactly once (they may be overreaching, so limited to 1 iteration)
+	 * 4. Repeat the entire process until no changes occur in either phase
 	 * 
 	 * This approach maximizes safe deobfuscation before using potentially risky eval-based methods,
 	 * while allowing unsafe methods to expose new opportunities for safe methods in subsequent iterations.
+	 *
+	 * Yields after each iteration so the caller may pause or stop the loop in between.
 	 */
-	_loopSafeAndUnsafeDeobfuscationMethods() {
+	*_loopSafeAndUnsafeDeobfuscationMethods() {
 		// Track whether any iteration made changes (vs this.modified which tracks current iteration only)
-		let wasEverModified, script;
-		do {
-			this.modified = false;
-			script = applyIteratively(this.script, this.safeMethods, this.maxIterations);
-			script = applyIteratively(script, this.unsafeMethods, 1);
-			if (this.script !== script) {
-				this.modified = true;
-				this.script = script;
+		let wasEverModified = false, script;
+		try {
+			do {
+				this.modified = false;
+				++this.iteration;
+				script = this._applyMethods(this.script, this.safeMethods, this.maxIterations, 'safe');
+				if (this._protectionRemovers.length) script = this._applyMethods(script, this._protectionRemovers, 1, 'safe');
+				script = this._applyMethods(script, this.unsafeMethods, 1, 'unsafe');
+				if (this.script !== script) {
+					this.modified = true;
+					this.script = script;
+				}
+				if (this.modified) wasEverModified = true;
+				yield;
+			} while (this.modified && !this.budgetExceeded); // Run this loop until the deobfuscation methods stop being effective.
+		} finally {
+			// Also reached when the loop is stopped early
+			this.modified = wasEverModified;
+		}
+	}
+
+	/**
+	 * The steps of the deobfuscation process, yielding between steps which can be safely interrupted.
+	 * @param {boolean} clean Remove dead nodes after deobfuscation.
+	 */
+	*_deobfuscationSteps(clean) {
+		this.trace = [];
+		this.aborted = false;
+		this.budgetExceeded = null;
+		this.iteration = 0;
+		this.methodHits = {};
+		this.skippedTransformations = [];
+		this.sandboxLimitsExceeded = [];
+		this.sideEffects = [];
+		this.rollbacks = [];
+		this.protections = [];
+		this.bundle = null;
+		this._blacklistedNodes = new Map();
+		this._blacklistedMethods = new Set();
+		this._originalBehavior = null;
+		this.sandboxPool.resetMetrics();
+		this.verification = null;
+		this._verificationSteps = [];
+		this._startTime = Date.now();
+		this._originalScript = this.script;
+		this._mappings = null;
+		// Results cached in memory are not keyed by the sandbox's state, which differs between scripts
+		evalInVm.flush();
+		try {
+			if (this.detectObfuscationType) this.determineObfuscationType();
+			this._runProcessors(this._preprocessors, 'preprocessor');
+			yield;
+			yield* this._loopSafeAndUnsafeDeobfuscationMethods();
+			this._runProcessors(this._postprocessors, 'postprocessor');
+			// Processors may deobfuscate the script without leaving anything for the main loop to change
+			if (this.script !== this._originalScript) this.modified = true;
+			// Once the budget is exceeded, leave the script as is
+			if (this.budgetExceeded) return;
+			if (this.modified && this.normalize) this.script = this._applyMethods(this.script, normalizationMethods, undefined, 'normalize');
+			if (clean) this.script = this._applyMethods(this.script, [safe.removeDeadNodes], this.maxIterations, 'clean');
+			if (this.verify) this._verify();
+			if (this.unpackBundles) this._unpackBundle();
+			if (this.skippedTransformations.length) {
+				this.logger.log(`[!] Skipped methods which require code evaluation: ${this.skippedTransformations
+					.map(t => `${t.method} (${t.candidates} candidates)`).join(', ')}`);
 			}
-			if (this.modified) wasEverModified = true;
-		} while (this.modified); // Run this loop until the deobfuscation methods stop being effective.
-		this.modified = wasEverModified;
+		} finally {
+			// Also reached when the run is stopped early
+			const {sandboxesCreated, isolatesCreated} = this.sandboxPool.metrics;
+			if (sandboxesCreated) this.logger.debug(`[!] Created ${sandboxesCreated} sandboxes on ${isolatesCreated} isolates`);
+			this.sandboxPool.dispose();
+		}
 	}
 
 	/**
@@ -129,28 +380,413 @@ export class REstringer {
 	 * Determine obfuscation type and run the pre- and post- processors accordingly.
 	 * Run the deobfuscation methods in a loop until nothing more is changed.
 	 * Normalize script to make it more readable.
-	 * @param {boolean} [clean] Remove dead nodes after deobfuscation. Defaults to false.
+	 * @param {boolean} [clean] Remove dead nodes after deobfuscation. Defaults to this.clean.
 	 * @return {boolean} true if the script was modified during deobfuscation; false otherwise.
 	 */
-	deobfuscate(clean = false) {
-		if (this.detectObfuscationType) this.determineObfuscationType();
-		this._runProcessors(this._preprocessors);
-		this._loopSafeAndUnsafeDeobfuscationMethods();
-		this._runProcessors(this._postprocessors);
-		if (this.modified && this.normalize) this.script = normalizeScript(this.script);
-		if (clean) this.script = applyIteratively(this.script, [safe.removeDeadNodes], this.maxIterations);
+	deobfuscate(clean = this.clean) {
+		const steps = this._deobfuscationSteps(clean);
+		while (!steps.next().done) {}
 		return this.modified;
 	}
 
+	/**
+	 * Same as deobfuscate(), but yields to the event loop between iterations of the deobfuscation loop.
+	 * When the signal is aborted the deobfuscation stops after the current iteration, this.aborted is set,
+	 * and this.script holds the script as it was at that point.
+	 * Note that a single iteration cannot be interrupted, and may take a while on large scripts.
+	 * @param {Object} [options]
+	 * @param {boolean} [options.clean] Remove dead nodes after deobfuscation. Defaults to this.clean.
+	 * @param {AbortSignal} [options.signal] Cancel the deobfuscation when this signal is aborted.
+	 * @return {Promise<boolean>} true if the script was modified during deobfuscation; false otherwise.
+	 */
+	async deobfuscateAsync({clean = this.clean, signal} = {}) {
+		const steps = this._deobfuscationSteps(clean);
+		while (!signal?.aborted && !steps.next().done) {
+			await new Promise(resolve => setImmediate(resolve));
+		}
+		if (signal?.aborted) {
+			steps.return();
+			this.aborted = true;
+			this.logger.log(`[-] Deobfuscation aborted after ${this.iteration} iterations`);
+		}
+		return this.modified;
+	}
+
+	/**
+	 * Create a source map (v3) from the current script to the original script.
+	 * Deobfuscated nodes are mapped to the obfuscated expressions they replaced,
+	 * and nodes which were only moved are mapped to their original location.
+	 * Requires this.generateSourceMap to be set before deobfuscating.
+	 * @param {Object} [options]
+	 * @param {string} [options.source] The name of the original script, relative to where the source map is stored.
+	 * @param {string} [options.file] The name of the deobfuscated script.
+	 * @return {Object|null} The source map, or null if this.generateSourceMap isn't set.
+	 */
+	getSourceMap({source = 'input.js', file = ''} = {}) {
+		if (!this.generateSourceMap) return null;
+		return createSourceMap(this._mappings || createIdentityMappings(this.script), {
+			source,
+			sourceContent: this._originalScript || this.script,
+			file,
+		});
+	}
+
 	/**
 	 * Run specific deobfuscation which must run before or after the main deobfuscation loop
 	 * in order to successfully complete deobfuscation.
 	 * @param {Array<Function|string>} processors An array of either imported deobfuscation methods or the name of internal methods.
+	 * @param {string} [phase] The name of the phase the processors are run in, as it will appear in the trace.
 	 */
-	_runProcessors(processors) {
+	_runProcessors(processors, phase = 'processor') {
 		for (let i = 0; i < processors.length; i++) {
 			const processor = processors[i];
-			this.script = applyIteratively(this.script, [processor], 1);
+			this.script = this._applyMethods(this.script, [processor], 1, phase);
+		}
+	}
+
+	/**
+	 * Apply the methods iteratively to the script, wrapping each method so that its changes can be recorded.
+	 * @param {string} script
+	 * @param {Function[]} methods
+	 * @param {number|Object} maxIterations
+	 * @param {string} phase The name of the current phase. E.g. 'safe', 'unsafe', 'preprocessor'.
+	 * @return {string} The possibly modified script.
+	 */
+	_applyMethods(script, methods, maxIterations, phase) {
+		this._phase = phase;
+		return applyIteratively(script, methods.map(m => this._wrapMethod(m)), maxIterations);
+	}
+
+	/**
+	 * Wrap a deobfuscation method so that progress is reported before it runs, the changes it makes are counted,
+	 * and its effect on the script is recorded in the trace when this.recordTrace is set.
+	 * Once the run's budget is exceeded, the wrapped method is skipped.
+	 * In safe-only mode, methods which evaluate code are skipped.
+	 * The method's changes are applied by the wrapper so that they can be validated, and mapped when generating a source map.
+	 * Changes which break the script, or change its behavior when verifying, are rolled back. See _rollBack().
+	 * The wrapper keeps the name of the original method since flast uses it when logging.
+	 * @param {Function} method
+	 * @return {Function}
+	 */
+	_wrapMethod(method) {
+		const restringer = this;
+		const wrapped = function(arb) {
+			const scriptBefore = arb.script;
+			const scriptHash = arb.ast[0]?.scriptHash;
+			if (restringer._isBudgetExceeded(method.name, scriptBefore)) return arb;
+			if (restringer.safeOnly && evaluatingMethods.has(method)) {
+				restringer._recordSkippedTransformation(method, arb);
+				return arb;
+			}
+			if (restringer._blacklistedMethods.has(method.name)) return arb;
+			restringer.emit('progress', {
+				phase: restringer._phase,
+				iteration: restringer.iteration,
+				method: method.name,
+				scriptSize: scriptBefore.length,
+			});
+			const blacklistedNodes = restringer._blacklistedNodes.get(method.name);
+			const candidateFilter = blacklistedNodes ? n => !blacklistedNodes.has(getNodeKey(n)) : undefined;
+			let result;
+			try {
+				result = restringer._runInContext(() => method(arb, candidateFilter), method.name);
+			} catch (e) {
+				return restringer._rollBack(method.name, 'error', arb.ast?.length ? getMarkedNodes(arb) : [], scriptBefore, scriptHash, e);
+			}
+			if (result?.ast?.length) {
+				// A new Arborist instance means the method replaced the entire script
+				const changes = result === arb ? result.getNumberOfChanges() : 1;
+				if (changes) {
+					const changedNodes = result === arb ? getMarkedNodes(arb) : [];
+					const traceLength = restringer.trace.length;
+					const mappingsBefore = restringer._mappings;
+					if (restringer.recordTrace) restringer._recordTraceEntry(method.name, arb, result, scriptBefore);
+					const reason = restringer._applyAndValidate(arb, result, !protectionRemovers.has(method));
+					if (reason) {
+						restringer.trace.length = traceLength;
+						restringer._mappings = mappingsBefore;
+						return restringer._rollBack(method.name, reason, changedNodes, scriptBefore, scriptHash);
+					}
+					restringer.methodHits[method.name] = (restringer.methodHits[method.name] || 0) + changes;
+					if (protectionRemovers.has(method)) restringer._recordProtection(method.name, protectionRemovers.get(method));
+					if (restringer.verify) {
+						restringer._verificationSteps.push({
+							phase: restringer._phase,
+							iteration: restringer.iteration,
+							method: method.name,
+							scriptBefore,
+						});
+					}
+				}
+			}
+			return result;
+		};
+		Object.defineProperty(wrapped, 'name', {value: method.name});
+		return wrapped;
+	}
+
+	/**
+	 * Apply the changes a method made, and check that the resulting script can be parsed and, when verifying,
+	 * that it still behaves like the original script.
+	 * applyIteratively() treats the applied changes as a new script and continues as it would have after applying them.
+	 * @param {Arborist} arbBefore The Arborist instance the method was given.
+	 * @param {Arborist} arbAfter The Arborist instance the method returned.
+	 * @param {boolean} [checkBehavior] Set to false for changes which are meant to change the script's behavior.
+	 * @return {string} Why the changes must be rolled back - either 'invalidScript' or 'behaviorChanged',
+	 *                  or an empty string if they may be kept.
+	 */
+	_applyAndValidate(arbBefore, arbAfter, checkBehavior = true) {
+		if (this.generateSourceMap) {
+			if (!this._applyChangesWithMappings(arbBefore, arbAfter)) return 'invalidScript';
+		} else if (arbAfter === arbBefore && !arbAfter.applyChanges()) return 'invalidScript';
+		if (checkBehavior && this.verify && !this.safeOnly) {
+			this._originalBehavior ||= captureBehavior(this._originalScript, this.sandboxOptions);
+			const behavior = captureBehavior(arbAfter.script, this.sandboxOptions);
+			if (compareBehavior(this._originalBehavior, behavior).length) return 'behaviorChanged';
+		}
+		return '';
+	}
+
+	/**
+	 * Apply the changes a method made and map the resulting script back to the script before the changes.
+	 * Methods that return a new Arborist replace the entire script, which cannot be mapped to the previous one.
+	 * @param {Arborist} arbBefore The Arborist instance the method was given.
+	 * @param {Arborist} arbAfter The Arborist instance the method returned.
+	 * @return {boolean} false if the changes could not be applied, e.g. since they would have broken the script.
+	 */
+	_applyChangesWithMappings(arbBefore, arbAfter) {
+		if (arbAfter !== arbBefore) {
+			this._mappings = [];
+			return true;
+		}
+		setNodeLocations(arbAfter);
+		const rootReplacement = arbAfter.replacements.find(([targetNode]) => targetNode === arbAfter.ast[0]);
+		const rootNode = rootReplacement ? rootReplacement[1] : arbAfter.ast[0];
+		if (!arbAfter.applyChanges()) return false;
+		let mappings = [];
+		try {
+			const generated = generateCodeWithMappings(rootNode);
+			if (generated.code === arbAfter.script) mappings = generated.mappings;
+		} catch (e) {
+			this.logger.debug(`[-] Unable to map the changes: ${e}`);
+		}
+		this._mappings = this._mappings ? composeMappings(mappings, this._mappings) : mappings;
+		return true;
+	}
+
+	/**
+	 * Record and emit a method application which was rolled back, and return the script as it was before it.
+	 * The nodes the method changed are blacklisted for that method for the rest of the run, so that it skips them
+	 * in later passes. A method which fails again without changing any node which isn't blacklisted yet (including
+	 * methods which replace the entire script) is not applied again in this run.
+	 * @param {string} methodName
+	 * @param {string} reason Either 'invalidScript', 'behaviorChanged' or 'error' if the method threw.
+	 * @param {ASTNode[]} changedNodes The nodes the method replaced or deleted.
+	 * @param {string} scriptBefore The script before the method was applied.
+	 * @param {string} scriptHash The hash applyIteratively() set for the script before the method was applied.
+	 * @param {*} [error] The error the method threw.
+	 * @return {Arborist} A new Arborist instance for the script before the method was applied.
+	 */
+	_rollBack(methodName, reason, changedNodes, scriptBefore, scriptHash, error) {
+		let blacklistedNodes = this._blacklistedNodes.get(methodName);
+		if (!blacklistedNodes) this._blacklistedNodes.set(methodName, blacklistedNodes = new Set());
+		const keys = changedNodes.map(getNodeKey);
+		if (keys.some(k => !blacklistedNodes.has(k))) keys.forEach(k => blacklistedNodes.add(k));
+		else this._blacklistedMethods.add(methodName);
+		const rollback = {
+			phase: this._phase,
+			iteration: this.iteration,
+			method: methodName,
+			reason,
+			nodes: changedNodes.map(n => truncateSnippet(n.src)),
+			error: error === undefined ? null : String(error),
+		};
+		this.rollbacks.push(rollback);
+		this.logger.log(`[-] Rolled back the changes made by ${methodName} in the ${this._phase} phase ` +
+			`(iteration #${this.iteration}): ${reason}${rollback.error ? ` - ${rollback.error}` : ''}`);
+		this.emit('rollback', rollback);
+		const arb = new Arborist(scriptBefore);
+		// Keeps applyIteratively() from treating the restored script as a change
+		arb.ast[0].scriptHash = scriptHash;
+		return arb;
+	}
+
+	/**
+	 * Check that the deobfuscated script behaves like the original one, and find the method which introduced
+	 * any difference. The result is kept in this.verification.
+	 */
+	_verify() {
+		if (this.safeOnly) {
+			this.logger.log(`[!] Skipped verification, which requires code evaluation`);
+			return;
+		}
+		this.verification = this.script === this._originalScript ? {equivalent: true, divergences: [], introducedBy: null} :
+			verifyEquivalence(this._originalScript, this.script, {steps: this._verificationSteps, sandboxOptions: this.sandboxOptions});
+		this._verificationSteps = [];
+		const {equivalent, introducedBy} = this.verification;
+		if (equivalent) this.logger.log(`[+] The deobfuscated script behaves like the original script`);
+		else {
+			this.logger.log(`[-] The deobfuscated script behaves differently than the original script` + (introducedBy ?
+				` since ${introducedBy.method} (${introducedBy.phase}, iteration ${introducedBy.iteration})` : ''));
+		}
+	}
+
+	/**
+	 * Split the deobfuscated script into the modules of the bundle it contains, and keep them in this.bundle.
+	 */
+	_unpackBundle() {
+		this.bundle = unpackBundle(this.script);
+		if (this.bundle) {
+			this.logger.log(`[+] Unpacked ${this.bundle.modules.length} modules from a ${this.bundle.format} bundle`);
+		} else this.logger.log(`[-] The script is not a webpack or Browserify bundle`);
+	}
+
+	/**
+	 * Run a function with this instance's skip lists and sandbox options in effect.
+	 * In safe-only mode, the function runs while code evaluation is prevented.
+	 * @param {Function} func
+	 * @param {string} [methodName] The method the function runs, for reporting exceeded sandbox limits.
+	 * @return {*} The function's return value.
+	 */
+	_runInContext(func, methodName = '') {
+		const sandboxOptions = {
+			...this.sandboxOptions,
+			onLimitExceeded: ({limit, value, code}) => this._recordSandboxLimitExceeded(methodName, limit, value, code),
+			captureSideEffects: this.captureSideEffects,
+			onSideEffect: ({type, value, code}) => this._recordSideEffect(methodName, type, value, code),
+			pool: this.sandboxPool,
+			evalCache: this.evalCache || undefined,
+		};
+		const run = () => config.runWithSkipLists(this, () => runWithSandboxOptions(sandboxOptions, func));
+		return this.safeOnly ? preventCodeEvaluation(run) : run();
+	}
+
+	/**
+	 * Record and emit an evaluation which exceeded a sandbox limit.
+	 * @param {string} methodName The method which evaluated the code.
+	 * @param {string} limit Either 'timeout' or 'memoryLimit'.
+	 * @param {number} value The limit's value, in milliseconds or MB.
+	 * @param {string} code The evaluated code.
+	 */
+	_recordSandboxLimitExceeded(methodName, limit, value, code) {
+		const event = {
+			phase: this._phase,
+			iteration: this.iteration,
+			method: methodName,
+			limit,
+			value,
+			code: truncateSnippet(code),
+		};
+		this.sandboxLimitsExceeded.push(event);
+		this.logger.debug(`[-] ${methodName} exceeded the sandbox's ${limit} of ${value}`);
+		this.emit('sandboxLimitExceeded', event);
+	}
+
+	/**
+	 * Record and emit a side effect of evaluated code, unless the same side effect was already recorded in this run.
+	 * @param {string} methodName The method which evaluated the code.
+	 * @param {string} type E.g. 'console.log', 'eval' or 'fetch'. See installSideEffectCapture().
+	 * @param {string} value The logged text, the evaluated code or the requested URL.
+	 * @param {string} code The evaluated code which caused the side effect.
+	 */
+	_recordSideEffect(methodName, type, value, code) {
+		if (this.sideEffects.some(e => e.type === type && e.value === value)) return;
+		const sideEffect = {
+			phase: this._phase,
+			iteration: this.iteration,
+			method: methodName,
+			type,
+			value,
+			code: truncateSnippet(code),
+		};
+		this.sideEffects.push(sideEffect);
+		this.emit('sideEffect', sideEffect);
+	}
+
+	/**
+	 * Record and emit a protection which was removed from the script, unless it was already removed in this run.
+	 * @param {string} methodName The method which removed the protection.
+	 * @param {string} protection The name of the protection. E.g. 'selfDefending' or 'domainLock'.
+	 */
+	_recordProtection(methodName, protection) {
+		if (this.protections.some(p => p.protection === protection)) return;
+		const event = {
+			phase: this._phase,
+			iteration: this.iteration,
+			method: methodName,
+			protection,
+		};
+		this.protections.push(event);
+		this.logger.log(`[+] Removed the ${protection} protection`);
+		this.emit('protectionRemoved', event);
+	}
+
+	/**
+	 * Check whether the run has exceeded its maximum runtime or script growth, and record where it happened.
+	 * @param {string} methodName The method about to be applied.
+	 * @param {string} script The current script.
+	 * @return {boolean} true if the budget is exceeded and no more methods should be applied; false otherwise.
+	 */
+	_isBudgetExceeded(methodName, script) {
+		if (!this.budgetExceeded) {
+			let reason = '';
+			if (this.maxRuntime && Date.now() - this._startTime > this.maxRuntime) reason = 'runtime';
+			else if (this.maxScriptGrowthFactor &&
+				script.length > Math.max(this._originalScript.length, 1) * this.maxScriptGrowthFactor) reason = 'scriptGrowth';
+			if (reason) {
+				this.budgetExceeded = {
+					reason,
+					phase: this._phase,
+					iteration: this.iteration,
+					method: methodName,
+				};
+				this.logger.log(`[-] Maximum ${reason === 'runtime' ? 'runtime' : 'script growth'} exceeded ` +
+					`before ${methodName} in the ${this._phase} phase (iteration #${this.iteration}). Stopping.`);
+			}
+		}
+		return !!this.budgetExceeded;
+	}
+
+	/**
+	 * Record that a method which evaluates code was skipped in safe-only mode, along with the number of nodes
+	 * it would have evaluated. Methods without candidates are not recorded.
+	 * @param {Function} method One of the methods which evaluate code.
+	 * @param {Arborist} arb The Arborist instance the method would have been given.
+	 */
+	_recordSkippedTransformation(method, arb) {
+		const candidates = arb.ast?.length ? evaluatingMethods.get(method)(arb).length : 0;
+		if (!candidates) return;
+		const existing = this.skippedTransformations.find(t => t.method === method.name && t.phase === this._phase);
+		if (existing) existing.candidates = Math.max(existing.candidates, candidates);
+		else this.skippedTransformations.push({phase: this._phase, method: method.name, candidates});
+	}
+
+	/**
+	 * Add an entry to the trace describing the changes a method made.
+	 * Methods that return a new Arborist (e.g. processors rebuilding the script) are recorded as a single
+	 * replacement of the entire script.
+	 * @param {string} methodName
+	 * @param {Arborist} arbBefore The Arborist instance the method was given.
+	 * @param {Arborist} arbAfter The Arborist instance the method returned.
+	 * @param {string} scriptBefore The script before the method was applied.
+	 */
+	_recordTraceEntry(methodName, arbBefore, arbAfter, scriptBefore) {
+		let replacements;
+		if (arbAfter !== arbBefore) {
+			replacements = [{
+				range: [0, scriptBefore.length],
+				before: truncateSnippet(scriptBefore),
+				after: truncateSnippet(arbAfter.script),
+			}];
+		} else replacements = describeMarkedChanges(arbAfter);
+		if (replacements.length) {
+			this.trace.push({
+				phase: this._phase,
+				iteration: this.iteration,
+				method: methodName,
+				changes: replacements.length,
+				replacements,
+			});
 		}
 	}
 }
\ No newline at end of file
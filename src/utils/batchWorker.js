@@ -0,0 +1,33 @@
+/*
+ * Worker thread entry point for batch deobfuscation.
+ * Receives {inputFilename, outputFilename, args} messages, deobfuscates the input file,
+ * writes the result if the script was modified, and posts back a summary of the run,
+ * including a report of the run when one was requested.
+ */
+import {parentPort} from 'node:worker_threads';
+import {readFileSync} from 'node:fs';
+import {REstringer} from '../restringer.js';
+import {createReport} from './createReport.js';
+import {writeOutput} from './writeOutput.js';
+
+parentPort.on('message', ({inputFilename, outputFilename, args}) => {
+	const startTime = Date.now();
+	const result = {inputFilename, outputFilename, modified: false, obfuscationName: '', seconds: 0, error: ''};
+	let restringer, inputScript;
+	try {
+		inputScript = readFileSync(inputFilename, 'utf-8');
+		restringer = new REstringer(inputScript, undefined, args);
+		restringer.logger.setLogLevelNone();
+		restringer.generateSourceMap = !!args.sourceMap;
+		result.modified = restringer.deobfuscate();
+		result.obfuscationName = restringer.obfuscationName;
+		if (result.modified) writeOutput(restringer, {inputFilename, outputFilename, sourceMap: args.sourceMap});
+	} catch (e) {
+		result.error = e.message;
+	}
+	result.seconds = (Date.now() - startTime) / 1000;
+	if (args.report && restringer) {
+		result.report = createReport(restringer, {inputFilename, inputScript, modified: result.modified, seconds: result.seconds});
+	}
+	parentPort.postMessage(result);
+});
@@ -0,0 +1,68 @@
+import {DiskCache} from '../modules/utils/diskCache.js';
+
+/**
+ * Selects deobfuscation methods by name.
+ *
+ * @param {Function[]} methods - The available methods
+ * @param {string[]} only - If not empty, keep only the methods with these names, in this order
+ * @param {string[]} skip - Remove the methods with these names
+ * @return {Function[]} The selected methods
+ */
+function selectMethods(methods, only, skip) {
+	if (only.length) methods = only.map(name => methods.find(m => m.name === name)).filter(Boolean);
+	return methods.filter(m => !skip.includes(m.name));
+}
+
+/**
+ * Applies deobfuscation settings to a REstringer instance.
+ * Used with the settings of a configuration file (see loadConfig()) and with command line options,
+ * so that the REstringer constructor, the single file flow and the batch workers deobfuscate the same way.
+ * Settings which aren't set are left as they are.
+ *
+ * @param {REstringer} restringer - The instance to configure
+ * @param {Object} settings - Settings as returned by loadConfig(), or options object as returned by parseArgs()
+ * @return {REstringer} The configured instance
+ * @throws {Error} If a selected module does not exist
+ */
+export function configureRestringer(restringer, settings) {
+	const {only = [], skip = []} = settings;
+	if (settings.maxIterations) restringer.maxIterations.value = settings.maxIterations;
+	if (only.length || skip.length) {
+		const knownNames = restringer.safeMethods.concat(restringer.unsafeMethods).map(m => m.name);
+		const unknownNames = only.concat(skip).filter(name => !knownNames.includes(name));
+		if (unknownNames.length) {
+			throw new Error(`Unknown modules: ${unknownNames.join(', ')}. Use --list-modules to see the available modules`);
+		}
+		restringer.safeMethods = selectMethods(restringer.safeMethods, only, skip);
+		restringer.unsafeMethods = selectMethods(restringer.unsafeMethods, only, skip);
+	}
+	if (settings.safeOnly) restringer.safeOnly = true;
+	if (settings.captureSideEffects) restringer.captureSideEffects = true;
+	if (settings.verify) restringer.verify = true;
+	if (settings.unpackBundles) restringer.unpackBundles = true;
+	if (settings.clean) restringer.clean = true;
+	if (settings.normalize !== undefined) restringer.normalize = settings.normalize;
+	if (settings.maxRuntime) restringer.maxRuntime = settings.maxRuntime;
+	if (settings.maxScriptGrowthFactor) restringer.maxScriptGrowthFactor = settings.maxScriptGrowthFactor;
+	if (settings.sandbox) restringer.sandboxOptions = {...restringer.sandboxOptions, ...settings.sandbox};
+	if (settings.evalCacheDir) {
+		restringer.evalCache = new DiskCache(settings.evalCacheDir, settings.evalCacheMaxEntries ? {maxEntries: settings.evalCacheMaxEntries} : {});
+	}
+	if (settings.skipIdentifiers) restringer.skipIdentifiers = [...settings.skipIdentifiers];
+	if (settings.skipProperties) restringer.skipProperties = [...settings.skipProperties];
+	return restringer;
+}
+
+/**
+ * Lists the deobfuscation modules a REstringer instance runs by default.
+ *
+ * @param {REstringer} restringer - A newly created instance
+ * @return {string} The names of the safe and unsafe modules, one per line, in the order they run
+ */
+export function listModules(restringer) {
+	const lines = ['Safe modules:'];
+	for (let i = 0; i < restringer.safeMethods.length; i++) lines.push(`  ${restringer.safeMethods[i].name}`);
+	lines.push('Unsafe modules (evaluate code in a sandbox):');
+	for (let i = 0; i < restringer.unsafeMethods.length; i++) lines.push(`  ${restringer.unsafeMethods[i].name}`);
+	return lines.join('\n');
+}
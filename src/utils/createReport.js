@@ -0,0 +1,48 @@
+import {createHash} from 'node:crypto';
+import {REstringer} from '../restringer.js';
+import {DEFAULT_EPOCH} from '../modules/utils/sandbox.js';
+
+/**
+ * Creates a machine-readable summary of a deobfuscation run, meant to be serialized as JSON.
+ *
+ * @param {REstringer} restringer - The instance after deobfuscate() was called
+ * @param {Object} details - Details of the run which the instance does not keep
+ * @param {string} details.inputFilename - Path of the input file, or '-' for stdin
+ * @param {string} details.inputScript - The original script
+ * @param {boolean} details.modified - The value returned by deobfuscate()
+ * @param {number} details.seconds - How long the deobfuscation took
+ * @return {Object} The report:
+ *   {version, inputFilename, inputHash, obfuscationType, modified, elapsedSeconds, iterations, methodHits, budgetExceeded, skippedTransformations,
+ *    sandboxLimitsExceeded, seed, epoch, sideEffects, sandboxMetrics, verification, rollbacks, protections, bundle, script}
+ *   where inputHash is the SHA-256 of the original script, and seed and epoch are those of the deterministic Date and
+ *   Math.random used in the sandbox, or null if they weren't used (see runWithSandboxOptions()),
+ *   sandboxMetrics counts the sandboxes and isolates created (see SandboxPool), and verification is the result of
+ *   comparing the behavior of the original and deobfuscated scripts, or null if it wasn't requested (see verifyEquivalence()),
+ *   rollbacks lists the method applications which were rolled back (see REstringer.rollbacks),
+ *   protections lists the protections which were removed from the script (see REstringer.protections),
+ *   and bundle holds the modules the script was split into, or null if it wasn't (see REstringer.unpackBundles).
+ */
+export function createReport(restringer, {inputFilename, inputScript, modified, seconds}) {
+	return {
+		version: REstringer.__version__,
+		inputFilename,
+		inputHash: createHash('sha256').update(inputScript).digest('hex'),
+		obfuscationType: restringer.obfuscationName,
+		modified,
+		elapsedSeconds: seconds,
+		iterations: restringer.iteration,
+		methodHits: {...restringer.methodHits},
+		budgetExceeded: restringer.budgetExceeded,
+		skippedTransformations: restringer.skippedTransformations,
+		sandboxLimitsExceeded: restringer.sandboxLimitsExceeded,
+		seed: restringer.sandboxOptions.seed ?? null,
+		epoch: restringer.sandboxOptions.seed === undefined ? null : restringer.sandboxOptions.epoch ?? DEFAULT_EPOCH,
+		sideEffects: restringer.sideEffects,
+		sandboxMetrics: restringer.sandboxPool.metrics,
+		verification: restringer.verification,
+		rollbacks: restringer.rollbacks,
+		protections: restringer.protections,
+		bundle: restringer.bundle,
+		script: restringer.script,
+	};
+}
@@ -0,0 +1,133 @@
+import {existsSync, readdirSync, statSync} from 'node:fs';
+import {basename, dirname, join, relative, resolve, sep} from 'node:path';
+
+// Files with these extensions are collected when a directory is given as input
+const SCRIPT_EXTENSIONS = ['.js', '.mjs', '.cjs'];
+
+// Suffix added to deobfuscated output files. Such files are skipped when collecting a directory's content.
+const OUTPUT_SUFFIX = '-deob.js';
+
+const GLOB_CHARS_REGEX = /[*?]/;
+
+/**
+ * Converts a glob pattern into a regular expression matching full paths.
+ * Supports `*` (anything but a path separator), `**` (any number of directories) and `?` (a single character).
+ *
+ * @param {string} pattern - Glob pattern using forward slashes
+ * @return {RegExp} A regular expression which matches paths described by the pattern
+ *
+ * @example
+ * // globToRegExp('samples/**\/*.js').test('samples/a/b.js') => true
+ * // globToRegExp('samples/*.js').test('samples/a/b.js') => false
+ */
+export function globToRegExp(pattern) {
+	let regex = '';
+	for (let i = 0; i < pattern.length; i++) {
+		const c = pattern[i];
+		if (c === '*') {
+			if (pattern[i + 1] === '*') {
+				// '**/' matches zero or more directories
+				if (pattern[i + 2] === '/') {
+					regex += '(?:.*/)?';
+					i += 2;
+				} else {
+					regex += '.*';
+					i++;
+				}
+			} else regex += '[^/]*';
+		} else if (c === '?') regex += '[^/]';
+		else regex += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+	}
+	return new RegExp(`^${regex}$`);
+}
+
+/**
+ * @param {string} filename
+ * @return {boolean} True if the file looks like a script which wasn't produced by REstringer.
+ */
+function isScriptFile(filename) {
+	return SCRIPT_EXTENSIONS.some(ext => filename.endsWith(ext)) && !filename.endsWith(OUTPUT_SUFFIX);
+}
+
+/**
+ * @param {string} dir
+ * @return {string[]} The paths of all files under the directory, sorted.
+ */
+function listFilesRecursively(dir) {
+	const files = [];
+	const entries = readdirSync(dir, {recursive: true});
+	for (let i = 0; i < entries.length; i++) {
+		const fullPath = join(dir, entries[i]);
+		if (statSync(fullPath).isFile()) files.push(fullPath);
+	}
+	return files.sort();
+}
+
+/**
+ * Expands a list of input paths into the script files they describe.
+ * Each input can be:
+ * - A file path - used as is, regardless of its extension
+ * - A directory - all .js, .mjs and .cjs files under it, excluding REstringer output files (*-deob.js)
+ * - A glob pattern - all files matching the pattern, excluding REstringer output files (useful when the shell does not expand it)
+ * Duplicates are removed while preserving the order in which the inputs were given.
+ *
+ * @param {string[]} inputs - File paths, directory paths or glob patterns
+ * @return {string[]} Paths of the matching files
+ * @throws {Error} If an input doesn't exist and doesn't match any file
+ */
+export function expandInputPaths(inputs) {
+	const files = [];
+	for (let i = 0; i < inputs.length; i++) {
+		const input = inputs[i];
+		let matches;
+		if (existsSync(input)) {
+			matches = statSync(input).isDirectory() ? listFilesRecursively(input).filter(isScriptFile) : [input];
+		} else if (GLOB_CHARS_REGEX.test(input)) {
+			const pattern = input.split(sep).join('/');
+			// Only walk the part of the tree which precedes the first glob segment
+			const segments = pattern.split('/');
+			const firstGlobSegment = segments.findIndex(s => GLOB_CHARS_REGEX.test(s));
+			const baseDir = segments.slice(0, firstGlobSegment).join('/') || '.';
+			const regex = globToRegExp(pattern.startsWith('./') ? pattern.slice(2) : pattern);
+			matches = existsSync(baseDir) ?
+				listFilesRecursively(baseDir).filter(f => regex.test(f.split(sep).join('/')) && !f.endsWith(OUTPUT_SUFFIX)) : [];
+		} else matches = [];
+		if (!matches.length) throw new Error(`No input files found for '${input}'`);
+		for (let j = 0; j < matches.length; j++) {
+			if (!files.includes(matches[j])) files.push(matches[j]);
+		}
+	}
+	return files;
+}
+
+/**
+ * Determines where the deobfuscated version of a file is written.
+ * Without an output directory, the output is written next to the input as <input_filename>-deob.js.
+ * With an output directory, the input's path relative to baseDir is recreated under the output directory.
+ *
+ * @param {string} inputFilename - Path of the input file
+ * @param {string} [outDir] - Optional output directory
+ * @param {string} [baseDir] - The directory input paths are made relative to when using an output directory
+ * @return {string} The output file path
+ */
+export function getOutputFilename(inputFilename, outDir = '', baseDir = '') {
+	if (!outDir) return `${inputFilename}${OUTPUT_SUFFIX}`;
+	const relativePath = baseDir ? relative(resolve(baseDir), resolve(inputFilename)) : basename(inputFilename);
+	return join(outDir, `${relativePath}${OUTPUT_SUFFIX}`);
+}
+
+/**
+ * @param {string[]} filenames
+ * @return {string} The deepest directory containing all the given files.
+ */
+export function getCommonBaseDir(filenames) {
+	if (!filenames.length) return '';
+	let common = resolve(dirname(filenames[0])).split(sep);
+	for (let i = 1; i < filenames.length; i++) {
+		const parts = resolve(dirname(filenames[i])).split(sep);
+		let j = 0;
+		while (j < common.length && common[j] === parts[j]) j++;
+		common = common.slice(0, j);
+	}
+	return common.join(sep) || sep;
+}
@@ -0,0 +1,147 @@
+import {createRequire} from 'node:module';
+import {existsSync, readFileSync} from 'node:fs';
+import {join, resolve} from 'node:path';
+
+// Configuration files looked for in the working directory, in order of precedence
+export const CONFIG_FILENAMES = ['.restringerrc', '.restringerrc.json', '.restringerrc.cjs', '.restringerrc.js'];
+
+// The type of each supported setting
+const SETTING_TYPES = {
+	only: 'string[]',
+	skip: 'string[]',
+	safeOnly: 'boolean',
+	captureSideEffects: 'boolean',
+	verify: 'boolean',
+	unpackBundles: 'boolean',
+	maxIterations: 'number',
+	maxRuntime: 'number',
+	maxScriptGrowthFactor: 'number',
+	normalize: 'boolean',
+	clean: 'boolean',
+	sandbox: 'object',
+	evalCacheDir: 'string',
+	evalCacheMaxEntries: 'number',
+	skipIdentifiers: 'string[]',
+	skipProperties: 'string[]',
+};
+
+// The type of each supported sandbox setting
+const SANDBOX_SETTING_TYPES = {
+	timeout: 'number',
+	memoryLimit: 'number',
+	blockedGlobals: 'string[]',
+	allowedGlobals: 'string[]',
+	globals: 'object',
+	seed: 'number',
+	epoch: 'number',
+};
+
+// Settings which can also be set from the command line, where they take precedence over the configuration file
+const CLI_SETTINGS = ['only', 'skip', 'safeOnly', 'captureSideEffects', 'verify', 'maxIterations', 'clean', 'evalCacheDir', 'evalCacheMaxEntries'];
+
+/**
+ * @param {*} value
+ * @param {string} type One of the types used in SETTING_TYPES
+ * @return {boolean} True if the value is of the given type.
+ */
+function isOfType(value, type) {
+	if (type === 'string[]') return Array.isArray(value) && value.every(v => typeof v === 'string');
+	if (type === 'object') return typeof value === 'object' && value !== null && !Array.isArray(value);
+	return typeof value === type;
+}
+
+/**
+ * @param {Object} settings
+ * @param {Object} types The expected type of each setting
+ * @param {string} source Where the settings came from, for the error message
+ * @throws {Error} If a setting is unknown or has the wrong type
+ */
+function validateSettings(settings, types, source) {
+	for (const [name, value] of Object.entries(settings)) {
+		if (!types[name]) throw new Error(`Unknown setting '${name}' in ${source}`);
+		if (!isOfType(value, types[name])) throw new Error(`Setting '${name}' in ${source} must be of type ${types[name]}`);
+	}
+}
+
+/**
+ * @param {string} [dir] Defaults to the working directory
+ * @return {string} The path of the configuration file found in the directory, or an empty string if there is none.
+ */
+export function findConfigFile(dir = process.cwd()) {
+	for (let i = 0; i < CONFIG_FILENAMES.length; i++) {
+		const filename = join(dir, CONFIG_FILENAMES[i]);
+		if (existsSync(filename)) return filename;
+	}
+	return '';
+}
+
+/**
+ * Loads and validates a configuration file.
+ * Files ending with .js or .cjs are loaded with require() and export the settings object,
+ * and any other file is parsed as JSON.
+ * Configuration files are loaded synchronously, so a .js file in an ES module project (i.e. one whose package.json
+ * has "type": "module") exports the settings object by default, and is only loaded where require() supports ES modules
+ * (Node.js 20.19+ / 22.12+). Use a .cjs or JSON configuration file to support older versions.
+ *
+ * @param {string} [filename] Defaults to the configuration file found in the working directory (see CONFIG_FILENAMES)
+ * @return {Object} The settings, or an empty object if there is no configuration file:
+ *   {only, skip, safeOnly, captureSideEffects, verify, unpackBundles, maxIterations, maxRuntime, maxScriptGrowthFactor, normalize, clean,
+ *    sandbox: {timeout, memoryLimit, blockedGlobals, allowedGlobals, globals, seed, epoch}, evalCacheDir, evalCacheMaxEntries,
+ *    skipIdentifiers, skipProperties}
+ * @throws {Error} If the file cannot be loaded, or contains unknown or invalid settings
+ *
+ * @example
+ * // .restringerrc
+ * // {"skip": ["resolveLocalCalls"], "maxIterations": 100, "sandbox": {"timeout": 200}}
+ */
+export function loadConfig(filename = findConfigFile()) {
+	if (!filename) return {};
+	if (!existsSync(filename)) throw new Error(`Configuration file not found: ${filename}`);
+	let settings;
+	if (/\.c?js$/.test(filename)) {
+		try {
+			settings = createRequire(import.meta.url)(resolve(filename));
+		} catch (e) {
+			if (e.code === 'ERR_REQUIRE_ESM') throw new Error(`Unable to load ${filename} as an ES module in this version of Node.js. Use a .cjs or JSON configuration file instead`);
+			throw new Error(`Unable to load ${filename}: ${e.message}`);
+		}
+		// ES modules are loaded as their namespace object where require() supports them
+		if (settings?.[Symbol.toStringTag] === 'Module') settings = settings.default;
+	} else {
+		try {
+			settings = JSON.parse(readFileSync(filename, 'utf-8'));
+		} catch (e) {
+			throw new Error(`Unable to parse ${filename}: ${e.message}`);
+		}
+	}
+	if (!isOfType(settings, 'object')) throw new Error(`${filename} must contain a settings object`);
+	validateSettings(settings, SETTING_TYPES, filename);
+	if (settings.sandbox) validateSettings(settings.sandbox, SANDBOX_SETTING_TYPES, `${filename} (sandbox)`);
+	return settings;
+}
+
+/**
+ * Merges command line options into the settings loaded from a configuration file.
+ * Options set on the command line take precedence over the configuration file.
+ * Sandbox options are merged one by one, so that setting one of them on the command line keeps the others.
+ *
+ * @param {Object} settings - Settings as returned by loadConfig()
+ * @param {Object} args - Options object as returned by parseArgs()
+ * @return {Object} The command line options, with the configuration file's settings added where not set on the command line
+ */
+export function mergeConfig(settings, args) {
+	const merged = {...settings, ...args};
+	for (let i = 0; i < CLI_SETTINGS.length; i++) {
+		const name = CLI_SETTINGS[i];
+		const isSet = Array.isArray(args[name]) ? args[name].length : args[name];
+		if (!isSet && settings[name] !== undefined) merged[name] = settings[name];
+	}
+	if (settings.sandbox || args.sandbox) {
+		merged.sandbox = {
+			...settings.sandbox,
+			...args.sandbox,
+			...(settings.sandbox?.globals || args.sandbox?.globals ? {globals: {...settings.sandbox?.globals, ...args.sandbox?.globals}} : {}),
+		};
+	}
+	return merged;
+}
@@ -1,4 +1,7 @@
-import {Command} from 'commander';
+import {Command, Option} from 'commander';
+
+// Input filename which stands for reading the script from stdin
+export const STDIN_FILENAME = '-';
 
 /**
  * Pre-processes arguments to handle short option `=` syntax that Commander.js doesn't support.
@@ -27,12 +30,76 @@ function preprocessShortOptionsWithEquals(args) {
 	return processed;
 }
 
+/**
+ * Collects the values of an option which can be repeated, with each value being a comma-separated list.
+ * E.g. `--skip a,b --skip c` => ['a', 'b', 'c']
+ *
+ * @param {string} value - The current option value
+ * @param {string[]} previous - Values collected so far
+ * @return {string[]} The collected values
+ */
+function collectList(value, previous = []) {
+	return previous.concat(value.split(',').map(v => v.trim()).filter(Boolean));
+}
+
+/**
+ * @param {string} name - The option's name, for the error message
+ * @return {Function} A parser for the option's value, which must be a positive integer
+ */
+function positiveInteger(name) {
+	return value => {
+		const parsed = parseInt(value, 10);
+		if (isNaN(parsed) || parsed <= 0) {
+			throw new Error(`${name} must be a positive number`);
+		}
+		return parsed;
+	};
+}
+
+/**
+ * @param {string} name - The option's name, for the error message
+ * @return {Function} A parser for the option's value, which must be an integer
+ */
+function integer(name) {
+	return value => {
+		const parsed = Number(value);
+		if (!Number.isSafeInteger(parsed)) {
+			throw new Error(`${name} must be an integer`);
+		}
+		return parsed;
+	};
+}
+
+/**
+ * Collects the values of an option which can be repeated, with each value being a name=value pair.
+ * Values are parsed as JSON, and kept as strings when they aren't valid JSON.
+ * E.g. `--sandbox-global a=1 --sandbox-global b=text` => {a: 1, b: 'text'}
+ *
+ * @param {string} value - The current option value
+ * @param {Object} previous - Values collected so far
+ * @return {Object} The collected values
+ */
+function collectNameValuePairs(value, previous = {}) {
+	const separator = value.indexOf('=');
+	if (separator < 1) throw new Error(`Expected name=value instead of '${value}'`);
+	const name = value.slice(0, separator);
+	let parsed = value.slice(separator + 1);
+	try {
+		parsed = JSON.parse(parsed);
+	} catch {
+		// Not JSON - keep the value as a string
+	}
+	return {...previous, [name]: parsed};
+}
+
 /**
  * Parses command line arguments into a structured options object using Commander.js.
  * 
  * @param {string[]} args - Array of command line arguments (typically process.argv.slice(2))
  * @return {Object} Parsed options object with the following structure:
- * @return {string} return.inputFilename - Path to input JavaScript file
+ * @return {string} return.inputFilename - Path to input JavaScript file (the first one if several were given).
+ *   STDIN_FILENAME when reading from stdin, either explicitly or since no filename was given and stdin is not a TTY
+ * @return {string[]} return.inputFilenames - All input files, directories or glob patterns
  * @return {boolean} return.help - Whether help was requested
  * @return {boolean} return.clean - Whether to remove dead nodes after deobfuscation
  * @return {boolean} return.quiet - Whether to suppress output to stdout
@@ -40,6 +107,23 @@ function preprocessShortOptionsWithEquals(args) {
  * @return {boolean} return.outputToFile - Whether output should be written to file
  * @return {number|boolean|null} return.maxIterations - Maximum iterations (number > 0), false if not set, or null if flag present with invalid value
  * @return {string} return.outputFilename - Output filename (auto-generated or user-specified)
+ * @return {string} return.outDir - Directory to write batch results to, or an empty string to write them next to the inputs
+ * @return {number|boolean|null} return.jobs - Number of worker threads for batch mode, false if not set, or null if flag present with invalid value
+ * @return {string} return.report - Format of the report to print instead of the deobfuscated script ('json'), or an empty string
+ * @return {string[]} return.only - Names of the only deobfuscation modules to run, in the order they should run
+ * @return {string[]} return.skip - Names of deobfuscation modules not to run
+ * @return {boolean} return.safeOnly - Whether to skip everything which evaluates code
+ * @return {boolean} return.captureSideEffects - Whether to record the side effects of evaluated code
+ * @return {boolean} return.verify - Whether to check that the deobfuscated script behaves like the original one
+ * @return {boolean} return.listModules - Whether to list the available deobfuscation modules and exit
+ * @return {boolean} return.sourceMap - Whether to create a source map of the deobfuscated script
+ * @return {string} return.unpackBundleDir - Directory to write the modules of an unpacked bundle to, or an empty string
+ * @return {string} return.evalCacheDir - Directory to persist the results of evaluated code in, or an empty string
+ * @return {number|boolean} return.evalCacheMaxEntries - Maximum number of results to persist, or false if not set
+ * @return {string} return.config - Path of the configuration file to use instead of the one found in the working directory
+ * @return {Object} return.sandbox - Sandbox options set on the command line:
+ *   {timeout, memoryLimit, blockedGlobals, allowedGlobals, globals, seed, epoch}. Options which aren't set are omitted.
+ *   A random seed is chosen when --sandbox-seed is given without a value
  */
 export function parseArgs(args) {
 	// Input validation - handle edge cases gracefully
@@ -60,18 +144,34 @@ export function parseArgs(args) {
 			.description('REstringer - a JavaScript deobfuscator')
 			.allowUnknownOption(false)
 			.exitOverride() // Prevent Commander from calling process.exit()
-			.argument('[input_filename]', 'The obfuscated JS file')
+			.argument('[input_filename...]', 'The obfuscated JS file, or - to read from stdin. Multiple files, directories or glob patterns run in batch mode')
 			.option('-c, --clean', 'Remove dead nodes from script after deobfuscation is complete (unsafe)')
 			.option('-q, --quiet', 'Suppress output to stdout. Output result only to stdout if the -o option is not set')
 			.option('-v, --verbose', 'Show more debug messages while deobfuscating')
 			.option('-o, --output [filename]', 'Write deobfuscated script to output_filename. <input_filename>-deob.js is used if no filename is provided')
-			.option('-m, --max-iterations <number>', 'Run at most M iterations', (value) => {
-				const parsed = parseInt(value, 10);
-				if (isNaN(parsed) || parsed <= 0) {
-					throw new Error('max-iterations must be a positive number');
-				}
-				return parsed;
-			});
+			.option('-m, --max-iterations <number>', 'Run at most M iterations', positiveInteger('max-iterations'))
+			.option('--out-dir <dir>', 'Batch mode: write results into this directory instead of next to each input file')
+			.option('-j, --jobs <number>', 'Batch mode: number of files to deobfuscate in parallel. Defaults to the number of CPUs', positiveInteger('jobs'))
+			.addOption(new Option('--report <format>', 'Print a report of the deobfuscation instead of the deobfuscated script. Logs are written to stderr')
+				.choices(['json']))
+			.option('--only <modules>', 'Only run these comma-separated deobfuscation modules, in the given order', collectList, [])
+			.option('--skip <modules>', 'Do not run these comma-separated deobfuscation modules', collectList, [])
+			.option('--safe-only', 'Never evaluate code. Modules and processors which require evaluation are skipped and reported')
+			.option('--capture-side-effects', 'Record console output, evaluated strings and network attempts of evaluated code')
+			.option('--verify', 'Check that the deobfuscated script behaves like the original script, and report the module which changed its behavior if not')
+			.option('--list-modules', 'List the available deobfuscation modules and exit')
+			.option('--source-map', 'Also create a source map linking the deobfuscated script back to the original script')
+			.option('--unpack-bundle <dir>', 'Split a webpack or Browserify bundle into its modules, and write them into this directory along with a manifest of their IDs and dependencies')
+			.option('--eval-cache <dir>', 'Persist the results of evaluated code in this directory, to reuse them in later runs')
+			.option('--eval-cache-max-entries <number>', 'Evict the least recently used results from the eval cache beyond this number (default: 10000)', positiveInteger('eval-cache-max-entries'))
+			.option('--config <file>', 'Read settings from this configuration file instead of the .restringerrc found in the working directory')
+			.option('--sandbox-timeout <ms>', 'Time limit for each evaluation in the sandbox, in milliseconds (default: 1000)', positiveInteger('sandbox-timeout'))
+			.option('--sandbox-memory-limit <mb>', 'Memory limit of each sandbox, in MB (default: 128)', positiveInteger('sandbox-memory-limit'))
+			.option('--sandbox-block <globals>', 'Block these comma-separated globals in the sandbox, in addition to the default ones', collectList)
+			.option('--sandbox-allow <globals>', 'Do not block these comma-separated globals, which are blocked in the sandbox by default', collectList)
+			.option('--sandbox-global <name=value>', 'Inject a global into the sandbox. The value is parsed as JSON if possible. Can be repeated', collectNameValuePairs)
+			.option('--sandbox-seed [number]', 'Replace Date and Math.random in the sandbox with deterministic implementations seeded with this number. A random seed is chosen if no number is given', integer('sandbox-seed'))
+			.option('--sandbox-epoch <ms>', 'The fixed time returned by the deterministic Date, in milliseconds since 1970 (default: 2024-01-01)', integer('sandbox-epoch'));
 
 		// Add mutually exclusive validation using preAction hook
 		program.hook('preAction', (thisCommand) => {
@@ -103,15 +203,20 @@ export function parseArgs(args) {
 			const opts = createDefaultOptions('');
 			if (error.message.includes('max-iterations')) {
 				opts.maxIterations = null;
+			} else if (error.message.includes('jobs')) {
+				opts.jobs = null;
 			}
 			return opts;
 		}
 
 		const options = program.opts();
-		const inputFilename = program.args[0] || '';
+		// Read from stdin when it is piped in and no filename was given
+		const inputFilenames = !program.args.length && !hasHelp && !options.listModules && !process.stdin.isTTY ? [STDIN_FILENAME] : program.args.slice();
+		const inputFilename = inputFilenames[0] || '';
 
 		// Create the return object matching the original API
 		const opts = createDefaultOptions(inputFilename);
+		opts.inputFilenames = inputFilenames;
 		
 		// Map Commander.js options to our expected format
 		opts.help = hasHelp;
@@ -132,8 +237,32 @@ export function parseArgs(args) {
 			opts.maxIterations = options.maxIterations;
 		}
 		
-		// Validate required input filename (unless help is requested)
-		if (!hasHelp && (!opts.inputFilename || opts.inputFilename.length === 0)) {
+		if (options.outDir !== undefined) opts.outDir = options.outDir;
+		if (options.jobs !== undefined) opts.jobs = options.jobs;
+		if (options.report !== undefined) opts.report = options.report;
+		opts.only = options.only;
+		opts.skip = options.skip;
+		opts.safeOnly = !!options.safeOnly;
+		opts.captureSideEffects = !!options.captureSideEffects;
+		opts.verify = !!options.verify;
+		opts.listModules = !!options.listModules;
+		opts.sourceMap = !!options.sourceMap;
+		if (options.unpackBundle !== undefined) opts.unpackBundleDir = options.unpackBundle;
+		if (options.evalCache !== undefined) opts.evalCacheDir = options.evalCache;
+		if (options.evalCacheMaxEntries !== undefined) opts.evalCacheMaxEntries = options.evalCacheMaxEntries;
+		if (options.config !== undefined) opts.config = options.config;
+		if (options.sandboxTimeout !== undefined) opts.sandbox.timeout = options.sandboxTimeout;
+		if (options.sandboxMemoryLimit !== undefined) opts.sandbox.memoryLimit = options.sandboxMemoryLimit;
+		if (options.sandboxBlock !== undefined) opts.sandbox.blockedGlobals = options.sandboxBlock;
+		if (options.sandboxAllow !== undefined) opts.sandbox.allowedGlobals = options.sandboxAllow;
+		if (options.sandboxGlobal !== undefined) opts.sandbox.globals = options.sandboxGlobal;
+		if (options.sandboxSeed !== undefined) {
+			opts.sandbox.seed = options.sandboxSeed === true ? Math.floor(Math.random() * 2 ** 32) : options.sandboxSeed;
+		}
+		if (options.sandboxEpoch !== undefined) opts.sandbox.epoch = options.sandboxEpoch;
+		
+		// Validate required input filename (unless help or the modules list is requested)
+		if (!hasHelp && !opts.listModules && (!opts.inputFilename || opts.inputFilename.length === 0)) {
 			throw new Error('missing required argument \'input_filename\'');
 		}
 		
@@ -155,12 +284,28 @@ export function parseArgs(args) {
 function createDefaultOptions(inputFilename) {
 	return {
 		inputFilename,
+		inputFilenames: inputFilename ? [inputFilename] : [],
 		help: false,
 		clean: false,
 		quiet: false,
 		verbose: false,
 		outputToFile: false,
 		maxIterations: false,
-		outputFilename: inputFilename ? `${inputFilename}-deob.js` : '-deob.js',
+		outputFilename: inputFilename === STDIN_FILENAME ? 'stdin-deob.js' : `${inputFilename}-deob.js`,
+		outDir: '',
+		jobs: false,
+		report: '',
+		only: [],
+		skip: [],
+		safeOnly: false,
+		captureSideEffects: false,
+		verify: false,
+		listModules: false,
+		sourceMap: false,
+		unpackBundleDir: '',
+		evalCacheDir: '',
+		evalCacheMaxEntries: false,
+		config: '',
+		sandbox: {},
 	};
 }
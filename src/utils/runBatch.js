@@ -0,0 +1,94 @@
+import {availableParallelism} from 'node:os';
+import {Worker} from 'node:worker_threads';
+import {getOutputFilename, getCommonBaseDir} from './expandInputPaths.js';
+
+const WORKER_URL = new URL('./batchWorker.js', import.meta.url);
+
+/**
+ * Deobfuscates multiple files in parallel using a pool of worker threads.
+ * Each worker handles one file at a time and picks up the next pending file when done.
+ * A worker which crashes is replaced, and the file it was handling is reported with the error.
+ *
+ * @param {string[]} inputFilenames - Paths of the files to deobfuscate
+ * @param {Object} args - Options object as returned by parseArgs()
+ * @param {Function} [onResult] - Optional callback invoked with each file's result as soon as it is available
+ * @return {Promise<Object[]>} One result per input file, in the order of the input files:
+ *   {inputFilename, outputFilename, modified, obfuscationName, seconds, error, report}
+ *   where report is only available when args.report is set (see createReport()).
+ */
+export function runBatch(inputFilenames, args, onResult = () => {}) {
+	const baseDir = args.outDir ? getCommonBaseDir(inputFilenames) : '';
+	const numberOfWorkers = Math.min(args.jobs || availableParallelism(), inputFilenames.length);
+	const results = new Array(inputFilenames.length);
+	let nextIndex = 0;
+	let pending = inputFilenames.length;
+
+	return new Promise(resolve => {
+		if (!pending) return resolve(results);
+
+		const handleResult = (index, result) => {
+			results[index] = result;
+			onResult(result);
+			if (--pending === 0) resolve(results);
+		};
+
+		const startWorker = () => {
+			const worker = new Worker(WORKER_URL);
+			let currentIndex = -1;
+			const sendNext = () => {
+				if (nextIndex < inputFilenames.length) {
+					currentIndex = nextIndex++;
+					const inputFilename = inputFilenames[currentIndex];
+					worker.postMessage({inputFilename, outputFilename: getOutputFilename(inputFilename, args.outDir, baseDir), args});
+				} else worker.terminate();
+			};
+			worker.on('message', result => {
+				handleResult(currentIndex, result);
+				sendNext();
+			});
+			worker.on('error', e => {
+				if (currentIndex > -1) {
+					const inputFilename = inputFilenames[currentIndex];
+					handleResult(currentIndex, {
+						inputFilename,
+						outputFilename: getOutputFilename(inputFilename, args.outDir, baseDir),
+						modified: false,
+						obfuscationName: '',
+						seconds: 0,
+						error: e.message,
+					});
+				}
+				if (nextIndex < inputFilenames.length) startWorker();
+			});
+			sendNext();
+		};
+
+		for (let i = 0; i < numberOfWorkers; i++) startWorker();
+	});
+}
+
+/**
+ * Formats batch results as a plain text table with a row per file.
+ *
+ * @param {Object[]} results - Results as returned by runBatch()
+ * @return {string} The summary table
+ *
+ * @example
+ * // File     Changed  Obfuscation    Time (s)
+ * // a.js     yes      obfuscator.io  1.204
+ * // b.js     no       Generic        0.051
+ */
+export function formatSummaryTable(results) {
+	const rows = [['File', 'Changed', 'Obfuscation', 'Time (s)']];
+	for (let i = 0; i < results.length; i++) {
+		const r = results[i];
+		rows.push([r.inputFilename, r.error ? 'error' : r.modified ? 'yes' : 'no', r.obfuscationName || '-', r.seconds.toFixed(3)]);
+	}
+	const widths = rows[0].map((_, col) => Math.max(...rows.map(row => row[col].length)));
+	const lines = rows.map(row => row.map((cell, col) => cell.padEnd(widths[col])).join('  ').trimEnd());
+	const errors = results.filter(r => r.error);
+	for (let i = 0; i < errors.length; i++) {
+		lines.push(`[-] ${errors[i].inputFilename}: ${errors[i].error}`);
+	}
+	return lines.join('\n');
+}
@@ -0,0 +1,241 @@
+import {generateCode} from 'flast';
+
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// Keys which never lead to child nodes of a replacement node
+const NON_CHILD_KEYS = [
+	'parentNode', 'parentKey', 'childNodes', 'scope', 'allScopes', 'typeMap', 'lineage', 'srcClosure',
+	'declNode', 'references', 'comments', 'tokens', 'leadingComments', 'trailingComments', 'loc', 'range',
+];
+
+/*
+ * Mappings are kept decoded as an array with an entry per line of the generated script.
+ * Each entry is an array of [generatedColumn, originalLine, originalColumn] segments sorted by their generated column,
+ * where lines are 0-based and all positions refer to a single source.
+ */
+
+/**
+ * @param {number} value
+ * @return {string} The value encoded as a base64 VLQ.
+ */
+function encodeVlq(value) {
+	let vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+	let encoded = '';
+	do {
+		let digit = vlq & 31;
+		vlq >>>= 5;
+		if (vlq) digit |= 32;
+		encoded += BASE64_CHARS[digit];
+	} while (vlq);
+	return encoded;
+}
+
+/**
+ * @param {string} segment A single base64 VLQ encoded segment
+ * @return {number[]} The decoded fields of the segment.
+ */
+function decodeVlqSegment(segment) {
+	const fields = [];
+	let value = 0, shift = 0;
+	for (let i = 0; i < segment.length; i++) {
+		const digit = BASE64_CHARS.indexOf(segment[i]);
+		value += (digit & 31) << shift;
+		if (digit & 32) shift += 5;
+		else {
+			fields.push(value & 1 ? -(value >>> 1) : value >>> 1);
+			value = shift = 0;
+		}
+	}
+	return fields;
+}
+
+/**
+ * @param {Array[]} mappings Decoded mappings
+ * @return {string} The mappings encoded as the 'mappings' field of a source map v3.
+ */
+export function encodeMappings(mappings) {
+	let previousOriginalLine = 0, previousOriginalColumn = 0;
+	return mappings.map(segments => {
+		let previousGeneratedColumn = 0;
+		return segments.map(([generatedColumn, originalLine, originalColumn]) => {
+			const encoded = encodeVlq(generatedColumn - previousGeneratedColumn) + encodeVlq(0) +
+				encodeVlq(originalLine - previousOriginalLine) + encodeVlq(originalColumn - previousOriginalColumn);
+			previousGeneratedColumn = generatedColumn;
+			previousOriginalLine = originalLine;
+			previousOriginalColumn = originalColumn;
+			return encoded;
+		}).join(',');
+	}).join(';');
+}
+
+/**
+ * Decode the 'mappings' field of a source map v3 with a single source.
+ * Segments which don't map to the source are dropped.
+ * @param {string} encoded
+ * @return {Array[]} Decoded mappings
+ */
+export function decodeMappings(encoded) {
+	let originalLine = 0, originalColumn = 0;
+	return encoded.split(';').map(line => {
+		const segments = [];
+		let generatedColumn = 0;
+		const encodedSegments = line ? line.split(',') : [];
+		for (let i = 0; i < encodedSegments.length; i++) {
+			const fields = decodeVlqSegment(encodedSegments[i]);
+			generatedColumn += fields[0];
+			if (fields.length >= 4) {
+				originalLine += fields[2];
+				originalColumn += fields[3];
+				segments.push([generatedColumn, originalLine, originalColumn]);
+			}
+		}
+		return segments;
+	});
+}
+
+/**
+ * @param {Array[]} segments The segments of a single line, sorted by their generated column
+ * @param {number} column
+ * @return {number[]|undefined} The last segment which starts at or before the column.
+ */
+function findSegment(segments, column) {
+	let low = 0, high = (segments?.length || 0) - 1, found;
+	while (low <= high) {
+		const middle = (low + high) >> 1;
+		if (segments[middle][0] <= column) {
+			found = segments[middle];
+			low = middle + 1;
+		} else high = middle - 1;
+	}
+	return found;
+}
+
+/**
+ * Chain two mappings so that positions in the latest script map to positions in the earliest one.
+ * Segments which point to unmapped positions are dropped.
+ * @param {Array[]} outer Mappings from the latest script to the intermediate script
+ * @param {Array[]} inner Mappings from the intermediate script to the earliest script
+ * @return {Array[]} Mappings from the latest script to the earliest script
+ */
+export function composeMappings(outer, inner) {
+	return outer.map(segments => {
+		const composed = [];
+		for (let i = 0; i < segments.length; i++) {
+			const [generatedColumn, line, column] = segments[i];
+			const innerSegment = findSegment(inner[line], column);
+			if (innerSegment) composed.push([generatedColumn, innerSegment[1], innerSegment[2]]);
+		}
+		return composed;
+	});
+}
+
+/**
+ * @param {string} script
+ * @return {Array[]} Mappings of an unchanged script to itself, line by line.
+ */
+export function createIdentityMappings(script) {
+	return script.split('\n').map((_, i) => [[0, i, 0]]);
+}
+
+/**
+ * @param {string} script
+ * @return {function(number): {line: number, column: number}} Converts an offset in the script to a line (1-based) and column.
+ */
+function createPositionLookup(script) {
+	const lineStarts = [0];
+	for (let i = 0; i < script.length; i++) {
+		if (script[i] === '\n') lineStarts.push(i + 1);
+	}
+	return offset => {
+		let low = 0, high = lineStarts.length - 1;
+		while (low < high) {
+			const middle = (low + high + 1) >> 1;
+			if (lineStarts[middle] <= offset) low = middle;
+			else high = middle - 1;
+		}
+		return {line: low + 1, column: offset - lineStarts[low]};
+	};
+}
+
+/**
+ * Set the location of a replacement node and of its new descendants to the location of the node it replaces.
+ * Nodes which are part of the current AST keep their own location, since they were only moved.
+ * @param {ASTNode} node
+ * @param {Object} loc
+ * @param {Set<ASTNode>} astNodes The nodes of the current AST
+ */
+function setReplacementLocation(node, loc, astNodes) {
+	if (astNodes.has(node)) return;
+	node.loc = loc;
+	for (const key in node) {
+		if (NON_CHILD_KEYS.includes(key)) continue;
+		const children = Array.isArray(node[key]) ? node[key] : [node[key]];
+		for (let i = 0; i < children.length; i++) {
+			if (typeof children[i]?.type === 'string') setReplacementLocation(children[i], loc, astNodes);
+		}
+	}
+}
+
+/**
+ * Set the location of every node in the AST, including the replacement nodes marked on it,
+ * so that code generated from it can be mapped back to the Arborist's current script.
+ * @param {Arborist} arb
+ */
+export function setNodeLocations(arb) {
+	const getPosition = createPositionLookup(arb.script);
+	for (let i = 0; i < arb.ast.length; i++) {
+		const n = arb.ast[i];
+		if (n.range) n.loc = {start: getPosition(n.range[0]), end: getPosition(n.range[1])};
+	}
+	const astNodes = new Set(arb.ast);
+	for (let i = 0; i < arb.replacements.length; i++) {
+		const [targetNode, replacementNode] = arb.replacements[i];
+		if (targetNode.loc) setReplacementLocation(replacementNode, targetNode.loc, astNodes);
+	}
+}
+
+/**
+ * Generate code from an AST whose nodes have locations (see setNodeLocations()).
+ * @param {ASTNode} rootNode
+ * @return {{code: string, mappings: Array[]}} The code and the mappings from it to the script the locations refer to.
+ */
+export function generateCodeWithMappings(rootNode) {
+	const {code, map} = generateCode(rootNode, {sourceMap: 'source', sourceMapWithCode: true});
+	return {code, mappings: decodeMappings(map.toJSON().mappings)};
+}
+
+/**
+ * @param {Array[]} mappings Mappings from the generated script to the source
+ * @param {Object} details
+ * @param {string} details.source The name of the source, relative to the source map's location
+ * @param {string} details.sourceContent The content of the source
+ * @param {string} [details.file] The name of the generated file
+ * @return {Object} A source map v3
+ */
+export function createSourceMap(mappings, {source, sourceContent, file}) {
+	return {
+		version: 3,
+		...(file ? {file} : {}),
+		sources: [source],
+		sourcesContent: [sourceContent],
+		names: [],
+		mappings: encodeMappings(mappings),
+	};
+}
+
+/**
+ * @param {string} script
+ * @param {string} url The location of the source map, relative to the script, or a data URL
+ * @return {string} The script with a comment linking it to its source map.
+ */
+export function addSourceMappingUrl(script, url) {
+	return `${script}\n//# sourceMappingURL=${url}`;
+}
+
+/**
+ * @param {Object} sourceMap
+ * @return {string} The source map as a data URL which can be inlined into the script.
+ */
+export function toDataUrl(sourceMap) {
+	return `data:application/json;charset=utf-8;base64,${Buffer.from(JSON.stringify(sourceMap)).toString('base64')}`;
+}
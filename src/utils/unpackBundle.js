@@ -0,0 +1,319 @@
+import {generateCode, generateFlatAST} from 'flast';
+
+const FUNCTION_TYPES = ['FunctionExpression', 'ArrowFunctionExpression'];
+// Module functions are given (module, exports, require) by webpack, and (require, module, exports) by Browserify
+const MAX_MODULE_PARAMS = 3;
+const WEBPACK_REQUIRE_PARAM_INDEX = 2;
+
+/**
+ * @param {ASTNode} n
+ * @return {boolean} True if the node is a function which can be a bundled module.
+ */
+function isModuleFunction(n) {
+	return FUNCTION_TYPES.includes(n?.type) && !n.async && !n.generator && n.params.length <= MAX_MODULE_PARAMS &&
+		n.params.every(p => p.type === 'Identifier');
+}
+
+/**
+ * @param {ASTNode} n
+ * @return {boolean} True if the node is a number or string literal, which can be a module ID.
+ */
+function isModuleId(n) {
+	return n?.type === 'Literal' && ['number', 'string'].includes(typeof n.value);
+}
+
+/**
+ * @param {ASTNode} prop
+ * @return {number|string|undefined} The property's key if it can be a module ID.
+ */
+function getPropertyKey(prop) {
+	if (prop.type !== 'Property' || prop.kind !== 'init') return undefined;
+	if (isModuleId(prop.key)) return prop.key.value;
+	return !prop.computed && prop.key.type === 'Identifier' ? prop.key.name : undefined;
+}
+
+/**
+ * @param {ASTNode} arg The argument of a call to the require function
+ * @return {number|string|undefined} The required module's ID, if it is a literal: r(5), r('./a.js') or r(r.s = 5)
+ */
+function getRequiredId(arg) {
+	if (isModuleId(arg)) return arg.value;
+	if (arg?.type === 'AssignmentExpression' && arg.operator === '=' && isModuleId(arg.right)) return arg.right.value;
+	return undefined;
+}
+
+/**
+ * @param {ASTNode} n A webpack module map - an object or an array of module functions
+ * @return {Object[]|null} The modules as {id, func}, or null if the node isn't a module map.
+ *   The IDs of modules in an array are their indexes, and holes in the array are skipped.
+ */
+function getWebpackModules(n) {
+	const modules = [];
+	if (n?.type === 'ObjectExpression') {
+		for (let i = 0; i < n.properties.length; i++) {
+			const id = getPropertyKey(n.properties[i]);
+			if (id === undefined || !isModuleFunction(n.properties[i].value)) return null;
+			modules.push({id, func: n.properties[i].value});
+		}
+	} else if (n?.type === 'ArrayExpression') {
+		for (let i = 0; i < n.elements.length; i++) {
+			if (!n.elements[i]) continue;
+			if (!isModuleFunction(n.elements[i])) return null;
+			modules.push({id: i, func: n.elements[i]});
+		}
+	}
+	return modules.length ? modules : null;
+}
+
+/**
+ * @param {ASTNode} n
+ * @return {ASTNode|null} The function the node is in.
+ */
+function getEnclosingFunction(n) {
+	let current = n.parentNode;
+	while (current && !['FunctionDeclaration', ...FUNCTION_TYPES].includes(current.type)) current = current.parentNode;
+	return current || null;
+}
+
+/**
+ * @param {ASTNode} func
+ * @return {ASTNode|null} The identifier the function is declared or assigned to.
+ */
+function getFunctionName(func) {
+	if (func.type === 'FunctionDeclaration') return func.id;
+	if (func.parentNode.type === 'VariableDeclarator' && func.parentKey === 'init') return func.parentNode.id;
+	return null;
+}
+
+/**
+ * @param {ASTNode} ref A reference to the module map
+ * @return {ASTNode|null} The call to the module if the module is looked up in the map and called:
+ *   modules[id](...) or modules[id].call(...)
+ */
+function getModuleCall(ref) {
+	const lookup = ref.parentNode;
+	if (lookup.type !== 'MemberExpression' || ref.parentKey !== 'object' || !lookup.computed) return null;
+	const parent = lookup.parentNode;
+	if (parent.type === 'CallExpression' && lookup.parentKey === 'callee') return parent;
+	if (parent.type === 'MemberExpression' && !parent.computed && parent.property.name === 'call' &&
+		parent.parentNode.type === 'CallExpression' && parent.parentKey === 'callee') return parent.parentNode;
+	return null;
+}
+
+/**
+ * @param {ASTNode} ref A reference to the module map
+ * @return {ASTNode|null} The identifier the require function is declared as, if the reference is where the require
+ *   function calls the module with the given ID, passing the require function to it.
+ */
+function getRequireFunctionName(ref) {
+	const moduleCall = getModuleCall(ref);
+	const requireFunction = moduleCall && getEnclosingFunction(moduleCall);
+	const requireName = requireFunction && getFunctionName(requireFunction);
+	if (!requireName || ref.parentNode.property.declNode !== requireFunction.params[0]) return null;
+	return moduleCall.arguments.some(arg => arg.type === 'Identifier' && arg.declNode === requireName) ? requireName : null;
+}
+
+/**
+ * @param {ASTNode} mapNode A webpack module map
+ * @return {ASTNode|null} The identifier the module map is bound to, either as a variable or as the param of the
+ *   bootstrap function it is passed to.
+ */
+function getModuleMapBinding(mapNode) {
+	const parent = mapNode.parentNode;
+	if (parent.type === 'VariableDeclarator' && mapNode.parentKey === 'init') return parent.id;
+	if (parent.type === 'CallExpression' && mapNode.parentKey === 'arguments' && FUNCTION_TYPES.includes(parent.callee.type)) {
+		return parent.callee.params[parent.arguments.indexOf(mapNode)] || null;
+	}
+	return null;
+}
+
+/**
+ * @param {ASTNode} requireName The identifier the require function is declared as
+ * @param {number[][]} excludedRanges Calls within these ranges are not entries
+ * @return {Array<number|string>} The IDs of the modules required from outside the modules.
+ */
+function getEntries(requireName, excludedRanges) {
+	const entries = [];
+	const references = requireName?.references || [];
+	for (let i = 0; i < references.length; i++) {
+		const ref = references[i];
+		if (ref.parentNode.type !== 'CallExpression' || ref.parentKey !== 'callee' ||
+			excludedRanges.some(([start, end]) => ref.range[0] >= start && ref.range[1] <= end)) continue;
+		const id = getRequiredId(ref.parentNode.arguments[0]);
+		if (id !== undefined && !entries.includes(id)) entries.push(id);
+	}
+	return entries;
+}
+
+/**
+ * @param {ASTNode} func A module function
+ * @param {number} requireParamIndex
+ * @return {Array<number|string>} The IDs of the modules the module requires with literal IDs.
+ */
+function getRequiredIds(func, requireParamIndex) {
+	const ids = [];
+	const references = func.params[requireParamIndex]?.references || [];
+	for (let i = 0; i < references.length; i++) {
+		const ref = references[i];
+		if (ref.parentNode.type !== 'CallExpression' || ref.parentKey !== 'callee') continue;
+		const id = getRequiredId(ref.parentNode.arguments[0]);
+		if (id !== undefined && !ids.includes(id)) ids.push(id);
+	}
+	return ids;
+}
+
+/**
+ * @param {ASTNode} func A module function
+ * @return {string} The code of the module's body.
+ */
+function getModuleSource(func) {
+	if (func.body.type !== 'BlockStatement') return `${generateCode(func.body)};`;
+	return func.body.body.map(n => generateCode(n)).join('\n');
+}
+
+/**
+ * @param {Object} module {id, func}
+ * @param {Array<number|string>} dependencies
+ * @return {Object} The module as it is returned by unpackBundle().
+ */
+function describeModule({id, func}, dependencies) {
+	return {id, params: func.params.map(p => p.name), dependencies, source: getModuleSource(func)};
+}
+
+/**
+ * Find a webpack module map which is passed to the bootstrap function or assigned to a variable,
+ * and whose modules are called by the require function:
+ *   (function(modules) {function r(id) {... modules[id].call(...) ...} return r(r.s = 0);})([function(e, t, r) {...}])
+ *   var modules = {'./a.js': (e, t, r) => {...}}; function r(id) {... modules[id](...) ...} r('./a.js');
+ * @param {ASTNode} n
+ * @return {Object|null} {modules, entries}, or null if the node isn't a module map.
+ */
+function matchWebpackBootstrap(n) {
+	const modules = getWebpackModules(n);
+	const references = modules && getModuleMapBinding(n)?.references || [];
+	for (let i = 0; i < references.length; i++) {
+		const requireName = getRequireFunctionName(references[i]);
+		if (requireName) return {modules, entries: getEntries(requireName, [n.range])};
+	}
+	return null;
+}
+
+/**
+ * Find a webpack chunk, which adds its modules to the array shared by the bundle's chunks:
+ *   (self.webpackChunk = self.webpackChunk || []).push([[chunkIds], {id: function(e, t, r) {...}}, runtime])
+ * Entries are only listed by webpack 4 chunks, as arrays of [entryId, ...chunkIds].
+ * @param {ASTNode} n
+ * @return {Object|null} {modules, entries}, or null if the node isn't a chunk.
+ */
+function matchWebpackChunk(n) {
+	const push = n.callee;
+	if (push.type !== 'MemberExpression' || push.computed || push.property.name !== 'push' ||
+		n.arguments[0]?.type !== 'ArrayExpression') return null;
+	const [chunkIds, moduleMap, entryList] = n.arguments[0].elements;
+	if (chunkIds?.type !== 'ArrayExpression' || !chunkIds.elements.every(isModuleId)) return null;
+	const modules = getWebpackModules(moduleMap);
+	if (!modules) return null;
+	const entries = [];
+	if (entryList?.type === 'ArrayExpression') {
+		for (let i = 0; i < entryList.elements.length; i++) {
+			const entry = entryList.elements[i];
+			if (entry?.type === 'ArrayExpression' && isModuleId(entry.elements[0])) entries.push(entry.elements[0].value);
+		}
+	}
+	return {modules, entries};
+}
+
+/**
+ * Find a Browserify bundle, where each module is given as [function(require, module, exports) {...}, {name: id}]:
+ *   (function() {...})()({1: [function(r, m, e) {...}, {'./b': 2}], 2: [...]}, {}, [1])
+ * @param {ASTNode} n
+ * @return {Object|null} {modules, entries}, where modules are as returned by unpackBundle(),
+ *   or null if the node isn't a Browserify bundle.
+ */
+function matchBrowserify(n) {
+	const [moduleMap, cache, entryList] = n.arguments;
+	if (moduleMap?.type !== 'ObjectExpression' || !moduleMap.properties.length || cache?.type !== 'ObjectExpression' ||
+		entryList?.type !== 'ArrayExpression' || !entryList.elements.every(isModuleId)) return null;
+	const modules = [];
+	for (let i = 0; i < moduleMap.properties.length; i++) {
+		const prop = moduleMap.properties[i];
+		const id = getPropertyKey(prop);
+		if (id === undefined || prop.value?.type !== 'ArrayExpression' || prop.value.elements.length !== 2) return null;
+		const [func, dependencyMap] = prop.value.elements;
+		if (!isModuleFunction(func) || dependencyMap?.type !== 'ObjectExpression') return null;
+		const dependencies = [];
+		for (let j = 0; j < dependencyMap.properties.length; j++) {
+			const value = dependencyMap.properties[j].value;
+			// Modules excluded from the bundle are mapped to false
+			if (isModuleId(value) && !dependencies.includes(value.value)) dependencies.push(value.value);
+		}
+		modules.push(describeModule({id, func}, dependencies));
+	}
+	return {modules, entries: entryList.elements.map(e => e.value)};
+}
+
+/**
+ * Split a webpack or Browserify bundle into the sources of its modules.
+ * Webpack bundles are recognized by their bootstrap function, which calls the modules from their module map,
+ * or by chunks pushing their modules into the array shared by the bundle's chunks. The modules of all the chunks
+ * in the script are collected. Browserify bundles are recognized by the arguments given to their prelude.
+ *
+ * Dependencies are the IDs of the modules a module requires. For webpack, they are collected from calls to the
+ * require function with a literal ID, and for Browserify, from the module's map of required names to IDs.
+ *
+ * @param {string} script
+ * @return {Object|null} {format, entries, modules}, where format is 'webpack' or 'browserify', entries are the IDs of
+ *   the modules required when the bundle is loaded (if known), and each module is {id, params, dependencies, source},
+ *   where params are the names the module's body uses for (module, exports, require) in webpack, or
+ *   (require, module, exports) in Browserify. Null if the script isn't a bundle.
+ *
+ * @example
+ * // unpackBundle(`(function(m) {function r(i) {... m[i].call(...) ...} return r(r.s = 1);})([
+ * //   function(e) {e.exports = 1;},
+ * //   function(e, t, r) {console.log(r(0));},
+ * // ]);`)
+ * // => {format: 'webpack', entries: [1], modules: [
+ * //   {id: 0, params: ['e'], dependencies: [], source: 'e.exports = 1;'},
+ * //   {id: 1, params: ['e', 't', 'r'], dependencies: [0], source: 'console.log(r(0));'},
+ * // ]}
+ */
+export function unpackBundle(script) {
+	let ast;
+	try {
+		ast = generateFlatAST(script);
+	} catch {
+		return null;
+	}
+	if (!ast?.length) return null;
+	const calls = ast[0].typeMap.CallExpression;
+	for (let i = 0; i < calls.length; i++) {
+		const browserify = matchBrowserify(calls[i]);
+		if (browserify) return {format: 'browserify', entries: browserify.entries, modules: browserify.modules};
+	}
+	const found = [];
+	const candidates = [...ast[0].typeMap.ObjectExpression, ...ast[0].typeMap.ArrayExpression];
+	for (let i = 0; i < candidates.length; i++) {
+		const bootstrap = matchWebpackBootstrap(candidates[i]);
+		if (bootstrap) found.push({range: candidates[i].range, ...bootstrap});
+	}
+	for (let i = 0; i < calls.length; i++) {
+		const chunk = matchWebpackChunk(calls[i]);
+		if (chunk) found.push({range: calls[i].range, ...chunk});
+	}
+	// Bundles nested in the modules of another bundle are left in their module's source
+	const outermost = found.filter(f => !found.some(o => o !== f && o.range[0] <= f.range[0] && f.range[1] <= o.range[1]));
+	if (!outermost.length) return null;
+	const bundle = {format: 'webpack', entries: [], modules: []};
+	outermost.sort((a, b) => a.range[0] - b.range[0]);
+	for (let i = 0; i < outermost.length; i++) {
+		const {modules, entries} = outermost[i];
+		for (let j = 0; j < entries.length; j++) {
+			if (!bundle.entries.includes(entries[j])) bundle.entries.push(entries[j]);
+		}
+		for (let j = 0; j < modules.length; j++) {
+			if (bundle.modules.some(m => m.id === modules[j].id)) continue;
+			bundle.modules.push(describeModule(modules[j], getRequiredIds(modules[j].func, WEBPACK_REQUIRE_PARAM_INDEX)));
+		}
+	}
+	return bundle;
+}
@@ -0,0 +1,119 @@
+import {Sandbox, runWithSandboxOptions} from '../modules/utils/sandbox.js';
+
+// Side effects which are not compared, since deobfuscation is expected to replace the code passed to them
+const UNCOMPARED_SIDE_EFFECTS = ['eval', 'Function', 'setTimeout', 'setInterval'];
+
+// Seed of the deterministic Date and Math.random when the sandbox options don't set one
+const DEFAULT_VERIFICATION_SEED = 0;
+
+/**
+ * @param {Reference} reference The result of running a script in a sandbox
+ * @return {string} A description of the value which can be compared with others. Values which cannot be copied out
+ *                  of the sandbox (e.g. functions) are described by their type only.
+ */
+function describeResult(reference) {
+	try {
+		const value = reference.copySync();
+		return JSON.stringify(value) ?? String(value);
+	} catch {
+		return `[${reference.typeof}]`;
+	}
+}
+
+/**
+ * @param {*} error A value thrown by a script run in a sandbox
+ * @return {string}
+ */
+function describeError(error) {
+	return error instanceof Error ? `${error.name}: ${error.message}` : String(error);
+}
+
+/**
+ * Run a script in a sandbox with an emulated DOM, deterministic Date and Math.random, and captured side effects,
+ * and record what can be observed of its behavior.
+ *
+ * @param {string} script
+ * @param {Object} [sandboxOptions] - See runWithSandboxOptions(). When no seed is set, DEFAULT_VERIFICATION_SEED is used
+ * @return {{result: string|null, error: string|null, sideEffects: {type: string, value: string}[]}}
+ *   The script's completion value and the error it threw (one of them is null), and its side effects in order,
+ *   except for those listed in UNCOMPARED_SIDE_EFFECTS.
+ */
+export function captureBehavior(script, sandboxOptions = {}) {
+	const behavior = {result: null, error: null, sideEffects: []};
+	const options = {
+		...sandboxOptions,
+		seed: sandboxOptions.seed ?? DEFAULT_VERIFICATION_SEED,
+		captureSideEffects: true,
+		onSideEffect: ({type, value}) => {
+			if (!UNCOMPARED_SIDE_EFFECTS.includes(type)) behavior.sideEffects.push({type, value});
+		},
+	};
+	runWithSandboxOptions(options, () => {
+		try {
+			behavior.result = describeResult(new Sandbox({dom: true}).run(script));
+		} catch (e) {
+			behavior.error = describeError(e);
+		}
+	});
+	return behavior;
+}
+
+/**
+ * @param {Object} original - The behavior of the original script, see captureBehavior()
+ * @param {Object} deobfuscated - The behavior of the deobfuscated script
+ * @return {Object[]} The differences between the behaviors as {kind, index, original, deobfuscated}, where kind is
+ *                    'result', 'error' or 'sideEffect', and index is the position of the first differing side effect.
+ *                    Missing side effects are null.
+ */
+export function compareBehavior(original, deobfuscated) {
+	const divergences = [];
+	for (const kind of ['result', 'error']) {
+		if (original[kind] !== deobfuscated[kind]) {
+			divergences.push({kind, original: original[kind], deobfuscated: deobfuscated[kind]});
+		}
+	}
+	const length = Math.max(original.sideEffects.length, deobfuscated.sideEffects.length);
+	for (let i = 0; i < length; i++) {
+		const a = original.sideEffects[i] || null, b = deobfuscated.sideEffects[i] || null;
+		if (a?.type !== b?.type || a?.value !== b?.value) {
+			divergences.push({kind: 'sideEffect', index: i, original: a, deobfuscated: b});
+			break;
+		}
+	}
+	return divergences;
+}
+
+/**
+ * Check whether a deobfuscated script behaves like the original script, and if not, find the step which introduced
+ * the difference. Steps are searched with a binary search, which assumes that once a step introduces a difference,
+ * the scripts produced by later steps keep it.
+ *
+ * @param {string} originalScript
+ * @param {string} deobfuscatedScript
+ * @param {Object} [options]
+ * @param {Object[]} [options.steps] - The steps which turned the original script into the deobfuscated one, in order,
+ *                                     as {phase, iteration, method, scriptBefore}
+ * @param {Object} [options.sandboxOptions] - See captureBehavior()
+ * @return {Object} {equivalent, divergences, introducedBy}, where divergences are as returned by compareBehavior(),
+ *                  and introducedBy is the {phase, iteration, method} of the step which introduced them,
+ *                  or null if they are equivalent or no steps were given.
+ */
+export function verifyEquivalence(originalScript, deobfuscatedScript, {steps = [], sandboxOptions = {}} = {}) {
+	const originalBehavior = captureBehavior(originalScript, sandboxOptions);
+	const divergesAfter = script => compareBehavior(originalBehavior, captureBehavior(script, sandboxOptions)).length > 0;
+	const divergences = compareBehavior(originalBehavior, captureBehavior(deobfuscatedScript, sandboxOptions));
+	let introducedBy = null;
+	if (divergences.length && steps.length) {
+		// The script a step produced is the one the next step started with
+		const getScriptAfter = i => i + 1 < steps.length ? steps[i + 1].scriptBefore : deobfuscatedScript;
+		let low = 0, high = steps.length - 1;
+		while (low < high) {
+			const middle = (low + high) >> 1;
+			if (divergesAfter(getScriptAfter(middle))) high = middle;
+			else low = middle + 1;
+		}
+		const {phase, iteration, method} = steps[low];
+		introducedBy = {phase, iteration, method};
+	}
+	return {equivalent: !divergences.length, divergences, introducedBy};
+}
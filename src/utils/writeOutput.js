@@ -0,0 +1,68 @@
+import {basename, dirname, join, relative} from 'node:path';
+import {mkdirSync, writeFileSync} from 'node:fs';
+import {addSourceMappingUrl} from './sourceMap.js';
+
+/**
+ * Writes the deobfuscated script to the output file, creating its directory if needed.
+ * When a source map is requested, it is written next to the output file as <output_filename>.map
+ * and linked from the script.
+ *
+ * @param {REstringer} restringer - The instance after deobfuscate() was called
+ * @param {Object} details
+ * @param {string} details.inputFilename - Path of the original script
+ * @param {string} details.outputFilename - Path of the deobfuscated script
+ * @param {boolean} [details.sourceMap] - Write a source map as well. Requires restringer.generateSourceMap to be set
+ */
+export function writeOutput(restringer, {inputFilename, outputFilename, sourceMap = false}) {
+	mkdirSync(dirname(outputFilename), {recursive: true});
+	let script = restringer.script;
+	if (sourceMap) {
+		const sourceMapFilename = `${outputFilename}.map`;
+		const map = restringer.getSourceMap({
+			source: relative(dirname(outputFilename), inputFilename).split('\\').join('/'),
+			file: basename(outputFilename),
+		});
+		writeFileSync(sourceMapFilename, JSON.stringify(map), {encoding: 'utf-8'});
+		script = addSourceMappingUrl(script, basename(sourceMapFilename));
+	}
+	writeFileSync(outputFilename, script, {encoding: 'utf-8'});
+}
+
+/**
+ * @param {number|string} id A module ID
+ * @param {Set<string>} usedFilenames Filenames already given to other modules, which the new filename is added to
+ * @return {string} A filename for the module, made of the characters of its ID which are safe in filenames.
+ *   E.g. './src/a.js' => 'src_a.js', 5 => '5.js'
+ */
+function getModuleFilename(id, usedFilenames) {
+	const name = String(id).replace(/^(\.{1,2}\/)+/, '').replace(/\.js$/, '').replace(/[^\w.-]+/g, '_') || 'module';
+	let filename = `${name}.js`;
+	for (let i = 1; usedFilenames.has(filename); i++) filename = `${name}-${i}.js`;
+	usedFilenames.add(filename);
+	return filename;
+}
+
+/**
+ * Writes each module of an unpacked bundle into its own file in the output directory, creating it if needed,
+ * along with a manifest.json which lists the bundle's format and entries, and each module's
+ * {id, file, params, dependencies}.
+ *
+ * @param {Object} bundle - As returned by unpackBundle()
+ * @param {string} outDir - The directory to write the modules to
+ * @return {string[]} The paths of the written module files
+ */
+export function writeBundle(bundle, outDir) {
+	mkdirSync(outDir, {recursive: true});
+	const usedFilenames = new Set(['manifest.json']);
+	const manifest = {format: bundle.format, entries: bundle.entries, modules: []};
+	const written = [];
+	for (let i = 0; i < bundle.modules.length; i++) {
+		const {id, params, dependencies, source} = bundle.modules[i];
+		const file = getModuleFilename(id, usedFilenames);
+		writeFileSync(join(outDir, file), source, {encoding: 'utf-8'});
+		manifest.modules.push({id, file, params, dependencies});
+		written.push(join(outDir, file));
+	}
+	writeFileSync(join(outDir, 'manifest.json'), JSON.stringify(manifest, null, 2), {encoding: 'utf-8'});
+	return written;
+}
@@ -1,9 +1,379 @@
 import assert from 'node:assert';
 import {describe, it} from 'node:test';
+import {tmpdir} from 'node:os';
+import {join} from 'node:path';
+import {mkdtempSync, readFileSync, rmSync} from 'node:fs';
 import {REstringer} from '../src/restringer.js';
+import {evalInVm} from '../src/modules/utils/evalInVm.js';
+import {DiskCache} from '../src/modules/utils/diskCache.js';
+import {decodeMappings} from '../src/utils/sourceMap.js';
 
 
 describe('Functionality tests', () => {
+	it('Trace records the methods which changed the script', () => {
+		const code = `var a = '2' + 3; console.log(a);`;
+		const restringer = new REstringer(code);
+		restringer.logger.setLogLevelNone();
+		restringer.recordTrace = true;
+		restringer.deobfuscate();
+		assert.deepStrictEqual(restringer.trace, [
+			{
+				phase: 'unsafe',
+				iteration: 1,
+				method: 'resolveDefiniteBinaryExpressions',
+				changes: 1,
+				replacements: [{range: [8, 15], before: `'2' + 3`, after: `'23'`}],
+			},
+			{
+				phase: 'safe',
+				iteration: 2,
+				method: 'replaceIdentifierWithFixedAssignedValue',
+				changes: 1,
+				replacements: [{range: [26, 27], before: 'a', after: `'23'`}],
+			},
+		]);
+	});
+	it('Trace is not recorded by default', () => {
+		const restringer = new REstringer(`var a = '2' + 3;`);
+		restringer.logger.setLogLevelNone();
+		restringer.deobfuscate();
+		assert.deepStrictEqual(restringer.trace, []);
+	});
+	it('Async deobfuscation produces the same result', async () => {
+		const code = `var a = '2' + 3; console.log(a);`;
+		const restringer = new REstringer(code);
+		restringer.logger.setLogLevelNone();
+		const result = await restringer.deobfuscateAsync();
+		assert.ok(result);
+		assert.strictEqual(restringer.script, `var a = '23';\nconsole.log('23');`);
+		assert.ok(!restringer.aborted);
+	});
+	it('Async deobfuscation emits progress events', async () => {
+		const restringer = new REstringer(`var a = '2' + 3;`);
+		restringer.logger.setLogLevelNone();
+		const events = [];
+		restringer.on('progress', e => events.push(e));
+		await restringer.deobfuscateAsync();
+		assert.ok(events.length);
+		assert.deepStrictEqual(Object.keys(events[0]), ['phase', 'iteration', 'method', 'scriptSize']);
+		assert.ok(events.some(e => e.phase === 'unsafe' && e.method === 'resolveDefiniteBinaryExpressions'));
+	});
+	it('Async deobfuscation stops when aborted', async () => {
+		const code = `var a = '2' + 3; console.log(a);`;
+		const restringer = new REstringer(code);
+		restringer.logger.setLogLevelNone();
+		const controller = new AbortController();
+		restringer.on('progress', e => {
+			if (e.iteration === 1 && e.phase === 'unsafe') controller.abort();
+		});
+		const result = await restringer.deobfuscateAsync({signal: controller.signal});
+		assert.ok(result);
+		assert.ok(restringer.aborted);
+		assert.strictEqual(restringer.script, `var a = '23';\nconsole.log(a);`);
+	});
+	it('Async deobfuscation with an already aborted signal does nothing', async () => {
+		const code = `var a = '2' + 3;`;
+		const restringer = new REstringer(code);
+		restringer.logger.setLogLevelNone();
+		const result = await restringer.deobfuscateAsync({signal: AbortSignal.abort()});
+		assert.strictEqual(result, false);
+		assert.ok(restringer.aborted);
+		assert.strictEqual(restringer.script, code);
+	});
+	it('Stop when the script grows beyond the max growth factor', () => {
+		const code = `var a = 'ab'.repeat(500); console.log(a + a);`;
+		const restringer = new REstringer(code);
+		restringer.logger.setLogLevelNone();
+		restringer.maxScriptGrowthFactor = 3;
+		restringer.deobfuscate();
+		assert.deepStrictEqual(restringer.budgetExceeded, {
+			reason: 'scriptGrowth',
+			phase: 'unsafe',
+			iteration: 1,
+			method: 'resolveDeterministicConditionalExpressions',
+		});
+		// The script is left as it was when the limit was exceeded
+		assert.ok(restringer.script.includes('console.log(a + a)'));
+	});
+	it('Stop when the max runtime is exceeded', () => {
+		const restringer = new REstringer(`var a = '2' + 3; console.log(a);`);
+		restringer.logger.setLogLevelNone();
+		restringer.maxRuntime = 1;
+		restringer.once('progress', () => {
+			const start = Date.now();
+			while (Date.now() - start < 5) {}
+		});
+		restringer.deobfuscate();
+		assert.strictEqual(restringer.budgetExceeded?.reason, 'runtime');
+		assert.strictEqual(restringer.budgetExceeded.iteration, 1);
+	});
+	it('No budget is exceeded by default', () => {
+		const restringer = new REstringer(`var a = 'ab'.repeat(500);`);
+		restringer.logger.setLogLevelNone();
+		restringer.deobfuscate();
+		assert.strictEqual(restringer.budgetExceeded, null);
+	});
+	it('Safe-only mode skips and reports the methods which evaluate code', () => {
+		const code = `var a = '2' + 3; var b = \`x\`; console.log(a, b, !0);`;
+		const restringer = new REstringer(code);
+		restringer.logger.setLogLevelNone();
+		restringer.safeOnly = true;
+		restringer.deobfuscate();
+		assert.strictEqual(restringer.script, `var a = '2' + 3;\nvar b = 'x';\nconsole.log(a, 'x', !0);`);
+		assert.deepStrictEqual(restringer.skippedTransformations, [
+			{phase: 'unsafe', method: 'resolveDefiniteBinaryExpressions', candidates: 1},
+			{phase: 'normalize', method: 'normalizeRedundantNotOperator', candidates: 1},
+		]);
+	});
+	it('Safe-only mode skips processors which evaluate code', () => {
+		const restringer = new REstringer(readFileSync(new URL('./resources/obfuscator.io.js', import.meta.url), 'utf-8'));
+		restringer.logger.setLogLevelNone();
+		restringer.safeOnly = true;
+		restringer.deobfuscate();
+		const skipped = restringer.skippedTransformations.filter(t => t.phase === 'preprocessor').map(t => t.method);
+		assert.deepStrictEqual(skipped, ['resolveStringArrayDecoders', 'replaceArrayWithStaticAugmentedVersion', 'resolveFunctionToArray']);
+	});
+	it('Source map links deobfuscated code to the obfuscated code it came from', () => {
+		const code = `var a = 'x' + 'y';\nconsole.log(a, 'b'['length']);`;
+		const restringer = new REstringer(code);
+		restringer.logger.setLogLevelNone();
+		restringer.generateSourceMap = true;
+		restringer.deobfuscate();
+		assert.strictEqual(restringer.script, `var a = 'xy';\nconsole.log('xy', 1);`);
+		const map = restringer.getSourceMap({source: 'obfuscated.js', file: 'deobfuscated.js'});
+		assert.strictEqual(map.version, 3);
+		assert.strictEqual(map.file, 'deobfuscated.js');
+		assert.deepStrictEqual(map.sources, ['obfuscated.js']);
+		assert.deepStrictEqual(map.sourcesContent, [code]);
+		const originalLines = code.split('\n');
+		const origins = {};
+		const mappings = decodeMappings(map.mappings);
+		for (const [column, originalLine, originalColumn] of mappings[1]) {
+			origins[restringer.script.split('\n')[1].slice(column).match(/^('xy'|1)?/)[0]] = originalLines[originalLine].slice(originalColumn);
+		}
+		assert.ok(origins[`'xy'`].startsWith(`'x' + 'y'`));
+		assert.ok(origins['1'].startsWith(`'b'['length']`));
+	});
+	it('Source map is not generated by default', () => {
+		const restringer = new REstringer(`var a = 1;`);
+		restringer.logger.setLogLevelNone();
+		restringer.deobfuscate();
+		assert.strictEqual(restringer.getSourceMap(), null);
+	});
+	it('Evaluations which exceed the sandbox limits are reported', () => {
+		const code = `function slow() {var s = 0; for (var i = 0; i < 1e9; i++) s += i; return 'x';}\nconsole.log(slow());`;
+		const restringer = new REstringer(code, undefined, {sandbox: {timeout: 20}});
+		restringer.logger.setLogLevelNone();
+		const events = [];
+		restringer.on('sandboxLimitExceeded', e => events.push(e));
+		restringer.deobfuscate();
+		assert.strictEqual(restringer.script, code);
+		assert.deepStrictEqual(restringer.sandboxLimitsExceeded, [
+			{phase: 'unsafe', iteration: 1, method: 'resolveLocalCalls', limit: 'timeout', value: 20, code: 'slow()\n'},
+		]);
+		assert.deepStrictEqual(events, restringer.sandboxLimitsExceeded);
+	});
+	it('Seeded Date and Math.random resolve reproducibly', () => {
+		const code = `function shuffle(arr) {
+  for (var i = arr.length - 1; i > 0; i--) {
+    var j = Math.floor(Math.random() * (i + 1));
+    var t = arr[i];
+    arr[i] = arr[j];
+    arr[j] = t;
+  }
+  return arr;
+}
+function get(i) {
+  return shuffle(['a', 'b', 'c', 'd'])[i];
+}
+console.log(get(0), get(1));`;
+		const deobfuscate = sandbox => {
+			const restringer = new REstringer(code, undefined, {sandbox});
+			restringer.logger.setLogLevelNone();
+			restringer.deobfuscate();
+			return restringer.script;
+		};
+		const seeded = deobfuscate({seed: 7});
+		assert.ok(seeded.endsWith(`console.log('c', 'b');`));
+		assert.strictEqual(deobfuscate({seed: 7}), seeded);
+		assert.strictEqual(deobfuscate({}), code);
+	});
+	it('Side effects of evaluated code are captured once', () => {
+		const code = `function decode(s) {
+  console.log('decoding', s);
+  try {
+    fetch('https://example.com/' + s);
+  } catch (e) {}
+  return s + '!';
+}
+console.log(decode('a'), decode('a'));`;
+		const restringer = new REstringer(code);
+		restringer.logger.setLogLevelNone();
+		restringer.captureSideEffects = true;
+		const events = [];
+		restringer.on('sideEffect', e => events.push(e));
+		restringer.deobfuscate();
+		assert.ok(restringer.script.endsWith(`console.log('a!', 'a!');`));
+		assert.deepStrictEqual(restringer.sideEffects.map(({phase, method, type, value}) => [phase, method, type, value]), [
+			['unsafe', 'resolveLocalCalls', 'console.log', 'decoding a'],
+			['unsafe', 'resolveLocalCalls', 'fetch', 'https://example.com/a'],
+		]);
+		assert.deepStrictEqual(events, restringer.sideEffects);
+	});
+	it('Side effects are not captured by default', () => {
+		const restringer = new REstringer(`function f() {console.log('x'); return 1;} f();`);
+		restringer.logger.setLogLevelNone();
+		restringer.deobfuscate();
+		assert.deepStrictEqual(restringer.sideEffects, []);
+	});
+	it('Sandboxes share isolates during a run, which are disposed of afterwards', () => {
+		const restringer = new REstringer(`function f(a) {return a + 1;} console.log(f(2), f(3));`);
+		restringer.logger.setLogLevelNone();
+		restringer.deobfuscate();
+		assert.ok(restringer.script.endsWith(`console.log(3, 4);`));
+		assert.deepStrictEqual(restringer.sandboxPool.metrics, {sandboxesCreated: 2, isolatesCreated: 1, isolatesReused: 1});
+		assert.strictEqual(restringer.sandboxPool._isolates.size, 0);
+	});
+	it('Results persisted in the eval cache are reused by later runs', () => {
+		const dir = mkdtempSync(join(tmpdir(), 'restringer-eval-cache-'));
+		const code = `var n = 0; function dec(i) {n++; return String.fromCharCode(i + n - n + 97);} console.log(dec(0), dec(1));`;
+		const deobfuscate = () => {
+			evalInVm.flush();
+			const restringer = new REstringer(code);
+			restringer.logger.setLogLevelNone();
+			restringer.evalCache = new DiskCache(dir);
+			restringer.deobfuscate();
+			return restringer;
+		};
+		try {
+			const first = deobfuscate();
+			assert.ok(first.script.endsWith(`console.log('a', 'b');`));
+			assert.strictEqual(first.evalCache.hits, 0);
+			const second = deobfuscate();
+			assert.strictEqual(second.script, first.script);
+			assert.strictEqual(second.evalCache.hits, first.evalCache.misses);
+			assert.strictEqual(second.evalCache.misses, 0);
+		} finally {
+			rmSync(dir, {recursive: true, force: true});
+		}
+	});
+	it('Deobfuscated scripts are verified when requested', () => {
+		const code = `var a = '2' + 3; function f(x) {return x + 1;} console.log(a, f(1)); eval('console.log("e")');`;
+		const restringer = new REstringer(code);
+		restringer.logger.setLogLevelNone();
+		restringer.verify = true;
+		restringer.deobfuscate();
+		assert.deepStrictEqual(restringer.verification, {equivalent: true, divergences: [], introducedBy: null});
+		assert.strictEqual(new REstringer(code).verification, null);
+	});
+	it('Changes which break the script are rolled back, and the nodes are skipped afterwards', () => {
+		const code = `var a = '2' + 3; console.log(a);`;
+		const expected = new REstringer(code);
+		expected.logger.setLogLevelNone();
+		expected.deobfuscate();
+		const restringer = new REstringer(code);
+		restringer.logger.setLogLevelNone();
+		const rollbacks = [];
+		restringer.on('rollback', rollback => rollbacks.push(rollback));
+		restringer.safeMethods.push(function breakScript(arb, candidateFilter = () => true) {
+			for (const n of arb.ast) {
+				if (n.type === 'Literal' && n.value === '23' && candidateFilter(n)) arb.markNode(n, {type: 'Identifier', name: '2 3'});
+			}
+			return arb;
+		});
+		restringer.deobfuscate();
+		assert.strictEqual(restringer.script, expected.script);
+		assert.deepStrictEqual(restringer.rollbacks, [
+			{phase: 'safe', iteration: 2, method: 'breakScript', reason: 'invalidScript', nodes: [`'23'`, `'23'`], error: null},
+		]);
+		assert.deepStrictEqual(rollbacks, restringer.rollbacks);
+		assert.strictEqual(restringer.methodHits.breakScript, undefined);
+	});
+	it('Methods which throw are rolled back and not applied again', () => {
+		const restringer = new REstringer(`var a = '2' + 3; console.log(a);`);
+		restringer.logger.setLogLevelNone();
+		let calls = 0;
+		restringer.safeMethods.push(function throwError() {
+			calls++;
+			throw new Error('Oops');
+		});
+		restringer.deobfuscate();
+		assert.strictEqual(restringer.script, `var a = '23';\nconsole.log('23');`);
+		assert.strictEqual(calls, 1);
+		assert.deepStrictEqual(restringer.rollbacks, [
+			{phase: 'safe', iteration: 1, method: 'throwError', reason: 'error', nodes: [], error: 'Error: Oops'},
+		]);
+	});
+	it('Changes which alter the behavior are rolled back when verifying', () => {
+		const restringer = new REstringer(`var a = '2' + 3; console.log(a);`);
+		restringer.logger.setLogLevelNone();
+		restringer.verify = true;
+		restringer.safeMethods.push(function breakLiterals(arb, candidateFilter = () => true) {
+			for (const n of arb.ast) {
+				if (n.type === 'Literal' && n.value === '23' && candidateFilter(n)) arb.markNode(n, {type: 'Literal', value: '24', raw: `'24'`});
+			}
+			return arb;
+		});
+		restringer.deobfuscate();
+		assert.deepStrictEqual(restringer.verification, {equivalent: true, divergences: [], introducedBy: null});
+		assert.deepStrictEqual(restringer.rollbacks, [
+			{phase: 'safe', iteration: 2, method: 'breakLiterals', reason: 'behaviorChanged', nodes: [`'23'`, `'23'`], error: null},
+		]);
+		assert.match(restringer.script, /'23'/);
+	});
+	it('Local-scope eval calls are verified without rolling back their replacement', () => {
+		const code = `function f() {var x = 'hi'; return eval('x');} console.log(f());`;
+		const expected = new REstringer(code);
+		expected.logger.setLogLevelNone();
+		expected.deobfuscate();
+		const restringer = new REstringer(code);
+		restringer.logger.setLogLevelNone();
+		restringer.verify = true;
+		restringer.deobfuscate();
+		assert.strictEqual(restringer.script, expected.script);
+		assert.match(restringer.script, /console\.log\('hi'\)/);
+		assert.deepStrictEqual(restringer.rollbacks, []);
+		assert.deepStrictEqual(restringer.verification, {equivalent: true, divergences: [], introducedBy: null});
+	});
+	it('Protections removed from the script are reported', () => {
+		const restringer = new REstringer(readFileSync(new URL('./resources/obfuscator.io.js', import.meta.url), 'utf-8'));
+		restringer.logger.setLogLevelNone();
+		const protections = [];
+		restringer.on('protectionRemoved', protection => protections.push(protection));
+		restringer.deobfuscate();
+		assert.deepStrictEqual(restringer.protections, [
+			{phase: 'preprocessor', iteration: 0, method: 'removeDebugProtection', protection: 'debugProtection'},
+			{phase: 'safe', iteration: 1, method: 'removeSelfDefending', protection: 'selfDefending'},
+		]);
+		assert.deepStrictEqual(protections, restringer.protections);
+	});
+	it('Scripts changed only by processors are reported as modified', () => {
+		const code = `const _0x1d = (function () {
+  let _0xa = !![];
+  return function (_0xb, _0xc) {
+    const _0xd = _0xa ? function () {
+      if (_0xc) {
+        const _0xe = _0xc.apply(_0xb, arguments);
+        _0xc = null;
+        return _0xe;
+      }
+    } : function () {};
+    _0xa = false;
+    return _0xd;
+  };
+}());
+const _0x3c = _0x1d(this, function () {
+  return _0x3c.toString().search('(((.+)+)+)+$').toString().constructor(_0x3c).search('(((.+)+)+)+$');
+});
+_0x3c();
+console.log('hi');`;
+		const restringer = new REstringer(code);
+		restringer.logger.setLogLevelNone();
+		assert.ok(restringer.deobfuscate());
+		assert.strictEqual(restringer.obfuscationName, 'obfuscator.io');
+		assert.strictEqual(restringer.script, `console.log('hi');`);
+		assert.ok(restringer.modified);
+	});
 	it('Set max iterations', () => {
 		const code = `eval('eval("eval(3)")')`;
 		const restringer = new REstringer(code);
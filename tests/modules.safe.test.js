@@ -2274,4 +2274,173 @@ describe('SAFE: simplifyIfStatements', async () => {
 		const result = applyModuleToCode(code, targetModule);
 		assert.strictEqual(result, expected);
 	});
+});
+describe('SAFE: unflattenControlFlow', async () => {
+	const targetModule = (await import('../src/modules/safe/unflattenControlFlow.js')).default;
+	it('TP-1: Split string dispatcher', () => {
+		const code = `function f() {var _0x1 = '3|1|0|2'['split']('|'), _0x2 = 0; while (!![]) { switch (_0x1[_0x2++]) { case '0': var a = 1; continue; case '1': console.log('b'); continue; case '2': console.log(a); continue; case '3': console.log('first'); continue; } break; }}`;
+		const expected = `function f() {
+  {
+    console.log('first');
+    console.log('b');
+    var a = 1;
+    console.log(a);
+  }
+}`;
+		const result = applyModuleToCode(code, targetModule);
+		assert.strictEqual(result, expected);
+	});
+	it('TP-2: State machine in a for (;;) loop which returns', () => {
+		const code = `function f() {var s = 0; for (;;) { switch (s) { case 0: a(); s = 2; break; case 2: b(); s = 1; break; case 1: return c(); } }}`;
+		const expected = `function f() {
+  {
+    a();
+    b();
+    return c();
+  }
+}`;
+		const result = applyModuleToCode(code, targetModule);
+		assert.strictEqual(result, expected);
+	});
+	it('TP-3: State machine with an exit state and nested loops', () => {
+		const code = `var s = 5; while (s !== 0) { switch (s) { case 5: a(); s = 3; break; case 3: while (x) { break; } s = 0; break; } }`;
+		const expected = `{
+  a();
+  while (x) {
+    break;
+  }
+}`;
+		const result = applyModuleToCode(code, targetModule);
+		assert.strictEqual(result, expected);
+	});
+	it('TP-4: Only the dispatcher variables are removed from a shared declaration', () => {
+		const code = `var o = '1|0'.split('|'), i = 0, keep = 1; while (true) { switch (o[i++]) { case '0': b(); continue; case '1': a(); continue; } break; } use(keep);`;
+		const expected = `var keep = 1;
+{
+  a();
+  b();
+}
+use(keep);`;
+		const result = applyModuleToCode(code, targetModule);
+		assert.strictEqual(result, expected);
+	});
+	it('TP-5: Cases without a break fall through', () => {
+		const code = `var o = '1|2'.split('|'), i = 0; while (true) { switch (o[i++]) { case '1': a(); case '0': b(); continue; case '2': c(); continue; } break; }`;
+		const expected = `{
+  a();
+  b();
+  c();
+}`;
+		const result = applyModuleToCode(code, targetModule);
+		assert.strictEqual(result, expected);
+	});
+	it('TP-6: Dispatchers nested in an unflattened dispatcher are left for a later pass', () => {
+		const code = `function f() {var o = '1|0'.split('|'), i = 0; while (true) { switch (o[i++]) { case '0': var p = '1|0'.split('|'), j = 0; while (true) { switch (p[j++]) { case '0': d(); continue; case '1': c(); continue; } break; } continue; case '1': a(); continue; } break; }}`;
+		const expected = `function f() {
+  {
+    a();
+    var p = '1|0'.split('|'), j = 0;
+    while (true) {
+      switch (p[j++]) {
+      case '0':
+        d();
+        continue;
+      case '1':
+        c();
+        continue;
+      }
+      break;
+    }
+  }
+}`;
+		const result = applyModuleToCode(code, targetModule);
+		assert.strictEqual(result, expected);
+	});
+	it('TN-1: Conditional transitions', () => {
+		const code = `var s = 0; while (true) { switch (s) { case 0: a(); if (x) s = 1; else s = 2; break; case 1: b(); break; } }`;
+		const expected = code;
+		const result = applyModuleToCode(code, targetModule);
+		assert.strictEqual(result, expected);
+	});
+	it('TN-2: A case continues the dispatcher conditionally', () => {
+		const code = `var o = '1|0'.split('|'), i = 0; while (true) { switch (o[i++]) { case '0': if (x) continue; b(); continue; case '1': a(); continue; } break; }`;
+		const expected = code;
+		const result = applyModuleToCode(code, targetModule);
+		assert.strictEqual(result, expected);
+	});
+	it('TN-3: The dispatcher variables are used elsewhere', () => {
+		const code = `var o = '1|0'.split('|'), i = 0; while (true) { switch (o[i++]) { case '0': b(); continue; case '1': a(); continue; } break; } use(i);`;
+		const expected = code;
+		const result = applyModuleToCode(code, targetModule);
+		assert.strictEqual(result, expected);
+	});
+	it('TN-4: State machine which never exits', () => {
+		const code = `var s = 0; while (true) { switch (s) { case 0: a(); s = 1; break; case 1: b(); s = 0; break; } }`;
+		const expected = code;
+		const result = applyModuleToCode(code, targetModule);
+		assert.strictEqual(result, expected);
+	});
+});
+describe('SAFE: resolveStorageObjects', async () => {
+	const targetModule = (await import('../src/modules/safe/resolveStorageObjects.js')).default;
+	it('TP-1: Proxy functions and strings', () => {
+		const code = `function f(x) {const _0x1 = {'abcde': function(a, b) {return a + b;}, 'fghij': 'log', 'klmno': function(a, b, c) {return a(b, c);}}; console[_0x1['fghij']](_0x1['abcde'](x, 1)); _0x1.klmno(alert, x, 2);}`;
+		const expected = `function f(x) {\n  console['log'](x + 1);\n  alert(x, 2);\n}`;
+		const result = applyModuleToCode(code, targetModule);
+		assert.strictEqual(result, expected);
+	});
+	it('TP-2: Logical operators and arrow functions', () => {
+		const code = `var o = {a: (x, y) => x && y, b: 5}; console.log(o.a(b(), c), o.b);`;
+		const expected = `console.log(b() && c, 5);`;
+		const result = applyModuleToCode(code, targetModule);
+		assert.strictEqual(result, expected);
+	});
+	it('TP-3: Only the storage object is removed from a shared declaration', () => {
+		const code = `var keep = 1, o = {'a': 'b'}; console.log(o['a'], keep);`;
+		const expected = `var keep = 1;\nconsole.log('b', keep);`;
+		const result = applyModuleToCode(code, targetModule);
+		assert.strictEqual(result, expected);
+	});
+	it('TP-4: Calls nested in the arguments of a replaced call are replaced in a later pass', () => {
+		const code = `const o = {'a': function(x, y) {return x * y;}}; console.log(o['a'](o['a'](1, 2), 3));`;
+		const expected = `const o = {\n  'a': function (x, y) {\n    return x * y;\n  }\n};\nconsole.log(o['a'](1, 2) * 3);`;
+		const result = applyModuleToCode(code, targetModule);
+		assert.strictEqual(result, expected);
+	});
+	it('TN-1: Mutated objects', () => {
+		const code = `const o = {'a': 'b'}; o['a'] = 'c'; console.log(o['a']);`;
+		const expected = code;
+		const result = applyModuleToCode(code, targetModule);
+		assert.strictEqual(result, expected);
+	});
+	it('TN-2: Objects which are used other than through their members', () => {
+		const code = `const o = {'a': 'b'}; console.log(o['a'], o);`;
+		const expected = code;
+		const result = applyModuleToCode(code, targetModule);
+		assert.strictEqual(result, expected);
+	});
+	it('TN-3: Functions which reorder or reuse their params', () => {
+		const code = `const o = {'a': function(x, y) {return y - x;}, 'b': function(x) {return x + x;}}; o['a'](1, 2); o['b'](3);`;
+		const expected = code;
+		const result = applyModuleToCode(code, targetModule);
+		assert.strictEqual(result, expected);
+	});
+	it('TN-4: Calls which would change the value of this or pass a different number of arguments', () => {
+		const code = `const o = {'a': function(x, y) {return x(y);}, 'b': function(x, y) {return x + y;}}; o['a'](console.log, 1); o['b'](1);`;
+		const expected = code;
+		const result = applyModuleToCode(code, targetModule);
+		assert.strictEqual(result, expected);
+	});
+	it('TN-5: Missing keys and computed keys', () => {
+		const code = `const o = {'a': 'b', [k]: 'c'}; console.log(o['a']); const p = {'a': 'b'}; console.log(p['z']);`;
+		const expected = code;
+		const result = applyModuleToCode(code, targetModule);
+		assert.strictEqual(result, expected);
+	});
+	it('TN-6: Logical operations whose right argument has side effects', () => {
+		const code = `const o = {'and': function(a, b) {return a && b;}, 'or': (a, b) => a || b}; o['and'](f(), g()); o['or'](x, y = 1);`;
+		const expected = code;
+		const result = applyModuleToCode(code, targetModule);
+		assert.strictEqual(result, expected);
+	});
 });
\ No newline at end of file
@@ -134,6 +134,72 @@ describe('UTILS: evalInVm', async () => {
 		const result = targetModule(code);
 		assert.deepStrictEqual(result, expected);
 	});
+	it('TP-15: Results are cached separately for different sandbox globals', async () => {
+		const {runWithSandboxOptions} = await import('../src/modules/utils/sandbox.js');
+		const code = `injectedValue * 2`;
+		const result = runWithSandboxOptions({globals: {injectedValue: 21}}, () => targetModule(code));
+		assert.deepStrictEqual(result, {type: 'Literal', value: 42, raw: '42'});
+		assert.deepStrictEqual(targetModule(code), BAD_VALUE);
+	});
+	it('TP-16: Seeded Math.random resolves deterministically', async () => {
+		const {runWithSandboxOptions} = await import('../src/modules/utils/sandbox.js');
+		const code = `Math.floor(Math.random() * 1000) + '-' + Date.now()`;
+		const result = runWithSandboxOptions({seed: 1, epoch: 1000}, () => targetModule(code));
+		assert.deepStrictEqual(result, {type: 'Literal', value: '627-1000', raw: '627-1000'});
+		assert.deepStrictEqual(runWithSandboxOptions({seed: 2, epoch: 1000}, () => targetModule(code)).value, '734-1000');
+		assert.deepStrictEqual(targetModule(code), BAD_VALUE);
+	});
+	it('TP-17: Side effects are recorded on every evaluation', async () => {
+		const {runWithSandboxOptions} = await import('../src/modules/utils/sandbox.js');
+		const code = `console.log('evaluated'); 7`;
+		const sideEffects = [];
+		const options = {captureSideEffects: true, onSideEffect: e => sideEffects.push(e.value)};
+		assert.deepStrictEqual(runWithSandboxOptions(options, () => targetModule(code)), {type: 'Literal', value: 7, raw: '7'});
+		assert.deepStrictEqual(runWithSandboxOptions(options, () => targetModule(code)), {type: 'Literal', value: 7, raw: '7'});
+		assert.deepStrictEqual(sideEffects, ['evaluated', 'evaluated']);
+	});
+	it('TP-18: Results persisted in the eval cache are keyed by the sandbox state', async () => {
+		const {mkdtempSync, rmSync} = await import('node:fs');
+		const {tmpdir} = await import('node:os');
+		const {join} = await import('node:path');
+		const {DiskCache} = await import('../src/modules/utils/diskCache.js');
+		const {Sandbox, runWithSandboxOptions} = await import('../src/modules/utils/sandbox.js');
+		const dir = mkdtempSync(join(tmpdir(), 'restringer-eval-cache-'));
+		// Evaluate the code as a new run would, with the results of previous runs persisted in the directory only
+		const evalInContext = (context, codes) => {
+			targetModule.flush();
+			const evalCache = new DiskCache(dir);
+			const results = runWithSandboxOptions({evalCache}, () => {
+				const sb = new Sandbox();
+				sb.run(context);
+				return codes.map(code => targetModule(code, sb).value);
+			});
+			return {results, hits: evalCache.hits, misses: evalCache.misses};
+		};
+		try {
+			const first = `function dec(n) {return 'first' + n;}`;
+			assert.deepStrictEqual(evalInContext(first, [`dec(1)`]), {results: ['first1'], hits: 0, misses: 1});
+			assert.deepStrictEqual(evalInContext(first, [`dec(1)`]), {results: ['first1'], hits: 1, misses: 0});
+			const second = `function dec(n) {return 'second' + n;}`;
+			assert.deepStrictEqual(evalInContext(second, [`dec(1)`]), {results: ['second1'], hits: 0, misses: 1});
+			// Code whose result was persisted is run before the code which follows it
+			const counter = `var n = 0; function next() {return ++n;}`;
+			assert.deepStrictEqual(evalInContext(counter, [`next()`]), {results: [1], hits: 0, misses: 1});
+			assert.deepStrictEqual(evalInContext(counter, [`next()`, `next() * 10`]), {results: [1, 20], hits: 1, misses: 1});
+		} finally {
+			targetModule.flush();
+			rmSync(dir, {recursive: true, force: true});
+		}
+	});
+	it('TN-8: Evaluations which exceed the timeout are not cached', async () => {
+		const {runWithSandboxOptions} = await import('../src/modules/utils/sandbox.js');
+		const code = `var s = 0; for (var i = 0; i < 2e7; i++) s += i % 7; s`;
+		const limits = [];
+		const result = runWithSandboxOptions({timeout: 5, onLimitExceeded: e => limits.push(e.limit)}, () => targetModule(code));
+		assert.deepStrictEqual(result, BAD_VALUE);
+		assert.deepStrictEqual(limits, ['timeout']);
+		assert.deepStrictEqual(targetModule(code), {type: 'Literal', value: 59999997, raw: '59999997'});
+	});
 });
 describe('UTILS: areReferencesModified', async () => {
 	const targetModule = (await import('../src/modules/utils/areReferencesModified.js')).areReferencesModified;
@@ -1394,4 +1460,230 @@ describe('UTILS: Sandbox', async () => {
 		assert.ok(!sandbox.isReference([]));
 		assert.ok(!sandbox.isReference('string'));
 	});
-});
\ No newline at end of file
+	it('TN-4: No sandbox can be created while code evaluation is prevented', async () => {
+		const {preventCodeEvaluation} = await import('../src/modules/utils/sandbox.js');
+		assert.throws(() => preventCodeEvaluation(() => new Sandbox()), /Code evaluation is prevented/);
+		assert.strictEqual(preventCodeEvaluation(() => 'done'), 'done');
+		assert.ok(new Sandbox());
+	});
+	it('TP-11: Sandbox options apply while set', async () => {
+		const {runWithSandboxOptions} = await import('../src/modules/utils/sandbox.js');
+		const sandbox = runWithSandboxOptions({timeout: 50, memoryLimit: 32}, () => new Sandbox());
+		assert.strictEqual(sandbox.timeout, 50);
+		assert.strictEqual(sandbox.run('2 + 3').copySync(), 5);
+		assert.strictEqual(new Sandbox().timeout, 1000);
+	});
+	it('TP-12: DOM emulation', () => {
+		const sandbox = new Sandbox({dom: true});
+		const result = sandbox.run(`var div = document.createElement('div');
+div.innerHTML = '<p id="a">x &amp; y</p><script>if (1 < 2) go();</script>';
+document.body.appendChild(div);
+[div.innerHTML, div.textContent, document.getElementById('a').tagName, div.getElementsByTagName('script')[0].text, window === global]`);
+		assert.deepStrictEqual(result.copySync(), [
+			'<p id="a">x &amp; y</p><script>if (1 < 2) go();</script>',
+			'x & yif (1 < 2) go();',
+			'P',
+			'if (1 < 2) go();',
+			true,
+		]);
+	});
+	it('TP-13: DOM emulation - cookie, atob and btoa', () => {
+		const sandbox = new Sandbox({dom: true});
+		const result = sandbox.run(`document.cookie = 'a=1; path=/'; document.cookie = 'b=2'; document.cookie = 'a=; max-age=0';
+[document.cookie, atob('UkVzdHJpbmdlcg=='), btoa('REstringer')]`);
+		assert.deepStrictEqual(result.copySync(), ['b=2', 'REstringer', 'UkVzdHJpbmdlcg==']);
+	});
+	it('TN-5: No DOM unless requested', () => {
+		const sandbox = new Sandbox();
+		assert.strictEqual(sandbox.run('typeof document + typeof window + typeof atob').copySync(), 'undefinedundefinedundefined');
+	});
+	it('TN-6: DOM emulation - atob rejects invalid input like browsers do', () => {
+		const sandbox = new Sandbox({dom: true});
+		assert.throws(() => sandbox.run(`atob('a')`), /not correctly encoded/);
+	});
+	it('TP-14: Blocked and allowed globals', async () => {
+		const {runWithSandboxOptions} = await import('../src/modules/utils/sandbox.js');
+		const sandbox = runWithSandboxOptions({blockedGlobals: ['JSON'], allowedGlobals: ['globalThis']}, () => new Sandbox());
+		assert.strictEqual(sandbox.run('typeof JSON + typeof globalThis + typeof fetch').copySync(), 'undefinedobjectundefined');
+	});
+	it('TP-15: Injected globals replace blocked ones', async () => {
+		const {runWithSandboxOptions} = await import('../src/modules/utils/sandbox.js');
+		const sandbox = runWithSandboxOptions({globals: {navigator: {userAgent: 'REstringer'}, key: 5}}, () => new Sandbox());
+		assert.strictEqual(sandbox.run('navigator.userAgent + key').copySync(), 'REstringer5');
+	});
+	it('TP-17: Seeded Date and Math.random are reset before each run', async () => {
+		const {runWithSandboxOptions} = await import('../src/modules/utils/sandbox.js');
+		const sandbox = runWithSandboxOptions({seed: 42}, () => new Sandbox());
+		const code = `[Math.random(), Math.random(), Date.now(), new Date().toISOString(), new Date(0).getTime(), new Date() instanceof Date]`;
+		const first = sandbox.run(code).copySync();
+		assert.notStrictEqual(first[0], first[1]);
+		assert.deepStrictEqual(first.slice(2), [1704067200000, '2024-01-01T00:00:00.000Z', 0, true]);
+		sandbox.run('Math.random = () => 1; Date = null;');
+		assert.deepStrictEqual(sandbox.run(code).copySync(), first);
+		const sameSeed = runWithSandboxOptions({seed: 42}, () => new Sandbox());
+		assert.deepStrictEqual(sameSeed.run(code).copySync(), first);
+	});
+	it('TP-19: Side effects are captured', async () => {
+		const {runWithSandboxOptions} = await import('../src/modules/utils/sandbox.js');
+		const sideEffects = [];
+		const sandbox = runWithSandboxOptions({captureSideEffects: true, onSideEffect: e => sideEffects.push(e)}, () => new Sandbox());
+		const code = `console.log('a', 1, {b: 2});
+console.warn('c');
+eval('var d = 3');
+''.constructor.constructor('return d')();
+try {setTimeout('alert(d)', 10);} catch {}
+try {fetch('https://example.com/e');} catch {}
+try {new XMLHttpRequest().open('post', 'https://example.com/f');} catch {}
+d + 1`;
+		assert.strictEqual(sandbox.run(code).copySync(), 4);
+		assert.deepStrictEqual(sideEffects.map(e => [e.type, e.value]), [
+			['console.log', 'a 1 {"b":2}'],
+			['console.warn', 'c'],
+			['eval', 'var d = 3'],
+			['Function', 'return d'],
+			['setTimeout', 'alert(d)'],
+			['fetch', 'https://example.com/e'],
+			['XMLHttpRequest', 'POST https://example.com/f'],
+		]);
+		assert.ok(sideEffects.every(e => e.code === code));
+		sideEffects.length = 0;
+		sandbox.run('console.log("again")');
+		assert.deepStrictEqual(sideEffects.map(e => e.value), ['again']);
+	});
+	it('TP-20: Capturing eval keeps direct calls in their scope', async () => {
+		const {runWithSandboxOptions} = await import('../src/modules/utils/sandbox.js');
+		const sideEffects = [];
+		const sandbox = runWithSandboxOptions({captureSideEffects: true, onSideEffect: e => sideEffects.push(e)}, () => new Sandbox());
+		const code = `var x = 'global';
+function f() {var x = 'local'; return [eval('x'), (0, eval)('x'), eval('eval("x")')];}
+f();`;
+		assert.deepStrictEqual(sandbox.run(code).copySync(), ['local', 'global', 'local']);
+		assert.deepStrictEqual(sideEffects.map(e => [e.type, e.value]), [
+			['eval', 'x'],
+			['eval', 'x'],
+			['eval', 'eval("x")'],
+			['eval', 'x'],
+		]);
+		assert.strictEqual(sandbox.run('typeof eval === "function" && eval === global.eval').copySync(), true);
+	});
+	it('TN-8: Code given to eval beyond the instrumentation limit is evaluated without being instrumented', async () => {
+		const {MAX_INSTRUMENTED_EVAL_LENGTH, runWithSandboxOptions} = await import('../src/modules/utils/sandbox.js');
+		const sideEffects = [];
+		const sandbox = runWithSandboxOptions({captureSideEffects: true, onSideEffect: e => sideEffects.push(e)}, () => new Sandbox());
+		const code = `eval('eval("1 + 1")' + ' '.repeat(${MAX_INSTRUMENTED_EVAL_LENGTH}))`;
+		assert.strictEqual(sandbox.run(code).copySync(), 2);
+		assert.strictEqual(sideEffects.length, 1);
+		assert.match(sideEffects[0].value, /^eval\("1 \+ 1"\) +$/);
+	});
+	it('TN-7: Missing APIs still fail when their side effects are captured', async () => {
+		const {runWithSandboxOptions} = await import('../src/modules/utils/sandbox.js');
+		const sandbox = runWithSandboxOptions({captureSideEffects: true}, () => new Sandbox());
+		assert.throws(() => sandbox.run(`setTimeout('x()', 1)`), /setTimeout is not defined/);
+		assert.throws(() => sandbox.run(`fetch('https://example.com')`), /fetch is not defined/);
+		assert.strictEqual(new Sandbox().run('typeof setTimeout').copySync(), 'undefined');
+	});
+	it('TP-18: Exceeded limits are reported', async () => {
+		const {runWithSandboxOptions} = await import('../src/modules/utils/sandbox.js');
+		const reported = [];
+		const onLimitExceeded = e => reported.push(e);
+		const sandbox = runWithSandboxOptions({timeout: 20, onLimitExceeded}, () => new Sandbox());
+		assert.throws(() => sandbox.run('while (true) {}'), e => e.sandboxLimit === 'timeout');
+		assert.throws(() => sandbox.run('throw new Error("x")'), e => !e.sandboxLimit);
+		assert.ok(!sandbox.isDisposed);
+		const smallSandbox = runWithSandboxOptions({timeout: 10000, memoryLimit: 8, onLimitExceeded}, () => new Sandbox());
+		const code = 'var a = []; while (true) a.push(new Array(10000).fill(a.length));';
+		assert.throws(() => smallSandbox.run(code), e => e.sandboxLimit === 'memoryLimit');
+		assert.ok(smallSandbox.isDisposed);
+		assert.throws(() => smallSandbox.run('1'), /disposed/);
+		assert.deepStrictEqual(reported, [
+			{limit: 'timeout', value: 20, code: 'while (true) {}'},
+			{limit: 'memoryLimit', value: 8, code},
+		]);
+	});
+});
+describe('UTILS: DiskCache', async () => {
+	const {mkdtempSync, readdirSync, rmSync, utimesSync} = await import('node:fs');
+	const {tmpdir} = await import('node:os');
+	const {join} = await import('node:path');
+	const {after} = await import('node:test');
+	const {DiskCache} = await import('../src/modules/utils/diskCache.js');
+	const tmpDir = mkdtempSync(join(tmpdir(), 'restringer-disk-cache-'));
+	after(() => rmSync(tmpDir, {recursive: true, force: true}));
+	it('TP-1: Values persist across instances', () => {
+		const dir = join(tmpDir, 'persist');
+		const value = {type: 'Literal', value: 'hello', raw: 'hello'};
+		assert.ok(new DiskCache(dir).set('a1', value));
+		const cache = new DiskCache(dir);
+		assert.deepStrictEqual(cache.get('a1'), value);
+		assert.strictEqual(cache.get('b2'), undefined);
+		assert.deepStrictEqual([cache.hits, cache.misses], [1, 1]);
+	});
+	it('TP-2: The least recently used entries are evicted', () => {
+		const dir = join(tmpDir, 'evict');
+		const cache = new DiskCache(dir, {maxEntries: 3});
+		for (const [i, key] of ['a', 'b', 'c'].entries()) {
+			cache.set(key, i);
+			const time = new Date(Date.now() - (10 - i) * 1000);
+			utimesSync(join(dir, `${key}.json`), time, time);
+		}
+		assert.strictEqual(cache.get('a'), 0);
+		cache.set('d', 3);
+		assert.deepStrictEqual(readdirSync(dir).sort(), ['a.json', 'd.json']);
+	});
+	it('TP-3: Overwriting an entry does not count towards the max entries', () => {
+		const dir = join(tmpDir, 'overwrite');
+		const cache = new DiskCache(dir, {maxEntries: 3});
+		cache.set('a', 0);
+		cache.set('b', 1);
+		for (let i = 0; i < 5; i++) cache.set('c', i);
+		assert.deepStrictEqual(readdirSync(dir).sort(), ['a.json', 'b.json', 'c.json']);
+		assert.strictEqual(cache.get('c'), 4);
+	});
+	it('TN-1: Values which cannot be restored from JSON are not stored', () => {
+		const cache = new DiskCache(join(tmpDir, 'invalid'));
+		assert.ok(!cache.set('a', {type: 'Literal', value: /a/, raw: '/a/'}));
+		assert.ok(!cache.set('b', 1n));
+		assert.ok(!cache.set('c', undefined));
+		assert.strictEqual(cache.get('a'), undefined);
+	});
+});
+describe('UTILS: SandboxPool', async () => {
+	const {Sandbox, runWithSandboxOptions} = await import('../src/modules/utils/sandbox.js');
+	const {SandboxPool} = (await import('../src/modules/utils/sandboxPool.js'));
+	it('TP-1: Sandboxes share an isolate but not their global state', () => {
+		const pool = new SandboxPool();
+		const [first, second] = runWithSandboxOptions({pool}, () => [new Sandbox(), new Sandbox()]);
+		assert.strictEqual(first.vm, second.vm);
+		first.run('var a = 1;');
+		assert.strictEqual(first.run('a').copySync(), 1);
+		assert.strictEqual(second.run('typeof a').copySync(), 'undefined');
+		assert.deepStrictEqual(pool.metrics, {sandboxesCreated: 2, isolatesCreated: 1, isolatesReused: 1});
+		pool.dispose();
+	});
+	it('TP-2: Isolates are created per memory limit and replaced after hosting enough sandboxes', () => {
+		const pool = new SandboxPool({maxSandboxesPerIsolate: 2});
+		const sandboxes = runWithSandboxOptions({pool}, () => [new Sandbox(), new Sandbox(), new Sandbox()]);
+		const limited = runWithSandboxOptions({pool, memoryLimit: 32}, () => new Sandbox());
+		assert.strictEqual(sandboxes[0].vm, sandboxes[1].vm);
+		assert.notStrictEqual(sandboxes[1].vm, sandboxes[2].vm);
+		assert.notStrictEqual(limited.vm, sandboxes[2].vm);
+		assert.deepStrictEqual(pool.metrics, {sandboxesCreated: 4, isolatesCreated: 3, isolatesReused: 1});
+		pool.resetMetrics();
+		assert.deepStrictEqual(pool.metrics, {sandboxesCreated: 0, isolatesCreated: 0, isolatesReused: 0});
+		pool.dispose();
+	});
+	it('TP-3: Disposed isolates are replaced', () => {
+		const pool = new SandboxPool();
+		const sandbox = runWithSandboxOptions({pool}, () => new Sandbox());
+		pool.dispose();
+		assert.ok(sandbox.isDisposed);
+		assert.throws(() => sandbox.run('1'), /disposed/);
+		const replacement = runWithSandboxOptions({pool}, () => new Sandbox());
+		assert.strictEqual(replacement.run('1 + 1').copySync(), 2);
+		assert.strictEqual(pool.metrics.isolatesCreated, 2);
+		pool.dispose();
+	});
+	it('TN-1: Sandboxes created without a pool have their own isolates', () => {
+		assert.notStrictEqual(new Sandbox().vm, new Sandbox().vm);
+	});
+});
@@ -1,27 +1,20 @@
 import {Arborist} from 'flast';
 import assert from 'node:assert';
 import {describe, it} from 'node:test';
+import {readFileSync} from 'node:fs';
 
 /**
  * @param {Arborist} arb
+ * @param {{preprocessors, postprocessors}} processors
+ * @return {Arborist} The Arborist returned by the last processor, which may replace the one it was given.
  */
-function applyEachProcessor(arb) {
-	return proc => {
+function applyProcessors(arb, processors) {
+	[...processors.preprocessors, ...processors.postprocessors].forEach(proc => {
 		if (typeof proc === 'function') {
 			arb = proc(arb);
 			arb.applyChanges();
 		}
-	};
-}
-
-/**
- * @param {Arborist} arb
- * @param {{preprocessors, postprocessors}} processors
- * @return {Arborist}
- */
-function applyProcessors(arb, processors) {
-	processors.preprocessors.forEach(applyEachProcessor(arb));
-	processors.postprocessors.forEach(applyEachProcessor(arb));
+	});
 	return arb;
 }
 
@@ -221,8 +214,7 @@ shuffle(arr, 2);`;
 });
 describe('Processors tests: Caesar Plus', async () => {
 	const targetProcessors = (await import('../src/processors/caesarp.js'));
-	// TODO: Fix test
-	it.skip('TP-1: FIX ME', () => {
+	it('TP-1: Inner layer built with an HTMLElement is extracted', () => {
 		const code = `(function() {
 	const a = document.createElement('div');
 	const b = 'Y29uc29sZS5sb2co';
@@ -239,6 +231,103 @@ describe('Processors tests: Caesar Plus', async () => {
 		arb = applyProcessors(arb, targetProcessors);
 		assert.strictEqual(arb.script, expected);
 	});
+	it('TP-2: Variant the final assignment pattern does not match', () => {
+		const code = `(function() {
+	var container = document.createElement('div');
+	container.innerHTML = '<span>Y29uc29sZS5sb2co</span><span>IlJFc3RyaW5nZXIiKQ==</span>';
+	var spans = container.getElementsByTagName('span');
+	var payload = '';
+	for (var i = 0; i < spans.length; i++) payload += spans[i].textContent;
+	var holder = {};
+	holder.toString = String.constructor(window.atob(payload));
+	document.cookie = 'ran=' + holder;
+})();`;
+		const expected  = `console.log("REstringer")`;
+		let arb = new Arborist(code);
+		arb = applyProcessors(arb, targetProcessors);
+		assert.strictEqual(arb.script, expected);
+	});
+	it('TP-3: Inner layer is extracted without being run', () => {
+		const code = `var a = document.createElement('div');
+a.innerHTML = 'throw new Error("the inner layer ran")';
+var b = {};
+b['toString'] = ''.constructor.constructor(a.innerHTML);
+b = b + '';`;
+		const expected  = `throw new Error("the inner layer ran")`;
+		let arb = new Arborist(code);
+		arb = applyProcessors(arb, targetProcessors);
+		assert.strictEqual(arb.script, expected);
+	});
+	it('TN-1: Script which does not create a function from a string is not replaced', () => {
+		const code = `var a = document.createElement('div');\na.innerHTML = 'abc';\nconsole.log(a.innerHTML);`;
+		let arb = new Arborist(code);
+		arb = applyProcessors(arb, targetProcessors);
+		assert.strictEqual(arb.script, code);
+	});
+});
+describe('Processors tests: JJencode', async () => {
+	const targetProcessors = (await import('../src/processors/jjencode.js'));
+	it('TP-1: Script is replaced with the script it decodes to', () => {
+		const code = `$=~[];$={___:++$,$$$$:(![]+"")[$],__$:++$,$_$_:(![]+"")[$],_$_:++$,$_$$:({}+"")[$],$$_$:($[$]+"")[$],_$$:++$,$$$_:(!""+"")[$],$__:++$,$_$:++$,$$__:({}+"")[$],$$_:++$,$$$:++$,$___:++$,$__$:++$};$.$_=($.$_=$+"")[$.$_$]+($._$=$.$_[$.__$])+($.$$=($.$+"")[$.__$])+((!$)+"")[$._$$]+($.__=$.$_[$.$$_])+($.$=(!""+"")[$.__$])+($._=(!""+"")[$._$_])+$.$_[$.$_$]+$.__+$._$+$.$;$.$$=$.$+(!""+"")[$._$$]+$.__+$._+$.$+$.$$;$.$=($.___)[$.$_][$.$_];$.$($.$($.$$+"\\""+$.$$__+$._$+"\\\\"+$.__$+$.$_$+$.$$_+"\\\\"+$.__$+$.$$_+$._$$+$._$+(![]+"")[$._$_]+$.$$$_+"."+(![]+"")[$._$_]+$._$+"\\\\"+$.__$+$.$__+$.$$$+"('"+$.$$_$+$.$$$_+$._$+$.$_$$+"')"+"\\"")())();`;
+		const expected  = `console.log('deob')`;
+		let arb = new Arborist(code);
+		arb = applyProcessors(arb, targetProcessors);
+		assert.strictEqual(arb.script, expected);
+	});
+	it('TN-1: Scripts which are not JJencoded are not replaced', () => {
+		const code = `var $ = ~[]; $ = {a: ++$}; Function('console.log(1)')();`;
+		const expected = code;
+		let arb = new Arborist(code);
+		arb = applyProcessors(arb, targetProcessors);
+		assert.strictEqual(arb.script, expected);
+	});
+});
+describe('Processors tests: AAencode', async () => {
+	const targetProcessors = (await import('../src/processors/aaencode.js'));
+	it('TP-1: Script is replaced with the script it decodes to', () => {
+		const code = readFileSync(new URL('./resources/aaencode.js', import.meta.url), 'utf-8');
+		let arb = new Arborist(code);
+		arb = applyProcessors(arb, targetProcessors);
+		assert.match(arb.script, /^var greeting = "Hello, " \+ 'World!';/);
+	});
+	it('TN-1: Scripts which are not AAencoded are not replaced', () => {
+		const code = `var ﾟωﾟﾉ = 3; Function('console.log(1)')();`;
+		const expected = code;
+		let arb = new Arborist(code);
+		arb = applyProcessors(arb, targetProcessors);
+		assert.strictEqual(arb.script, expected);
+	});
+});
+describe('Processors tests: Packer', async () => {
+	const targetProcessors = (await import('../src/processors/packer.js'));
+	it('TP-1: Packed script is unpacked into the evaluated string', () => {
+		const code = `eval(function(p,a,c,k,e,d){e=function(c){return(c<a?'':e(parseInt(c/a)))+((c=c%a)>35?String.fromCharCode(c+29):c.toString(36))};if(!''.replace(/^/,String)){while(c--){d[e(c)]=k[c]||e(c)}k=[function(e){return d[e]}];e=function(){return'\\\\w+'};c=1};while(c--){if(k[c]){p=p.replace(new RegExp('\\\\b'+e(c)+'\\\\b','g'),k[c])}}return p}('0.1(\\'2\\');',62,3,'console|log|deob'.split('|'),0,{}))`;
+		const expected = `eval("console.log('deob');");`;
+		let arb = new Arborist(code);
+		arb = applyProcessors(arb, targetProcessors);
+		assert.strictEqual(arb.script, expected);
+	});
+	it('TP-2: Nested packing layers are unpacked', () => {
+		const code = `eval(function(p,a,c,k,e,d){e=function(c){return(c<a?'':e(parseInt(c/a)))+((c=c%a)>35?String.fromCharCode(c+29):c.toString(36))};if(!''.replace(/^/,String)){while(c--){d[e(c)]=k[c]||e(c)}k=[function(e){return d[e]}];e=function(){return'\\\\w+'};c=1};while(c--){if(k[c]){p=p.replace(new RegExp('\\\\b'+e(c)+'\\\\b','g'),k[c])}}return p}('f(3(4,5,0,2,1,7){1=3(0){6(0<5?\\'\\':1(g(0/5)))+((0=0%5)>h?8.i(0+j):0.k(l))};9(!\\'\\'.a(/^/,8)){b(0--){7[1(0)]=2[0]||1(0)}2=[3(1){6 7[1]}];1=3(){6\\'\\\\\\\\m+\\'};0=c};b(0--){9(2[0]){4=4.a(n o(\\'\\\\\\\\d\\'+1(0)+\\'\\\\\\\\d\\',\\'p\\'),2[0])}}6 4}(\\'e.c(\\\\\\'q\\\\\\');\\',r,s,\\'t|u|v\\'.w(\\'|\\'),e,{}))',62,33,'c|e|k|function|p|a|return|d|String|if|replace|while|1|b|0|eval|parseInt|35|fromCharCode|29|toString|36|w|new|RegExp|g|2|62|3|console|log|deob|split'.split('|'),0,{}))`;
+		const expected = `eval('eval("console.log(\\'deob\\');");');`;
+		let arb = new Arborist(code);
+		arb = applyProcessors(arb, targetProcessors);
+		assert.strictEqual(arb.script, expected);
+	});
+	it('TN-1: Scripts packed with an unsupported radix are not unpacked', () => {
+		const code = `eval(function(p,a,c,k,e,d){e=function(c){return(c<a?'':e(parseInt(c/a)))+((c=c%a)>35?String.fromCharCode(c+29):c.toString(36))};if(!''.replace(/^/,String)){while(c--){d[e(c)]=k[c]||e(c)}k=[function(e){return d[e]}];e=function(){return'\\\\w+'};c=1};while(c--){if(k[c]){p=p.replace(new RegExp('\\\\b'+e(c)+'\\\\b','g'),k[c])}}return p}('0.1(\\'2\\');',95,3,'console|log|deob'.split('|'),0,{}))`;
+		const expected = code;
+		let arb = new Arborist(code);
+		arb = applyProcessors(arb, targetProcessors);
+		assert.strictEqual(arb.script, expected);
+	});
+	it('TN-2: Scripts whose keywords are not a literal are not unpacked', () => {
+		const code = `eval(function(p,a,c,k,e,d){e=function(c){return(c<a?'':e(parseInt(c/a)))+((c=c%a)>35?String.fromCharCode(c+29):c.toString(36))};if(!''.replace(/^/,String)){while(c--){d[e(c)]=k[c]||e(c)}k=[function(e){return d[e]}];e=function(){return'\\\\w+'};c=1};while(c--){if(k[c]){p=p.replace(new RegExp('\\\\b'+e(c)+'\\\\b','g'),k[c])}}return p}('0.1(\\'2\\');',62,3,words,0,{}))`;
+		const expected = code;
+		let arb = new Arborist(code);
+		arb = applyProcessors(arb, targetProcessors);
+		assert.strictEqual(arb.script, expected);
+	});
 });
 describe('Processors tests: Function to Array', async () => {
 	const targetProcessors = (await import('../src/processors/functionToArray.js'));
@@ -318,4 +407,453 @@ describe('Processors tests: Obfuscator.io', async () => {
 		arb = applyProcessors(arb, targetProcessors);
 		assert.strictEqual(arb.script, expected);
 	});
+	it('TP-3: RC4 string array with a rotation, function wrappers and a variable wrapper', () => {
+		const code = `function _0x51a2() {
+  var _0x4c = ['g0pgK1u=', 'AoGnQgvdTmS=', 'uT/a', 'zEj2FYu='];
+  _0x51a2 = function () {
+    return _0x4c;
+  };
+  return _0x51a2();
+}
+function _0x3b1c(_0x2a, _0x4f) {
+  var _0x1e = _0x51a2();
+  return _0x3b1c = function (_0x3b, _0x17) {
+    _0x3b = _0x3b - 0x100;
+    var _0x5c = _0x1e[_0x3b];
+    if (_0x3b1c.wXyZ === undefined) {
+      var _0x6a = function (_0x2d) {
+        var _0x1a = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/=', _0x7b = '';
+        _0x2d = _0x2d.replace(/=+$/, '');
+        for (var _0x4a = 0, _0x2b, _0x1c, _0x5d = 0; _0x1c = _0x2d.charAt(_0x5d++); ~_0x1c && (_0x2b = _0x4a % 4 ? _0x2b * 64 + _0x1c : _0x1c, _0x4a++ % 4) ? _0x7b += String.fromCharCode(255 & _0x2b >> (-2 * _0x4a & 6)) : 0) {
+          _0x1c = _0x1a.indexOf(_0x1c);
+        }
+        return _0x7b;
+      };
+      _0x3b1c.pQrS = function (_0x1f, _0x2c) {
+        var _0x3d = [], _0x4e = 0, _0x5f, _0x60 = '', _0x61;
+        _0x1f = _0x6a(_0x1f);
+        for (_0x61 = 0; _0x61 < 256; _0x61++) _0x3d[_0x61] = _0x61;
+        for (_0x61 = 0; _0x61 < 256; _0x61++) {
+          _0x4e = (_0x4e + _0x3d[_0x61] + _0x2c.charCodeAt(_0x61 % _0x2c.length)) % 256;
+          _0x5f = _0x3d[_0x61]; _0x3d[_0x61] = _0x3d[_0x4e]; _0x3d[_0x4e] = _0x5f;
+        }
+        _0x61 = 0; _0x4e = 0;
+        for (var _0x62 = 0; _0x62 < _0x1f.length; _0x62++) {
+          _0x61 = (_0x61 + 1) % 256;
+          _0x4e = (_0x4e + _0x3d[_0x61]) % 256;
+          _0x5f = _0x3d[_0x61]; _0x3d[_0x61] = _0x3d[_0x4e]; _0x3d[_0x4e] = _0x5f;
+          _0x60 += String.fromCharCode(_0x1f.charCodeAt(_0x62) ^ _0x3d[(_0x3d[_0x61] + _0x3d[_0x4e]) % 256]);
+        }
+        return _0x60;
+      };
+      _0x3b1c.aBcD = {};
+      _0x3b1c.wXyZ = !![];
+    }
+    var _0x70 = _0x1e[0], _0x71 = _0x3b + _0x70, _0x72 = _0x3b1c.aBcD[_0x71];
+    if (!_0x72) {
+      _0x5c = _0x3b1c.pQrS(_0x5c, _0x17);
+      _0x3b1c.aBcD[_0x71] = _0x5c;
+    } else _0x5c = _0x72;
+    return _0x5c;
+  }, _0x3b1c(_0x2a, _0x4f);
+}
+(function (_0x1b, _0x2e) {
+  var _0x3f = _0x3b1c, _0x40 = _0x1b();
+  while (!![]) {
+    try {
+      var _0x41 = parseInt(_0x3f(0x100, 'Yx2p'));
+      if (_0x41 === _0x2e) break;
+      else _0x40['push'](_0x40['shift']());
+    } catch (_0x42) {
+      _0x40['push'](_0x40['shift']());
+    }
+  }
+}(_0x51a2, 31337));
+function _0x4e2a(_0x1, _0x2, _0x3) {
+  return _0x3b1c(_0x2 - 0x2a, _0x3);
+}
+function greet() {
+  function _0x9f(_0x1, _0x2) {
+    return _0x4e2a(0, _0x1 - -0x10, _0x2);
+  }
+  var _0x77 = _0x3b1c;
+  console[_0x9f(0x11b, 'k3Lz')](_0x77(0x102, 'a9Qe') + ', ' + _0x4e2a(0, 0x12d, 'Zr1!'));
+}
+greet();`;
+		const expected  = `function greet() {
+  console['log']('Hello' + ', ' + 'world');
+}
+greet();`;
+		let arb = new Arborist(code);
+		arb = applyProcessors(arb, targetProcessors);
+		assert.strictEqual(arb.script, expected);
+	});
+	it('TP-4: Base64 string array with a variable wrapper', () => {
+		const code = `function _0x5b() {
+  var _0x1 = ['Bg9N', 'sgvSBg8='];
+  _0x5b = function () {
+    return _0x1;
+  };
+  return _0x5b();
+}
+function _0x2f(_0x3, _0x4) {
+  var _0x5 = _0x5b();
+  return _0x2f = function (_0x6) {
+    var _0x7 = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/=', _0x8 = '', _0x9 = _0x5[_0x6 - 0x1f4].replace(/=+$/, '');
+    for (var _0xa = 0, _0xb, _0xc, _0xd = 0; _0xc = _0x9.charAt(_0xd++); ~_0xc && (_0xb = _0xa % 4 ? _0xb * 64 + _0xc : _0xc, _0xa++ % 4) ? _0x8 += String.fromCharCode(255 & _0xb >> (-2 * _0xa & 6)) : 0) {
+      _0xc = _0x7.indexOf(_0xc);
+    }
+    return decodeURIComponent(escape(_0x8));
+  }, _0x2f(_0x3, _0x4);
+}
+const _0x1d = _0x2f;
+console[_0x1d(0x1f4)](_0x2f(0x1f5));`;
+		const expected  = `console['log']('Hello');`;
+		let arb = new Arborist(code);
+		arb = applyProcessors(arb, targetProcessors);
+		assert.strictEqual(arb.script, expected);
+	});
+	it('TP-5: String array is kept while a decoder call cannot be resolved', () => {
+		const code = `function _0x5b() {
+  var _0x1 = ['Bg9N', 'sgvSBg8='];
+  _0x5b = function () {
+    return _0x1;
+  };
+  return _0x5b();
+}
+function _0x2f(_0x3, _0x4) {
+  var _0x5 = _0x5b();
+  return _0x2f = function (_0x6) {
+    var _0x7 = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/=', _0x8 = '', _0x9 = _0x5[_0x6 - 0x1f4].replace(/=+$/, '');
+    for (var _0xa = 0, _0xb, _0xc, _0xd = 0; _0xc = _0x9.charAt(_0xd++); ~_0xc && (_0xb = _0xa % 4 ? _0xb * 64 + _0xc : _0xc, _0xa++ % 4) ? _0x8 += String.fromCharCode(255 & _0xb >> (-2 * _0xa & 6)) : 0) {
+      _0xc = _0x7.indexOf(_0xc);
+    }
+    return decodeURIComponent(escape(_0x8));
+  }, _0x2f(_0x3, _0x4);
+}
+console.log(_0x2f(0x1f5), _0x2f(index));`;
+		let arb = new Arborist(code);
+		arb = applyProcessors(arb, targetProcessors);
+		assert.match(arb.script, /console\.log\('Hello', _0x2f\(index\)\);$/);
+		assert.match(arb.script, /^function _0x5b\(\) {/);
+	});
+	it('TP-6: Domain lock code is removed', () => {
+		const code = `function hi() {
+    var _0x26d070 = (function () {
+            var _0x3e311b = !![];
+            return function (_0xc5ef19, _0x3ba704) {
+                var _0x531163 = _0x3e311b ? function () {
+                    if (_0x3ba704) {
+                        var _0x10779c = _0x3ba704['apply'](_0xc5ef19, arguments);
+                        return _0x3ba704 = null, _0x10779c;
+                    }
+                } : function () {
+                };
+                return _0x3e311b = ![], _0x531163;
+            };
+        }()), _0x4a2510 = _0x26d070(this, function () {
+            var _0x4d4637;
+            try {
+                var _0x17044b = Function('return\\x20(function()\\x20' + '{}.constructor(\\x22return\\x20this\\x22)(\\x20)' + ');');
+                _0x4d4637 = _0x17044b();
+            } catch (_0x58b6c8) {
+                _0x4d4637 = window;
+            }
+            var _0x1167cb = new RegExp('[iLMDhYdvvyYgWhvgAiWzKhLgnM]', 'g'), _0x4526b0 = 'eixLMampDhle.YdcovvmyYgWhvgAiWzKhLgnM'['replace'](_0x1167cb, '')['split'](';'), _0x43014c, _0x3b975d, _0x3381e2, _0x3c1651, _0x2cf4c0 = function (_0x5db39a, _0x3f4f23, _0xd01dd4) {
+                    if (_0x5db39a['length'] != _0x3f4f23)
+                        return ![];
+                    for (var _0x2b57b1 = 0x0; _0x2b57b1 < _0x3f4f23; _0x2b57b1++) {
+                        for (var _0xde3b52 = 0x0; _0xde3b52 < _0xd01dd4['length']; _0xde3b52 += 0x2) {
+                            if (_0x2b57b1 == _0xd01dd4[_0xde3b52] && _0x5db39a['charCodeAt'](_0x2b57b1) != _0xd01dd4[_0xde3b52 + 0x1])
+                                return ![];
+                        }
+                    }
+                    return !![];
+                }, _0x561c01 = function (_0x47aab2, _0x322284, _0x134368) {
+                    return _0x2cf4c0(_0x322284, _0x134368, _0x47aab2);
+                }, _0x16dc14 = function (_0x3fd546, _0x556ad6, _0x236198) {
+                    return _0x561c01(_0x556ad6, _0x3fd546, _0x236198);
+                }, _0x393a10 = function (_0x99fe9e, _0x492096, _0x53cd25) {
+                    return _0x16dc14(_0x492096, _0x53cd25, _0x99fe9e);
+                };
+            for (var _0xd3e5ca in _0x4d4637) {
+                if (_0x2cf4c0(_0xd3e5ca, 0x8, [
+                        0x7,
+                        0x74,
+                        0x5,
+                        0x65,
+                        0x3,
+                        0x75,
+                        0x0,
+                        0x64
+                    ])) {
+                    _0x43014c = _0xd3e5ca;
+                    break;
+                }
+            }
+            for (var _0x4daba0 in _0x4d4637[_0x43014c]) {
+                if (_0x393a10(0x6, _0x4daba0, [
+                        0x5,
+                        0x6e,
+                        0x0,
+                        0x64
+                    ])) {
+                    _0x3b975d = _0x4daba0;
+                    break;
+                }
+            }
+            for (var _0x31a622 in _0x4d4637[_0x43014c]) {
+                if (_0x16dc14(_0x31a622, [
+                        0x7,
+                        0x6e,
+                        0x0,
+                        0x6c
+                    ], 0x8)) {
+                    _0x3381e2 = _0x31a622;
+                    break;
+                }
+            }
+            if (!('~' > _0x3b975d))
+                for (var _0x4f3ec3 in _0x4d4637[_0x43014c][_0x3381e2]) {
+                    if (_0x561c01([
+                            0x7,
+                            0x65,
+                            0x0,
+                            0x68
+                        ], _0x4f3ec3, 0x8)) {
+                        _0x3c1651 = _0x4f3ec3;
+                        break;
+                    }
+                }
+            if (!_0x43014c || !_0x4d4637[_0x43014c])
+                return;
+            var _0x583c9e = _0x4d4637[_0x43014c][_0x3b975d], _0x528cc3 = !!_0x4d4637[_0x43014c][_0x3381e2] && _0x4d4637[_0x43014c][_0x3381e2][_0x3c1651], _0x5e722e = _0x583c9e || _0x528cc3;
+            if (!_0x5e722e)
+                return;
+            var _0x3b8137 = ![];
+            for (var _0x33d003 = 0x0; _0x33d003 < _0x4526b0['length']; _0x33d003++) {
+                var _0x3b975d = _0x4526b0[_0x33d003], _0x59d57a = _0x3b975d[0x0] === String['fromCharCode'](0x2e) ? _0x3b975d['slice'](0x1) : _0x3b975d, _0x5eb459 = _0x5e722e['length'] - _0x59d57a['length'], _0x3f9369 = _0x5e722e['indexOf'](_0x59d57a, _0x5eb459), _0x354546 = _0x3f9369 !== -0x1 && _0x3f9369 === _0x5eb459;
+                _0x354546 && ((_0x5e722e['length'] == _0x3b975d['length'] || _0x3b975d['indexOf']('.') === 0x0) && (_0x3b8137 = !![]));
+            }
+            if (!_0x3b8137) {
+                var _0x1ffa5b = new RegExp('[PprDjYFZcWdOPcrzPNHpcGUJzHUd]', 'g'), _0x4a7c5d = 'aboPprut:DjYFblaZnkcWdOPcrzPNHpcGUJzHUd'['replace'](_0x1ffa5b, '');
+                _0x4d4637[_0x43014c][_0x3381e2] = _0x4a7c5d;
+            }
+        });
+    _0x4a2510(), console['log']('Hello\\x20World!');
+}
+hi();`;
+		const expected  = `function hi() {
+  console['log']('Hello World!');
+}
+hi();`;
+		let arb = new Arborist(code);
+		arb = applyProcessors(arb, targetProcessors);
+		assert.strictEqual(arb.script, expected);
+	});
+	it('TP-7: The call controller is kept while other code uses it', () => {
+		const code = `const _0x1d = (function () {
+  let _0xa = true;
+  return function (_0xb, _0xc) {
+    const _0xd = _0xa ? function () {
+      if (_0xc) {
+        const _0xe = _0xc.apply(_0xb, arguments);
+        _0xc = null;
+        return _0xe;
+      }
+    } : function () {};
+    _0xa = false;
+    return _0xd;
+  };
+}());
+const _0x3c = _0x1d(this, function () {
+  return _0x3c.toString().search('(((.+)+)+)+$').toString().constructor(_0x3c).search('(((.+)+)+)+$');
+});
+_0x3c();
+const _0x4 = _0x1d(this, function () {
+  return 1;
+});`;
+		let arb = new Arborist(code);
+		arb = applyProcessors(arb, targetProcessors);
+		assert.match(arb.script, /^const _0x1d = \(function \(\) {/);
+		assert.doesNotMatch(arb.script, /_0x3c/);
+	});
+	it('TP-8: Debug protection code is removed along with its interval', () => {
+		const code = `(function () {
+    var _0x45174a;
+    try {
+        var _0x4650e0 = Function('return\\x20(function()\\x20' + '{}.constructor(\\x22return\\x20this\\x22)(\\x20)' + ');');
+        _0x45174a = _0x4650e0();
+    } catch (_0x1bef67) {
+        _0x45174a = window;
+    }
+    _0x45174a['setInterval'](_0x2233ce, 0xfa0);
+}());
+function hi() {
+    var _0x36b61f = (function () {
+        var _0xe83d0a = !![];
+        return function (_0x5d14c9, _0x5a34d7) {
+            var _0x159175 = _0xe83d0a ? function () {
+                if (_0x5a34d7) {
+                    var _0x2693a8 = _0x5a34d7['apply'](_0x5d14c9, arguments);
+                    return _0x5a34d7 = null, _0x2693a8;
+                }
+            } : function () {
+            };
+            return _0xe83d0a = ![], _0x159175;
+        };
+    }());
+    (function () {
+        _0x36b61f(this, function () {
+            var _0x279a39 = new RegExp('function\\x20*\\x5c(\\x20*\\x5c)'), _0x2d7d1a = new RegExp('\\x5c+\\x5c+\\x20*(?:[a-zA-Z_$][0-9a-zA-Z_$]*)', 'i'), _0x5becc5 = _0x2233ce('init');
+            !_0x279a39['test'](_0x5becc5 + 'chain') || !_0x2d7d1a['test'](_0x5becc5 + 'input') ? _0x5becc5('0') : _0x2233ce();
+        })();
+    }()), console['log']('Hello\\x20World!');
+}
+hi();
+function _0x2233ce(_0xccb8c5) {
+    function _0x1a1aa7(_0x597077) {
+        if (typeof _0x597077 === 'string')
+            return function (_0xe27355) {
+            }['constructor']('while\\x20(true)\\x20{}')['apply']('counter');
+        else
+            ('' + _0x597077 / _0x597077)['length'] !== 0x1 || _0x597077 % 0x14 === 0x0 ? function () {
+                return !![];
+            }['constructor']('debu' + 'gger')['call']('action') : function () {
+                return ![];
+            }['constructor']('debu' + 'gger')['apply']('stateObject');
+        _0x1a1aa7(++_0x597077);
+    }
+    try {
+        if (_0xccb8c5)
+            return _0x1a1aa7;
+        else
+            _0x1a1aa7(0x0);
+    } catch (_0x26f787) {
+    }
+}`;
+		const expected  = `function hi() {
+  console['log']('Hello World!');
+}
+hi();`;
+		let arb = new Arborist(code);
+		arb = applyProcessors(arb, targetProcessors);
+		assert.strictEqual(arb.script, expected);
+	});
+	it('TP-9: Self defending, console output disabling, debug protection and domain lock code is removed', () => {
+		const code = readFileSync(new URL('./resources/obfuscator.io-protections.js', import.meta.url), 'utf-8');
+		const expected  = `function hi() {
+  console['log']('Hello World!');
+}
+hi();`;
+		let arb = new Arborist(code);
+		arb = applyProcessors(arb, targetProcessors);
+		assert.strictEqual(arb.script, expected);
+	});
+	it('TP-10: Self defending RC4 string array with chained function wrappers is resolved', () => {
+		const code = readFileSync(new URL('./resources/obfuscator.io-v4.js', import.meta.url), 'utf-8');
+		const expected  = `function greet(_0x49f5a3) {
+  const _0x26fd60 = 'Hello, ' + _0x49f5a3 + '!';
+  return console['log'](_0x26fd60), _0x26fd60['length'];
+}
+const names = [
+  'Alice',
+  'Bob',
+  'Carol'
+];
+for (const n of names) {
+  if (greet(n) > 10)
+    console['warn']('Long greeting for', n);
+}`;
+		assert.ok(targetProcessors.isObfuscatorIo(code));
+		let arb = new Arborist(code);
+		arb = applyProcessors(arb, targetProcessors);
+		assert.strictEqual(arb.script, expected);
+	});
+	it('TN-4: Scripts without a string array function or a call controller are not detected', () => {
+		const code = `function _0x5b() {
+  return ['Bg9N', 'sgvSBg8='];
+}
+const _0x1d = function (_0xb, _0xc) {
+  return _0xc.apply(_0xb, arguments);
+};`;
+		assert.ok(!targetProcessors.isObfuscatorIo(code));
+	});
+	it('TN-2: Guards which are used other than by calling them once declared are kept', () => {
+		const code = `const _0x1d = (function () {
+  let _0xa = true;
+  return function (_0xb, _0xc) {
+    const _0xd = _0xa ? function () {
+      if (_0xc) {
+        const _0xe = _0xc.apply(_0xb, arguments);
+        _0xc = null;
+        return _0xe;
+      }
+    } : function () {};
+    _0xa = false;
+    return _0xd;
+  };
+}());
+const _0x3c = _0x1d(this, function () {
+  return _0x3c.toString().search('(((.+)+)+)+$').toString().constructor(_0x3c).search('(((.+)+)+)+$');
+});
+window.guard = _0x3c;`;
+		let arb = new Arborist(code);
+		arb = applyProcessors(arb, targetProcessors);
+		assert.match(arb.script, /window\.guard = _0x3c;$/);
+		assert.match(arb.script, /const _0x3c = _0x1d\(this, function \(\) {/);
+	});
+	it('TN-3: Debug protection is kept while code other than its calls and intervals uses it', () => {
+		const code = `function _0x5a(_0x1) {
+  (function () {
+    return true;
+  }.constructor('debu' + 'gger').call('action'));
+}
+const _0x2 = [_0x5a];`;
+		const expected = code;
+		let arb = new Arborist(code);
+		arb = applyProcessors(arb, targetProcessors);
+		assert.strictEqual(arb.script, expected);
+	});
+	it('TN-5: Debug protection is kept while it is set on an interval along with other code', () => {
+		const code = `(function () {
+  startApp();
+  sendBeacon('x');
+  setInterval(_0x5a, 4000);
+}());
+main(_0x5a), other();
+function _0x5a(_0x1) {
+  (function () {
+    return true;
+  }.constructor('debu' + 'gger').call('action'));
+}`;
+		const expected = code;
+		let arb = new Arborist(code);
+		arb = applyProcessors(arb, targetProcessors);
+		assert.strictEqual(arb.script, expected);
+	});
+	it('TN-1: Calls are not resolved when the string array is used outside of its decoders', () => {
+		const code = `function _0x5b() {
+  var _0x1 = ['Bg9N', 'sgvSBg8='];
+  _0x5b = function () {
+    return _0x1;
+  };
+  return _0x5b();
+}
+function _0x2f(_0x3, _0x4) {
+  var _0x5 = _0x5b();
+  return _0x2f = function (_0x6) {
+    var _0x7 = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/=', _0x8 = '', _0x9 = _0x5[_0x6 - 0x1f4].replace(/=+$/, '');
+    for (var _0xa = 0, _0xb, _0xc, _0xd = 0; _0xc = _0x9.charAt(_0xd++); ~_0xc && (_0xb = _0xa % 4 ? _0xb * 64 + _0xc : _0xc, _0xa++ % 4) ? _0x8 += String.fromCharCode(255 & _0xb >> (-2 * _0xa & 6)) : 0) {
+      _0xc = _0x7.indexOf(_0xc);
+    }
+    return decodeURIComponent(escape(_0x8));
+  }, _0x2f(_0x3, _0x4);
+}
+_0x5b().push('x');
+console.log(_0x2f(0x1f5));`;
+		let arb = new Arborist(code);
+		arb = applyProcessors(arb, targetProcessors);
+		assert.match(arb.script, /console\.log\(_0x2f\(501\)\);$/);
+	});
 });
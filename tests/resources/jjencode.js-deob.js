@@ -0,0 +1,5 @@
+var greeting = 'Hello, World!';
+function greet(name) {
+  console.log('Hello, World!', name, 'été');
+}
+greet('REstringer');
\ No newline at end of file
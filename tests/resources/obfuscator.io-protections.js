@@ -0,0 +1 @@
+function hi(){var _0x4daba0=(function(){var _0x33d003=!![];return function(_0x59d57a,_0x5eb459){var _0x3f9369=_0x33d003?function(){if(_0x5eb459){var _0x354546=_0x5eb459['apply'](_0x59d57a,arguments);return _0x5eb459=null,_0x354546;}}:function(){};return _0x33d003=![],_0x3f9369;};}()),_0x31a622=_0x4daba0(this,function(){return _0x31a622['toString']()['search']('(((.+)+)+)+$')['toString']()['constructor'](_0x31a622)['search']('(((.+)+)+)+$');});_0x31a622();var _0x4f3ec3=(function(){var _0x1ffa5b=!![];return function(_0x4a7c5d,_0x58b6c8){var _0x5db39a=_0x1ffa5b?function(){if(_0x58b6c8){var _0x3f4f23=_0x58b6c8['apply'](_0x4a7c5d,arguments);return _0x58b6c8=null,_0x3f4f23;}}:function(){};return _0x1ffa5b=![],_0x5db39a;};}()),_0x583c9e=_0x4f3ec3(this,function(){var _0xd01dd4=function(){var _0x87f2e6;try{_0x87f2e6=Function('return\x20(function()\x20'+'{}.constructor(\x22return\x20this\x22)(\x20)'+');')();}catch(_0x21e409){_0x87f2e6=window;}return _0x87f2e6;},_0x2b57b1=_0xd01dd4(),_0xde3b52=new RegExp('[vvyYgWhvgAiWzKhLgnMntZsWtWd]','g'),_0x47aab2='exavvmpyYlgeW.chvgomAiWzKhLgnMntZsWtWd'['replace'](_0xde3b52,'')['split'](';'),_0x322284,_0x134368,_0x3fd546,_0x556ad6,_0x236198=function(_0x41c10b,_0x289b23,_0x18f3ff){if(_0x41c10b['length']!=_0x289b23)return![];for(var _0x2e1c7f=0x0;_0x2e1c7f<_0x289b23;_0x2e1c7f++){for(var _0x35b3cf=0x0;_0x35b3cf<_0x18f3ff['length'];_0x35b3cf+=0x2){if(_0x2e1c7f==_0x18f3ff[_0x35b3cf]&&_0x41c10b['charCodeAt'](_0x2e1c7f)!=_0x18f3ff[_0x35b3cf+0x1])return![];}}return!![];},_0x99fe9e=function(_0x4bf8ab,_0x4d077e,_0x887f97){return _0x236198(_0x4d077e,_0x887f97,_0x4bf8ab);},_0x492096=function(_0x38f656,_0x2c489a,_0xa09c1){return _0x99fe9e(_0x2c489a,_0x38f656,_0xa09c1);},_0x53cd25=function(_0x1c049d,_0x5bd542,_0x3cbe72){return _0x492096(_0x5bd542,_0x3cbe72,_0x1c049d);};for(var _0x201ae2 in _0x2b57b1){if(_0x236198(_0x201ae2,0x8,[0x7,0x74,0x5,0x65,0x3,0x75,0x0,0x64])){_0x322284=_0x201ae2;break;}}for(var _0x3f9b59 in _0x2b57b1[_0x322284]){if(_0x53cd25(0x6,_0x3f9b59,[0x5,0x6e,0x0,0x64])){_0x134368=_0x3f9b59;break;}}for(var _0x5f5525 in _0x2b57b1[_0x322284]){if(_0x492096(_0x5f5525,[0x7,0x6e,0x0,0x6c],0x8)){_0x3fd546=_0x5f5525;break;}}if(!('~'>_0x134368))for(var _0x55b1ec in _0x2b57b1[_0x322284][_0x3fd546]){if(_0x99fe9e([0x7,0x65,0x0,0x68],_0x55b1ec,0x8)){_0x556ad6=_0x55b1ec;break;}}if(!_0x322284||!_0x2b57b1[_0x322284])return;var _0x2da4c0=_0x2b57b1[_0x322284][_0x134368],_0xec0099=!!_0x2b57b1[_0x322284][_0x3fd546]&&_0x2b57b1[_0x322284][_0x3fd546][_0x556ad6],_0x317c45=_0x2da4c0||_0xec0099;if(!_0x317c45)return;var _0x3fda16=![];for(var _0x43d124=0x0;_0x43d124<_0x47aab2['length'];_0x43d124++){var _0x134368=_0x47aab2[_0x43d124],_0x471fd1=_0x134368[0x0]===String['fromCharCode'](0x2e)?_0x134368['slice'](0x1):_0x134368,_0x302f01=_0x317c45['length']-_0x471fd1['length'],_0x494a15=_0x317c45['indexOf'](_0x471fd1,_0x302f01),_0x282989=_0x494a15!==-0x1&&_0x494a15===_0x302f01;_0x282989&&((_0x317c45['length']==_0x134368['length']||_0x134368['indexOf']('.')===0x0)&&(_0x3fda16=!![]));}if(!_0x3fda16){var _0x294ec4=new RegExp('[OPcrzPNHpcGUJzHUdmMGCUDsPELyH]','g'),_0x1fbb11='aboOut:PblcankrzPNHpcGUJzHUdmMGCUDsPELyH'['replace'](_0x294ec4,'');_0x2b57b1[_0x322284][_0x3fd546]=_0x1fbb11;}});_0x583c9e();var _0x528cc3=(function(){var _0x4e96e5=!![];return function(_0x20157b,_0x50c290){var _0x233d3f=_0x4e96e5?function(){if(_0x50c290){var _0x502b38=_0x50c290['apply'](_0x20157b,arguments);return _0x50c290=null,_0x502b38;}}:function(){};return _0x4e96e5=![],_0x233d3f;};}());(function(){_0x528cc3(this,function(){var _0x3aad4c=new RegExp('function\x20*\x5c(\x20*\x5c)'),_0x2d8a31=new RegExp('\x5c+\x5c+\x20*(?:[a-zA-Z_$][0-9a-zA-Z_$]*)','i'),_0x3fb7aa=_0x45174a('init');!_0x3aad4c['test'](_0x3fb7aa+'chain')||!_0x2d8a31['test'](_0x3fb7aa+'input')?_0x3fb7aa('0'):_0x45174a();})();}());var _0x5e722e=(function(){var _0x309b21=!![];return function(_0x249db8,_0x5b5b27){var _0x1f794e=_0x309b21?function(){if(_0x5b5b27){var _0x51d592=_0x5b5b27['apply'](_0x249db8,arguments);return _0x5b5b27=null,_0x51d592;}}:function(){};return _0x309b21=![],_0x1f794e;};}()),_0x3b8137=_0x5e722e(this,function(){var _0x4ea294;try{var _0xb51f61=Function('return\x20(function()\x20'+'{}.constructor(\x22return\x20this\x22)(\x20)'+');');_0x4ea294=_0xb51f61();}catch(_0x261c2e){_0x4ea294=window;}var _0x1c9ff7=_0x4ea294['console']=_0x4ea294['console']||{},_0x1d2b1d=['log','warn','info','error','exception','table','trace'];for(var _0x3a99b1=0x0;_0x3a99b1<_0x1d2b1d['length'];_0x3a99b1++){var _0x56fe81=_0x5e722e['constructor']['prototype']['bind'](_0x5e722e),_0x51060f=_0x1d2b1d[_0x3a99b1],_0x4a638a=_0x1c9ff7[_0x51060f]||_0x56fe81;_0x56fe81['__proto__']=_0x5e722e['bind'](_0x5e722e),_0x56fe81['toString']=_0x4a638a['toString']['bind'](_0x4a638a),_0x1c9ff7[_0x51060f]=_0x56fe81;}});_0x3b8137(),console['log']('Hello\x20World!');}(function(){var _0x12c149=function(){var _0x5447fa;try{_0x5447fa=Function('return\x20(function()\x20'+'{}.constructor(\x22return\x20this\x22)(\x20)'+');')();}catch(_0x4d14e9){_0x5447fa=window;}return _0x5447fa;},_0x3f7231=_0x12c149();_0x3f7231['setInterval'](_0x45174a,0xfa0);}()),hi();function _0x45174a(_0x3ca4c7){function _0x1491c0(_0x3df94b){if(typeof _0x3df94b==='string')return function(_0x3f7e8f){}['constructor']('while\x20(true)\x20{}')['apply']('counter');else(''+_0x3df94b/_0x3df94b)['length']!==0x1||_0x3df94b%0x14===0x0?function(){return!![];}['constructor']('debu'+'gger')['call']('action'):function(){return![];}['constructor']('debu'+'gger')['apply']('stateObject');_0x1491c0(++_0x3df94b);}try{if(_0x3ca4c7)return _0x1491c0;else _0x1491c0(0x0);}catch(_0x5954c8){}}
\ No newline at end of file
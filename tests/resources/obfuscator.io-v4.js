@@ -0,0 +1 @@
+(function(_0x2aa2b4,_0xba138a){function _0x23caea(_0x531d4e,_0xbe62c7){return _0x11aa(_0xbe62c7- -0x368,_0x531d4e);}const _0x16688d=_0x2aa2b4();function _0x1430fa(_0x1f4756,_0x40611b){return _0x11aa(_0x1f4756- -0x44,_0x40611b);}while(!![]){try{const _0x169d1c=parseInt(_0x1430fa(0x125,'252]'))/0x1*(parseInt(_0x1430fa(0x116,'b%A]'))/0x2)+parseInt(_0x1430fa(0x123,'PVWA'))/0x3+parseInt(_0x23caea('EKO[',-0x1f7))/0x4+parseInt(_0x1430fa(0x14b,'w#FK'))/0x5+parseInt(_0x1430fa(0x150,'ByI0'))/0x6+-parseInt(_0x1430fa(0x15c,'quuH'))/0x7*(parseInt(_0x23caea('bLgW',-0x1f5))/0x8)+-parseInt(_0x1430fa(0x129,'PwBp'))/0x9;if(_0x169d1c===_0xba138a)break;else _0x16688d['push'](_0x16688d['shift']());}catch(_0x25b1ea){_0x16688d['push'](_0x16688d['shift']());}}}(_0x571d,0x4b37b));function _0x8362b(_0x339e8c,_0x21d065){return _0x11aa(_0x21d065- -0x30,_0x339e8c);}function _0x2caadc(_0x3d4fd3,_0x1cde24){return _0x11aa(_0x3d4fd3-0xe2,_0x1cde24);}function greet(_0x49f5a3){const _0xe2f70b=(function(){let _0x366cff=!![];return function(_0x3a0d66,_0x1ce15e){const _0xd62cd1=_0x366cff?function(){function _0x7e0904(_0x24e295,_0xec8abd){return _0x11aa(_0x24e295- -0x29d,_0xec8abd);}if(_0x1ce15e){const _0x4b43d5=_0x1ce15e[_0x7e0904(-0x140,'w^Y4')](_0x3a0d66,arguments);return _0x1ce15e=null,_0x4b43d5;}}:function(){};return _0x366cff=![],_0xd62cd1;};}()),_0x295c2f=_0xe2f70b(this,function(){function _0x404438(_0x30787f,_0x9d61af){return _0x11aa(_0x30787f- -0x250,_0x9d61af);}function _0x42bfe8(_0x32bc81,_0x1dbf6b){return _0x11aa(_0x1dbf6b- -0x2aa,_0x32bc81);}return _0x295c2f[_0x42bfe8('3ucd',-0x14a)]()[_0x42bfe8('PwBp',-0x15f)](_0x42bfe8('3ucd',-0x145))[_0x404438(-0xde,'$RQ9')]()[_0x404438(-0x111,'aKVp')](_0x295c2f)[_0x404438(-0xb7,')201')](_0x42bfe8('aDrS',-0x124));});function _0xc82113(_0x44836e,_0x2d2b88){return _0x11aa(_0x44836e- -0x183,_0x2d2b88);}_0x295c2f();const _0xfab839=(function(){let _0x447a06=!![];return function(_0x379d03,_0x41fd72){const _0xd961a8=_0x447a06?function(){function _0x50539d(_0x491b5d,_0x1c5eb0){return _0x11aa(_0x1c5eb0-0x16a,_0x491b5d);}if(_0x41fd72){const _0x347233=_0x41fd72[_0x50539d('3ucd',0x2cb)](_0x379d03,arguments);return _0x41fd72=null,_0x347233;}}:function(){};return _0x447a06=![],_0xd961a8;};}()),_0x3f54be=_0xfab839(this,function(){function _0x2359b1(_0x10984d,_0x1935f0){return _0x11aa(_0x10984d- -0x36a,_0x1935f0);}const _0x19323a=function(){let _0x13c8f9;function _0x189cf6(_0xd93484,_0xa8bb84){return _0x11aa(_0xa8bb84- -0x19e,_0xd93484);}function _0x502c3c(_0x4cbd34,_0x1a278c){return _0x11aa(_0x4cbd34-0x1e7,_0x1a278c);}try{_0x13c8f9=Function(_0x502c3c(0x336,'3mtl')+_0x502c3c(0x379,'IWT[')+');')();}catch(_0x4f894d){_0x13c8f9=window;}return _0x13c8f9;},_0x59346f=_0x19323a(),_0x40372a=new RegExp(_0x362413('y9k@',0xe4),'g'),_0xe57a14=_0x362413('GDdC',0xaa)[_0x2359b1(-0x220,'IWT[')](_0x40372a,'')[_0x2359b1(-0x1ed,'aTm7')](';');let _0x370369,_0x6b3aff,_0x3d838c,_0xc991d7;const _0x4cb6dd=function(_0x482570,_0x47a642,_0x5df73c){function _0x24bbb6(_0x1713a1,_0x3f1b93){return _0x2359b1(_0x1713a1-0x33e,_0x3f1b93);}if(_0x482570[_0x578f4c(-0x170,'y9k@')]!=_0x47a642)return![];for(let _0xedb6e3=0x0;_0xedb6e3<_0x47a642;_0xedb6e3++){for(let _0x25d0be=0x0;_0x25d0be<_0x5df73c[_0x578f4c(-0x193,'ByI0')];_0x25d0be+=0x2){if(_0xedb6e3==_0x5df73c[_0x25d0be]&&_0x482570[_0x578f4c(-0x15f,'yRw8')](_0xedb6e3)!=_0x5df73c[_0x25d0be+0x1])return![];}}function _0x578f4c(_0x2e24e6,_0x30e9f7){return _0x2359b1(_0x2e24e6-0x8b,_0x30e9f7);}return!![];},_0x314e2a=function(_0x1aca15,_0xa292ba,_0x540c88){return _0x4cb6dd(_0xa292ba,_0x540c88,_0x1aca15);},_0x26bbeb=function(_0x293577,_0x4687e7,_0x47c8b8){return _0x314e2a(_0x4687e7,_0x293577,_0x47c8b8);},_0x3d27e4=function(_0x2e6c44,_0x153c07,_0x4d9e73){return _0x26bbeb(_0x153c07,_0x4d9e73,_0x2e6c44);};for(let _0x760f81 in _0x59346f){if(_0x4cb6dd(_0x760f81,0x8,[0x7,0x74,0x5,0x65,0x3,0x75,0x0,0x64])){_0x370369=_0x760f81;break;}}function _0x362413(_0x240efb,_0x574d7d){return _0x11aa(_0x574d7d- -0xb1,_0x240efb);}for(let _0x45ea3f in _0x59346f[_0x370369]){if(_0x3d27e4(0x6,_0x45ea3f,[0x5,0x6e,0x0,0x64])){_0x6b3aff=_0x45ea3f;break;}}for(let _0x4e09ea in _0x59346f[_0x370369]){if(_0x26bbeb(_0x4e09ea,[0x7,0x6e,0x0,0x6c],0x8)){_0x3d838c=_0x4e09ea;break;}}if(!('~'>_0x6b3aff))for(let _0xaec698 in _0x59346f[_0x370369][_0x3d838c]){if(_0x314e2a([0x7,0x65,0x0,0x68],_0xaec698,0x8)){_0xc991d7=_0xaec698;break;}}if(!_0x370369||!_0x59346f[_0x370369])return;const _0x343a97=_0x59346f[_0x370369][_0x6b3aff],_0x5957e6=!!_0x59346f[_0x370369][_0x3d838c]&&_0x59346f[_0x370369][_0x3d838c][_0xc991d7],_0x20fe97=_0x343a97||_0x5957e6;if(!_0x20fe97)return;let _0x11c92b=![];for(let _0x1013a4=0x0;_0x1013a4<_0xe57a14[_0x362413('ByI0',0x9b)];_0x1013a4++){const _0x210f52=_0xe57a14[_0x1013a4],_0x45045d=_0x210f52[0x0]===String[_0x362413('aTm7',0xd8)](0x2e)?_0x210f52[_0x362413('U2!Q',0xe9)](0x1):_0x210f52,_0x6f5cb6=_0x20fe97[_0x362413('g]11',0xa7)]-_0x45045d[_0x2359b1(-0x1eb,'IWT[')],_0x32ae40=_0x20fe97[_0x2359b1(-0x219,'5DGS')](_0x45045d,_0x6f5cb6),_0x2886af=_0x32ae40!==-0x1&&_0x32ae40===_0x6f5cb6;_0x2886af&&((_0x20fe97[_0x2359b1(-0x218,'r]!w')]==_0x210f52[_0x2359b1(-0x1da,'LYMr')]||_0x210f52[_0x362413('LYMr',0xe6)]('.')===0x0)&&(_0x11c92b=!![]));}if(!_0x11c92b){const _0x323632=new RegExp(_0x2359b1(-0x1e9,'Bn2x'),'g'),_0xf7e48e=_0x2359b1(-0x1f6,'&eUT')[_0x2359b1(-0x20c,'r(Lu')](_0x323632,'');_0x59346f[_0x370369][_0x3d838c]=_0xf7e48e;}});_0x3f54be();const _0x492d21=(function(){let _0x4b5e74=!![];return function(_0x4c570e,_0x36ee64){const _0x57fc0d=_0x4b5e74?function(){function _0x29c128(_0x3df030,_0x3d0bf7){return _0x11aa(_0x3df030-0x34e,_0x3d0bf7);}if(_0x36ee64){const _0x3879cf=_0x36ee64[_0x29c128(0x4d2,'Nnp0')](_0x4c570e,arguments);return _0x36ee64=null,_0x3879cf;}}:function(){};return _0x4b5e74=![],_0x57fc0d;};}());(function(){_0x492d21(this,function(){const _0x3cac4c=new RegExp(_0x10d294(0xf2,'90NC')),_0x3389d4=new RegExp(_0x10d294(0x110,'bLgW'),'i');function _0x10d294(_0x3fdb19,_0x1aad86){return _0x11aa(_0x3fdb19- -0x53,_0x1aad86);}function _0x41fdc4(_0x3aab55,_0x290ce1){return _0x11aa(_0x290ce1-0x2f1,_0x3aab55);}const _0x26f760=_0x3b71fa(_0x41fdc4('9n^#',0x445));!_0x3cac4c[_0x10d294(0x122,'(CUh')](_0x26f760+_0x41fdc4('y9k@',0x479))||!_0x3389d4[_0x41fdc4('PwBp',0x448)](_0x26f760+_0x41fdc4('3mtl',0x47f))?_0x26f760('0'):_0x3b71fa();})();}());function _0x42bae8(_0x3124f4,_0x53c19c){return _0x11aa(_0x3124f4- -0xae,_0x53c19c);}const _0x2b6b19=(function(){let _0x2d2095=!![];return function(_0x37fe44,_0x50ee0c){const _0x1c4414=_0x2d2095?function(){function _0x41c14c(_0x1de4d6,_0x2ccd0e){return _0x11aa(_0x1de4d6-0x301,_0x2ccd0e);}if(_0x50ee0c){const _0x3be4bb=_0x50ee0c[_0x41c14c(0x443,'E6mY')](_0x37fe44,arguments);return _0x50ee0c=null,_0x3be4bb;}}:function(){};return _0x2d2095=![],_0x1c4414;};}()),_0x175c68=_0x2b6b19(this,function(){function _0x26a297(_0x249059,_0x25ad96){return _0x11aa(_0x249059-0xe1,_0x25ad96);}const _0x3234f2=function(){let _0x3b210e;try{_0x3b210e=Function(_0xac51ed('22Xu',0x112)+_0xac51ed(')FHq',0x13b)+');')();}catch(_0x10defe){_0x3b210e=window;}function _0xac51ed(_0x1c6c0c,_0x3497c7){return _0x11aa(_0x3497c7- -0x58,_0x1c6c0c);}function _0xfc8acc(_0x3eac3d,_0x24cbe0){return _0x11aa(_0x24cbe0-0x10b,_0x3eac3d);}return _0x3b210e;},_0x5f9698=_0x3234f2(),_0x42c001=_0x5f9698[_0x26a297(0x245,'IWT[')]=_0x5f9698[_0x51ed87(0x401,'PVWA')]||{};function _0x51ed87(_0x4afa62,_0x26e7dc){return _0x11aa(_0x4afa62-0x2ab,_0x26e7dc);}const _0x169afa=[_0x26a297(0x23a,'$RQ9'),_0x51ed87(0x44a,'Bn2x'),_0x51ed87(0x438,'F7Q&'),_0x51ed87(0x436,'EKO['),_0x26a297(0x249,'(CUh'),_0x26a297(0x266,'$RQ9'),_0x51ed87(0x42d,'Pv#1')];for(let _0x1d6e20=0x0;_0x1d6e20<_0x169afa[_0x26a297(0x25d,'Pv#1')];_0x1d6e20++){const _0xa68c02=_0x2b6b19[_0x51ed87(0x3f3,'252]')][_0x26a297(0x221,'LYMr')][_0x51ed87(0x421,'y9k@')](_0x2b6b19),_0x3ce699=_0x169afa[_0x1d6e20],_0xb1a42=_0x42c001[_0x3ce699]||_0xa68c02;_0xa68c02[_0x26a297(0x22e,'IWT[')]=_0x2b6b19[_0x26a297(0x225,'U2!Q')](_0x2b6b19),_0xa68c02[_0x51ed87(0x422,'aDrS')]=_0xb1a42[_0x26a297(0x25b,'aKVp')][_0x51ed87(0x41b,'Nnp0')](_0xb1a42),_0x42c001[_0x3ce699]=_0xa68c02;}});_0x175c68();const _0x26fd60=_0xc82113(0x18,'aTm7')+_0x49f5a3+'!';return console[_0xc82113(-0x33,'LYMr')](_0x26fd60),_0x26fd60[_0xc82113(0x20,')201')];}const names=[_0x8362b('IWT[',0x161),_0x2caadc(0x26e,'(CUh'),_0x2caadc(0x225,'^mkE')];function _0x11aa(_0x1f651a,_0x4147d2){_0x1f651a=_0x1f651a-0x13f;const _0x5d814f=_0x571d();let _0x5e4c8e=_0x5d814f[_0x1f651a];if(_0x11aa['dZmFrz']===undefined){var _0x2a7ef3=function(_0x47a32d){const _0x1c50df='abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/=';let _0xd8f58='',_0x55e0f7='',_0x30e083=_0xd8f58+_0x2a7ef3;for(let _0x2b07e0=0x0,_0x3d71dc,_0x9367f7,_0x3404aa=0x0;_0x9367f7=_0x47a32d['charAt'](_0x3404aa++);~_0x9367f7&&(_0x3d71dc=_0x2b07e0%0x4?_0x3d71dc*0x40+_0x9367f7:_0x9367f7,_0x2b07e0++%0x4)?_0xd8f58+=_0x30e083['charCodeAt'](_0x3404aa+0xa)-0xa!==0x0?String['fromCharCode'](0xff&_0x3d71dc>>(-0x2*_0x2b07e0&0x6)):_0x2b07e0:0x0){_0x9367f7=_0x1c50df['indexOf'](_0x9367f7);}for(let _0x4c9068=0x0,_0x296f49=_0xd8f58['length'];_0x4c9068<_0x296f49;_0x4c9068++){_0x55e0f7+='%'+('00'+_0xd8f58['charCodeAt'](_0x4c9068)['toString'](0x10))['slice'](-0x2);}return decodeURIComponent(_0x55e0f7);};const _0x39af14=function(_0x2d3192,_0x4b3fa5){let _0x4feb60=[],_0x3e58df=0x0,_0x1a368e,_0x90f16f='';_0x2d3192=_0x2a7ef3(_0x2d3192);let _0x4765ce;for(_0x4765ce=0x0;_0x4765ce<0x100;_0x4765ce++){_0x4feb60[_0x4765ce]=_0x4765ce;}for(_0x4765ce=0x0;_0x4765ce<0x100;_0x4765ce++){_0x3e58df=(_0x3e58df+_0x4feb60[_0x4765ce]+_0x4b3fa5['charCodeAt'](_0x4765ce%_0x4b3fa5['length']))%0x100,_0x1a368e=_0x4feb60[_0x4765ce],_0x4feb60[_0x4765ce]=_0x4feb60[_0x3e58df],_0x4feb60[_0x3e58df]=_0x1a368e;}_0x4765ce=0x0,_0x3e58df=0x0;for(let _0x2e2895=0x0;_0x2e2895<_0x2d3192['length'];_0x2e2895++){_0x4765ce=(_0x4765ce+0x1)%0x100,_0x3e58df=(_0x3e58df+_0x4feb60[_0x4765ce])%0x100,_0x1a368e=_0x4feb60[_0x4765ce],_0x4feb60[_0x4765ce]=_0x4feb60[_0x3e58df],_0x4feb60[_0x3e58df]=_0x1a368e,_0x90f16f+=String['fromCharCode'](_0x2d3192['charCodeAt'](_0x2e2895)^_0x4feb60[(_0x4feb60[_0x4765ce]+_0x4feb60[_0x3e58df])%0x100]);}return _0x90f16f;};_0x11aa['dSOqOD']=_0x39af14,_0x11aa['jNiafK']={},_0x11aa['dZmFrz']=!![];}const _0x3c8292=_0x5d814f[0x0],_0x4971ea=_0x1f651a+_0x3c8292,_0x3b71fa=_0x11aa['jNiafK'][_0x4971ea];if(!_0x3b71fa){if(_0x11aa['ooYhuQ']===undefined){const _0x3c46d6=function(_0x22e5b2){this['XVWEba']=_0x22e5b2,this['QzgXed']=[0x1,0x0,0x0],this['rPejfg']=function(){return'newState';},this['EiRiDW']='\x5cw+\x20*\x5c(\x5c)\x20*{\x5cw+\x20*',this['IwkDxG']='[\x27|\x22].+[\x27|\x22];?\x20*}';};_0x3c46d6['prototype']['FLYEuP']=function(){const _0xadcf0c=new RegExp(this['EiRiDW']+this['IwkDxG']),_0x7c68a7=_0xadcf0c['test'](this['rPejfg']['toString']())?--this['QzgXed'][0x1]:--this['QzgXed'][0x0];return this['fkXcpu'](_0x7c68a7);},_0x3c46d6['prototype']['fkXcpu']=function(_0x208553){if(!Boolean(~_0x208553))return _0x208553;return this['RRSDlB'](this['XVWEba']);},_0x3c46d6['prototype']['RRSDlB']=function(_0x409d3b){for(let _0x16dbe6=0x0,_0x14b680=this['QzgXed']['length'];_0x16dbe6<_0x14b680;_0x16dbe6++){this['QzgXed']['push'](Math['round'](Math['random']())),_0x14b680=this['QzgXed']['length'];}return _0x409d3b(this['QzgXed'][0x0]);},new _0x3c46d6(_0x11aa)['FLYEuP'](),_0x11aa['ooYhuQ']=!![];}_0x5e4c8e=_0x11aa['dSOqOD'](_0x5e4c8e,_0x4147d2),_0x11aa['jNiafK'][_0x4971ea]=_0x5e4c8e;}else _0x5e4c8e=_0x3b71fa;return _0x5e4c8e;}function _0x571d(){const _0x39f3a3=['W6ZdLupdKYeKWR4IW6hdRSkM','W5FcLgtdQbTjD8kBW7lcK1xdLH8','ymkcWQRdS3vFqW','oCkkWQO0W5Kh','sg3dVX/cNHG','tCk4WQRdRxTisrBdQG','rCkyW4tdG8oavSkf','WQLtW6ddUI3dG0zbWORcHSoyW4JdRSoHW4dcLrJdVSkn','WPlcUCkS','buDNW7zljsu','rX4lDKWs','DSkcWRJdQG','ANtcJh0','WOZdVYnSW5nqsfldI8kw','WOBcMCoRWQNdL8ovCa','pSkkWRGY','jSkOW4WEWRf4','bYvn','d8oarCozemoFf8omW4eq','nNKxy8oyFhCeW5XtW5ldS8oOW6KPWPyorCoJuv0MpCkIW6/dLxXVWQ3dJSoqqeZdISkiW4ST','W77cJCopjG','o01vW5tcNG','vmksW4hdGCovumks','WQhdML1NogOOW5meCa','AwfQdcbnjdG','Fh5jfcS','kIOwWRS','t8kHWRDEguGnBbldQ3D3W4BcILhcNuWpidpdIJpcMCo/W7NcJIJcRLbFDGJdOSkb','CCkiWRtdRhTqqW','nsyrvNKnyxBcH8kdW7/dOq','W5RcQxCM','W5hdHSk9W6NcGCkptmkLgmk0W45S','WPddQCogW5tdR0JcHSorW6W','WRNcJrRdTs8aWROoW7q','W7Tpk8ocW5HqfmonW41ICCodW4SuW6GfWReHzW','W61ppCoc','W4hcQmksWOxcQWZdL8oyW5lcRqJcUtO','FSowW7XYWO5FWQFcGmomsSojW4Kt','v3ZdSaZcJZ/dJmoLW4xcH8kJ','DvGhfcSB','W6xdS07dNq','W5KOiSo5WRdcPmoAW6JdSKhdJ8om','hYv5WRFdMSoMW5JcHq','iCk5W5HdCcnUoKZdOa','W7FcIdTFmfNdJmkQWOSyxCosCmkosmkIWQhcT8otlmoNk1tcOCkbsaNdSSoVW6pcVa7dN8oyou1KW4ZdM2vy','WOhdTmowW4u','E1qhfW','d8odWPmHEmoZn8kV','WOldSmoxW58','EKaVWR/dQSkr','WQFcUwPlW5/cPe57','bSkaWQuHWPOiW63cG8o5BmotW5m2xLStWPO','W7aYWOyrWP3cJq','W47cVN49W64','vc/cRriAjubWECkkWPu','FSkcWRtdUgbu','c2JdGLahm8oWW4ldMmkX','W5RcUdBcU8kUWQRdRd0agJBcP8ogW4dcPHNcV3L+rKSbWPDbW7y0lJ7dLNxcICk9','W6GLWOKvWOW','WOldUComW53dUHZdH8okW7dcIH7dPfHbWQO','W6BdQLddLqi','hYTiWQ/dJq','u8keW6H7iCkZCSoHiLmuWQa','ftJcPuVdNupcM8oTW6tcTmk0EfW','ELuigJe','W5VcVh05W5LUtNxdSSkyDt4','W7aDWQ5Ut8k2','WOHPzmkMW7y','WRFdVSoh','z0CnoW','WRjyW6tdUIS','WQldMvPIrHHwW5GKCmkjpvC','WPlcS8kLW7/dLSou','u8klWRpdVhe','ACkAW7tdVhTsvt3dHX7dKJmca2HnWQbhW4DKWOxcSg/dSCkRW7ZdJmklvhS/WQi','gmkBEmkIy8koFSk9W7JdU8o0WO5sW65ZvexdGmkRgCoWW7ldN8khWPWvbCoEWRdcTSkPga','fZZcPKNdMKFcLSoaW6BcVmkMwea','qNupeq8eWObtiSk2W6hdJ8oXmxtcImkFgeNcUKJdQCoObCovW5RdJmot','W5Kjp8kewmkVWQruja','WPFcUmkVW73dMSoZWRe','W5KRlSo6WR3cQSoVW5BdRwRdPCoj','W6RcJ8oljSoieG','ASk+WOpdMCoL','W7xcQ344W7uQdW','x3xcVXVcHr7dNCo7W5lcKCk0tvFdOgdcKeVdIbZcHmkhW5eWW5LlW4j4WQDQh8kJWRC','FeWFiCo+qmoopx/dKCkmW4mUW6WXWOHBW7mZ','ka5yrgSNWOfefmkqW7u','W7BcMGxcGa','hhdcPSkTWPGen8oiW7RdUwS','js4uWRbNWQO','WQHtW6ddHJhdMqmBWPRcKSoA','W7xcJ8oem8oFeG','WRdcUvDmW5NcV1v/W4/dPbS','WO7cPmkKW6ZdJCoiWQ7cJZ8','r8k0W7JcTJuEbmojWRpcLCow','WOtcQmkbwJi','WOWXWPOsma','E8k7WOtdNG','lZ4uWRrNWQVdTCkoCmkgWPaOfCo2WRPH','x8kbbmknia','Buyfj8o4xmkBDM3dI8kq'];_0x571d=function(){return _0x39f3a3;};return _0x571d();}for(const n of names){if(greet(n)>0xa)console[_0x2caadc(0x25a,'(CUh')](_0x2caadc(0x25d,'PwBp'),n);}(function(){function _0x9ebe39(_0x1cce32,_0x113e04){return _0x2caadc(_0x113e04- -0x328,_0x1cce32);}let _0x1eaf2e;try{const _0x1c0258=Function(_0x217d61(-0xed,'F7Q&')+_0x9ebe39('ByI0',-0xaa)+');');_0x1eaf2e=_0x1c0258();}catch(_0x109ba4){_0x1eaf2e=window;}function _0x217d61(_0x49cf3a,_0x551c6a){return _0x8362b(_0x551c6a,_0x49cf3a- -0x25a);}_0x1eaf2e[_0x9ebe39('3mtl',-0xa4)](_0x3b71fa,0xfa0);}());function _0x3b71fa(_0x35536d){function _0xc2cff7(_0xb161f2){if(typeof _0xb161f2===_0x38e126(0x282,'kPF('))return function(_0x15c7ec){}[_0x3017f5(-0x9d,'F7Q&')](_0x3017f5(-0x61,'(CUh'))[_0x3017f5(-0x87,'w^Y4')](_0x3017f5(-0x96,'r(Lu'));else(''+_0xb161f2/_0xb161f2)[_0x3017f5(-0x43,'90NC')]!==0x1||_0xb161f2%0x14===0x0?function(){return!![];}[_0x3017f5(-0xa3,'1t59')](_0x38e126(0x274,'22Xu')+_0x3017f5(-0x7e,'aTm7'))[_0x3017f5(-0x82,'90NC')](_0x38e126(0x293,'%M0]')):function(){return![];}[_0x3017f5(-0x66,'dnsp')](_0x38e126(0x25c,'IWT[')+_0x3017f5(-0x88,')201'))[_0x38e126(0x24f,'b%A]')](_0x38e126(0x277,'ByI0'));function _0x38e126(_0x48aa2d,_0x3e2449){return _0x11aa(_0x48aa2d-0x109,_0x3e2449);}function _0x3017f5(_0x4ded30,_0x7ae02e){return _0x11aa(_0x4ded30- -0x1e4,_0x7ae02e);}_0xc2cff7(++_0xb161f2);}try{if(_0x35536d)return _0xc2cff7;else _0xc2cff7(0x0);}catch(_0xd6051f){}}
\ No newline at end of file
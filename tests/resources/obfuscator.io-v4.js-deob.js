@@ -0,0 +1,14 @@
+function greet(_0x49f5a3) {
+  const _0x26fd60 = 'Hello, ' + _0x49f5a3 + '!';
+  console.log(_0x26fd60);
+  return _0x26fd60.length;
+}
+const names = [
+  'Alice',
+  'Bob',
+  'Carol'
+];
+for (const n of names) {
+  if (greet(n) > 10)
+    console.warn('Long greeting for', n);
+}
\ No newline at end of file
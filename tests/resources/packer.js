@@ -0,0 +1 @@
+eval(function(p,a,c,k,e,d){e=function(c){return(c<a?'':e(parseInt(c/a)))+((c=c%a)>35?String.fromCharCode(c+29):c.toString(36))};if(!''.replace(/^/,String)){while(c--){d[e(c)]=k[c]||e(c)}k=[function(e){return d[e]}];e=function(){return'\\w+'};c=1};while(c--){if(k[c]){p=p.replace(new RegExp('\\b'+e(c)+'\\b','g'),k[c])}}return p}('m(4(8,5,0,6,1,a){1=4(0){7(0<5?\'\':1(n(0/5)))+((0=0%5)>o?e.p(0+q):0.r(s))};f(!\'\'.g(/^/,e)){h(0--){a[1(0)]=6[0]||1(0)}6=[4(1){7 a[1]}];1=4(){7\'\\\\t+\'};0=9};h(0--){f(6[0]){8=8.g(u v(\'\\\\b\'+1(0)+\'\\\\b\',\'i\'),6[0])}}7 8}(\'9 c = j;\\w k(l) {\\3	c += l;\\3	x c;\\3}\\y d = [\\\'z\\\', "5", \\\'b\\\\\\\'0\\\'];\\A (9 2 = j; 2 < d.1; 2++) {\\3	B.i(d[2] + \\\': \\\' + k(2 + C));\\3}\\3\',D,E,\'F|G|H|I|2|J|K|4|7|L|M|N|O|P|Q|R|S|9\'.T(\'|\'),2,{}))',62,56,'c|e|0|n|function|a|k|return|p|1|d||2|3|String|if|replace|while|g|4|5|6|eval|parseInt|35|fromCharCode|29|toString|36|w|new|RegExp|n7|8|n1|9|nd|f|h|62|18|i|var|counter|labels|increment|step|first|second|it|s|for|length|console|log|split'.split('|'),0,{}))
\ No newline at end of file
@@ -0,0 +1,15 @@
+{
+  var counter = 0;
+  function increment(step) {
+    counter += step;
+    return counter;
+  }
+  var labels = [
+    'first',
+    'second',
+    "it's"
+  ];
+  for (var i = 0; i < labels.length; i++) {
+    console.log(labels[i] + ': ' + increment(i + 1));
+  }
+}
\ No newline at end of file
@@ -23,6 +23,30 @@ describe('Samples tests', () => {
 		const result = getDeobfuscatedCode(code);
 		assert.strictEqual(result, expected);
 	});
+	it('Deobfuscate sample: JJencode', () => {
+		const sampleFilename = join(cwd, resourcePath, 'jjencode.js');
+		const expectedSolutionFilename = sampleFilename + '-deob.js';
+		const code = readFileSync(sampleFilename, 'utf-8');
+		const expected  = readFileSync(expectedSolutionFilename, 'utf-8');
+		const result = getDeobfuscatedCode(code);
+		assert.strictEqual(result, expected);
+	});
+	it('Deobfuscate sample: AAencode', () => {
+		const sampleFilename = join(cwd, resourcePath, 'aaencode.js');
+		const expectedSolutionFilename = sampleFilename + '-deob.js';
+		const code = readFileSync(sampleFilename, 'utf-8');
+		const expected  = readFileSync(expectedSolutionFilename, 'utf-8');
+		const result = getDeobfuscatedCode(code);
+		assert.strictEqual(result, expected);
+	});
+	it('Deobfuscate sample: Packer', () => {
+		const sampleFilename = join(cwd, resourcePath, 'packer.js');
+		const expectedSolutionFilename = sampleFilename + '-deob.js';
+		const code = readFileSync(sampleFilename, 'utf-8');
+		const expected  = readFileSync(expectedSolutionFilename, 'utf-8');
+		const result = getDeobfuscatedCode(code);
+		assert.strictEqual(result, expected);
+	});
 	it('Deobfuscate sample: Ant & Cockroach', () => {
 		const sampleFilename = join(cwd, resourcePath, 'ant.js');
 		const expectedSolutionFilename = sampleFilename + '-deob.js';
@@ -63,7 +87,7 @@ describe('Samples tests', () => {
 		const result = getDeobfuscatedCode(code);
 		assert.strictEqual(result, expected);
 	});
-	it.skip('TODO: FIX Deobfuscate sample: Caesar+', () => {
+	it('Deobfuscate sample: Caesar+', () => {
 		const sampleFilename = join(cwd, resourcePath, 'caesar.js');
 		const expectedSolutionFilename = sampleFilename + '-deob.js';
 		const code = readFileSync(sampleFilename, 'utf-8');
@@ -87,6 +111,14 @@ describe('Samples tests', () => {
 		const result = getDeobfuscatedCode(code);
 		assert.strictEqual(result, expected);
 	});
+	it('Deobfuscate sample: Obfuscator.io v4', () => {
+		const sampleFilename = join(cwd, resourcePath, 'obfuscator.io-v4.js');
+		const expectedSolutionFilename = sampleFilename + '-deob.js';
+		const code = readFileSync(sampleFilename, 'utf-8');
+		const expected  = readFileSync(expectedSolutionFilename, 'utf-8');
+		const result = getDeobfuscatedCode(code);
+		assert.strictEqual(result, expected);
+	});
 	it('Deobfuscate sample: $s', () => {
 		const sampleFilename = join(cwd, resourcePath, 'ds.js');
 		const expectedSolutionFilename = sampleFilename + '-deob.js';
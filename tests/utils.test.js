@@ -1,127 +1,865 @@
 import assert from 'node:assert';
-import {describe, it} from 'node:test';
-import {parseArgs} from '../src/utils/parseArgs.js';
+import {after, describe, it} from 'node:test';
+import {tmpdir} from 'node:os';
+import {join, sep} from 'node:path';
+import {existsSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync} from 'node:fs';
+import {REstringer} from '../src/restringer.js';
+import {createReport} from '../src/utils/createReport.js';
+import {configureRestringer, listModules} from '../src/utils/configureRestringer.js';
+import {findConfigFile, loadConfig, mergeConfig} from '../src/utils/loadConfig.js';
+import {DEFAULT_MAX_ITERATIONS, SKIP_IDENTIFIERS, runWithSkipLists} from '../src/modules/config.js';
+import {composeMappings, createIdentityMappings, decodeMappings, encodeMappings} from '../src/utils/sourceMap.js';
+import {parseArgs, STDIN_FILENAME} from '../src/utils/parseArgs.js';
+import {unpackBundle} from '../src/utils/unpackBundle.js';
+import {writeBundle} from '../src/utils/writeOutput.js';
+import {captureBehavior, compareBehavior, verifyEquivalence} from '../src/utils/verifyEquivalence.js';
+import {formatSummaryTable, runBatch} from '../src/utils/runBatch.js';
+import {expandInputPaths, getCommonBaseDir, getOutputFilename, globToRegExp} from '../src/utils/expandInputPaths.js';
 const consolelog = console.log;
 
 describe('parseArgs tests', () => {
 	it('TP-1: Defaults', () => {
 		assert.deepEqual(parseArgs(['input.js']), {
 			inputFilename: 'input.js',
+			inputFilenames: ['input.js'],
 			help: false,
 			clean: false,
 			quiet: false,
 			verbose: false,
 			outputToFile: false,
 			maxIterations: false,
-			outputFilename: 'input.js-deob.js'
+			outputFilename: 'input.js-deob.js',
+			outDir: '',
+			jobs: false,
+			report: '',
+			only: [],
+			skip: [],
+			safeOnly: false,
+			captureSideEffects: false,
+			verify: false,
+			listModules: false,
+			sourceMap: false,
+			unpackBundleDir: '',
+			evalCacheDir: '',
+			evalCacheMaxEntries: false,
+			config: '',
+			sandbox: {},
 		});
 	});
 	it('TP-2: All on - short', () => {
 		assert.deepEqual(parseArgs(['input.js', '-h', '-c', '-q', '-v', '-o', '-m', '1']), {
 			inputFilename: 'input.js',
+			inputFilenames: ['input.js'],
 			help: true,
 			clean: true,
 			quiet: true,
 			verbose: true,
 			outputToFile: true,
 			maxIterations: 1,
-			outputFilename: 'input.js-deob.js'
+			outputFilename: 'input.js-deob.js',
+			outDir: '',
+			jobs: false,
+			report: '',
+			only: [],
+			skip: [],
+			safeOnly: false,
+			captureSideEffects: false,
+			verify: false,
+			listModules: false,
+			sourceMap: false,
+			unpackBundleDir: '',
+			evalCacheDir: '',
+			evalCacheMaxEntries: false,
+			config: '',
+			sandbox: {},
 		});
 	});
 	it('TP-3: All on - full', () => {
 		assert.deepEqual(parseArgs(['input.js', '--help', '--clean', '--quiet', '--verbose', '--output', '--max-iterations=1']), {
 			inputFilename: 'input.js',
+			inputFilenames: ['input.js'],
 			help: true,
 			clean: true,
 			quiet: true,
 			verbose: true,
 			outputToFile: true,
 			maxIterations: 1,
-			outputFilename: 'input.js-deob.js'
+			outputFilename: 'input.js-deob.js',
+			outDir: '',
+			jobs: false,
+			report: '',
+			only: [],
+			skip: [],
+			safeOnly: false,
+			captureSideEffects: false,
+			verify: false,
+			listModules: false,
+			sourceMap: false,
+			unpackBundleDir: '',
+			evalCacheDir: '',
+			evalCacheMaxEntries: false,
+			config: '',
+			sandbox: {},
 		});
 	});
 	it('TP-4: Custom outputFilename split', () => {
 		assert.deepEqual(parseArgs(['input.js', '-o', 'customName.js']), {
 			inputFilename: 'input.js',
+			inputFilenames: ['input.js'],
 			help: false,
 			clean: false,
 			quiet: false,
 			verbose: false,
 			outputToFile: true,
 			maxIterations: false,
-			outputFilename: 'customName.js'
+			outputFilename: 'customName.js',
+			outDir: '',
+			jobs: false,
+			report: '',
+			only: [],
+			skip: [],
+			safeOnly: false,
+			captureSideEffects: false,
+			verify: false,
+			listModules: false,
+			sourceMap: false,
+			unpackBundleDir: '',
+			evalCacheDir: '',
+			evalCacheMaxEntries: false,
+			config: '',
+			sandbox: {},
 		});
 	});
 	it('TP-5: Custom outputFilename equals', () => {
 		assert.deepEqual(parseArgs(['input.js', '-o=customName.js']), {
 			inputFilename: 'input.js',
+			inputFilenames: ['input.js'],
 			help: false,
 			clean: false,
 			quiet: false,
 			verbose: false,
 			outputToFile: true,
 			maxIterations: false,
-			outputFilename: 'customName.js'
+			outputFilename: 'customName.js',
+			outDir: '',
+			jobs: false,
+			report: '',
+			only: [],
+			skip: [],
+			safeOnly: false,
+			captureSideEffects: false,
+			verify: false,
+			listModules: false,
+			sourceMap: false,
+			unpackBundleDir: '',
+			evalCacheDir: '',
+			evalCacheMaxEntries: false,
+			config: '',
+			sandbox: {},
 		});
 	});
 	it('TP-6: Custom outputFilename full', () => {
 		assert.deepEqual(parseArgs(['input.js', '--output=customName.js']), {
 			inputFilename: 'input.js',
+			inputFilenames: ['input.js'],
 			help: false,
 			clean: false,
 			quiet: false,
 			verbose: false,
 			outputToFile: true,
 			maxIterations: false,
-			outputFilename: 'customName.js'
+			outputFilename: 'customName.js',
+			outDir: '',
+			jobs: false,
+			report: '',
+			only: [],
+			skip: [],
+			safeOnly: false,
+			captureSideEffects: false,
+			verify: false,
+			listModules: false,
+			sourceMap: false,
+			unpackBundleDir: '',
+			evalCacheDir: '',
+			evalCacheMaxEntries: false,
+			config: '',
+			sandbox: {},
 		});
 	});
 	it('TP-7: Max iterations short equals', () => {
 		assert.deepEqual(parseArgs(['input.js', '-m=2']), {
 			inputFilename: 'input.js',
+			inputFilenames: ['input.js'],
 			help: false,
 			clean: false,
 			quiet: false,
 			verbose: false,
 			outputToFile: false,
 			maxIterations: 2,
-			outputFilename: 'input.js-deob.js'
+			outputFilename: 'input.js-deob.js',
+			outDir: '',
+			jobs: false,
+			report: '',
+			only: [],
+			skip: [],
+			safeOnly: false,
+			captureSideEffects: false,
+			verify: false,
+			listModules: false,
+			sourceMap: false,
+			unpackBundleDir: '',
+			evalCacheDir: '',
+			evalCacheMaxEntries: false,
+			config: '',
+			sandbox: {},
 		});
 	});
 	it('TP-8: Max iterations short split', () => {
 		assert.deepEqual(parseArgs(['input.js', '-m', '2']), {
 			inputFilename: 'input.js',
+			inputFilenames: ['input.js'],
 			help: false,
 			clean: false,
 			quiet: false,
 			verbose: false,
 			outputToFile: false,
 			maxIterations: 2,
-			outputFilename: 'input.js-deob.js'
+			outputFilename: 'input.js-deob.js',
+			outDir: '',
+			jobs: false,
+			report: '',
+			only: [],
+			skip: [],
+			safeOnly: false,
+			captureSideEffects: false,
+			verify: false,
+			listModules: false,
+			sourceMap: false,
+			unpackBundleDir: '',
+			evalCacheDir: '',
+			evalCacheMaxEntries: false,
+			config: '',
+			sandbox: {},
 		});
 	});
 	it('TP-9: Max iterations long equals', () => {
 		assert.deepEqual(parseArgs(['input.js', '--max-iterations=2']), {
 			inputFilename: 'input.js',
+			inputFilenames: ['input.js'],
 			help: false,
 			clean: false,
 			quiet: false,
 			verbose: false,
 			outputToFile: false,
 			maxIterations: 2,
-			outputFilename: 'input.js-deob.js'
+			outputFilename: 'input.js-deob.js',
+			outDir: '',
+			jobs: false,
+			report: '',
+			only: [],
+			skip: [],
+			safeOnly: false,
+			captureSideEffects: false,
+			verify: false,
+			listModules: false,
+			sourceMap: false,
+			unpackBundleDir: '',
+			evalCacheDir: '',
+			evalCacheMaxEntries: false,
+			config: '',
+			sandbox: {},
 		});
 	});
 	it('TP-10: Max iterations long split', () => {
 		assert.deepEqual(parseArgs(['input.js', '--max-iterations', '2']), {
 			inputFilename: 'input.js',
+			inputFilenames: ['input.js'],
 			help: false,
 			clean: false,
 			quiet: false,
 			verbose: false,
 			outputToFile: false,
 			maxIterations: 2,
-			outputFilename: 'input.js-deob.js'
+			outputFilename: 'input.js-deob.js',
+			outDir: '',
+			jobs: false,
+			report: '',
+			only: [],
+			skip: [],
+			safeOnly: false,
+			captureSideEffects: false,
+			verify: false,
+			listModules: false,
+			sourceMap: false,
+			unpackBundleDir: '',
+			evalCacheDir: '',
+			evalCacheMaxEntries: false,
+			config: '',
+			sandbox: {},
 		});
 	});
-});
\ No newline at end of file
+	it('TP-11: Multiple inputs, output directory and jobs', () => {
+		assert.deepEqual(parseArgs(['a.js', 'samples/', '--out-dir', 'out', '-j', '4']), {
+			inputFilename: 'a.js',
+			inputFilenames: ['a.js', 'samples/'],
+			help: false,
+			clean: false,
+			quiet: false,
+			verbose: false,
+			outputToFile: false,
+			maxIterations: false,
+			outputFilename: 'a.js-deob.js',
+			outDir: 'out',
+			jobs: 4,
+			report: '',
+			only: [],
+			skip: [],
+			safeOnly: false,
+			captureSideEffects: false,
+			verify: false,
+			listModules: false,
+			sourceMap: false,
+			unpackBundleDir: '',
+			evalCacheDir: '',
+			evalCacheMaxEntries: false,
+			config: '',
+			sandbox: {},
+		});
+	});
+	it('TN-1: Invalid jobs', () => {
+		assert.strictEqual(parseArgs(['input.js', '--jobs=0']).jobs, null);
+	});
+	it('TP-12: JSON report', () => {
+		assert.strictEqual(parseArgs(['input.js', '--report', 'json']).report, 'json');
+		assert.strictEqual(parseArgs(['input.js', '--report=json']).report, 'json');
+	});
+	it('TN-2: Unknown report format', () => {
+		assert.strictEqual(parseArgs(['input.js', '--report', 'xml']).report, '');
+	});
+	it('TP-13: Read from stdin explicitly', () => {
+		const opts = parseArgs(['-', '-o']);
+		assert.strictEqual(opts.inputFilename, STDIN_FILENAME);
+		assert.deepStrictEqual(opts.inputFilenames, [STDIN_FILENAME]);
+		assert.strictEqual(opts.outputFilename, 'stdin-deob.js');
+		assert.ok(opts.outputToFile);
+	});
+	it('TP-14: Read from stdin when no filename is given and stdin is piped', () => {
+		const isTTY = process.stdin.isTTY;
+		try {
+			process.stdin.isTTY = false;
+			assert.strictEqual(parseArgs(['-q']).inputFilename, STDIN_FILENAME);
+			process.stdin.isTTY = true;
+			assert.strictEqual(parseArgs(['-q']).inputFilename, '');
+		} finally {
+			process.stdin.isTTY = isTTY;
+		}
+	});
+	it('TP-15: Module selection', () => {
+		const opts = parseArgs(['input.js', '--only', 'a,b', '--only=c', '--skip', 'd', '--safe-only']);
+		assert.deepStrictEqual(opts.only, ['a', 'b', 'c']);
+		assert.deepStrictEqual(opts.skip, ['d']);
+		assert.ok(opts.safeOnly);
+	});
+	it('TP-16: Listing modules does not require an input filename', () => {
+		const opts = parseArgs(['--list-modules']);
+		assert.ok(opts.listModules);
+		assert.deepStrictEqual(opts.inputFilenames, []);
+	});
+	it('TP-17: Source map', () => {
+		const opts = parseArgs(['input.js', '-o', '--source-map']);
+		assert.ok(opts.sourceMap);
+		assert.strictEqual(opts.outputFilename, 'input.js-deob.js');
+	});
+	it('TP-18: Sandbox options', () => {
+		const opts = parseArgs([
+			'input.js', '--sandbox-timeout', '200', '--sandbox-memory-limit=64',
+			'--sandbox-block', 'JSON,Proxy', '--sandbox-allow', 'navigator',
+			'--sandbox-global', 'key=5', '--sandbox-global', 'name=REstringer', '--sandbox-global', 'location={"host":"a.b"}',
+		]);
+		assert.deepStrictEqual(opts.sandbox, {
+			timeout: 200,
+			memoryLimit: 64,
+			blockedGlobals: ['JSON', 'Proxy'],
+			allowedGlobals: ['navigator'],
+			globals: {key: 5, name: 'REstringer', location: {host: 'a.b'}},
+		});
+	});
+	it('TP-20: Capture side effects', () => {
+		assert.ok(parseArgs(['input.js', '--capture-side-effects']).captureSideEffects);
+		assert.ok(new REstringer('', undefined, parseArgs(['input.js', '--capture-side-effects'])).captureSideEffects);
+	});
+	it('TP-19: Sandbox seed and epoch', () => {
+		const opts = parseArgs(['input.js', '--sandbox-seed', '42', '--sandbox-epoch', '0']);
+		assert.deepStrictEqual(opts.sandbox, {seed: 42, epoch: 0});
+		const randomSeed = parseArgs(['input.js', '--sandbox-seed']).sandbox.seed;
+		assert.ok(Number.isSafeInteger(randomSeed) && randomSeed >= 0);
+	});
+	it('TP-21: Eval cache', () => {
+		const dir = mkdtempSync(join(tmpdir(), 'restringer-eval-cache-'));
+		try {
+			const opts = parseArgs(['input.js', '--eval-cache', dir, '--eval-cache-max-entries', '50']);
+			assert.strictEqual(opts.evalCacheDir, dir);
+			assert.strictEqual(opts.evalCacheMaxEntries, 50);
+			const restringer = new REstringer('', undefined, opts);
+			assert.strictEqual(restringer.evalCache.dir, dir);
+			assert.strictEqual(restringer.evalCache.maxEntries, 50);
+			assert.strictEqual(new REstringer('', undefined, parseArgs(['input.js'])).evalCache, null);
+			assert.strictEqual(parseArgs(['input.js', '--eval-cache-max-entries', '0']).inputFilename, '');
+		} finally {
+			rmSync(dir, {recursive: true, force: true});
+		}
+	});
+	it('TP-22: Verify', () => {
+		assert.ok(parseArgs(['input.js', '--verify']).verify);
+		assert.ok(new REstringer('', undefined, parseArgs(['input.js', '--verify'])).verify);
+		assert.ok(!new REstringer('', undefined, parseArgs(['input.js'])).verify);
+	});
+	it('TP-23: Unpack bundle', () => {
+		assert.strictEqual(parseArgs(['input.js', '--unpack-bundle', 'modules']).unpackBundleDir, 'modules');
+		assert.ok(new REstringer('', undefined, {unpackBundles: true}).unpackBundles);
+		assert.ok(!new REstringer('', undefined, parseArgs(['input.js'])).unpackBundles);
+	});
+	it('TN-9: Invalid sandbox options', () => {
+		assert.strictEqual(parseArgs(['input.js', '--sandbox-timeout', '0']).inputFilename, '');
+		assert.strictEqual(parseArgs(['input.js', '--sandbox-global', 'novalue']).inputFilename, '');
+		assert.strictEqual(parseArgs(['input.js', '--sandbox-epoch', 'now']).inputFilename, '');
+	});
+});
+describe('Module selection tests', () => {
+	it('TP-1: Only the selected modules run, in the given order', () => {
+		const restringer = configureRestringer(new REstringer(''), {only: ['resolveDefiniteBinaryExpressions', 'unwrapIIFEs', 'rearrangeSequences']});
+		assert.deepStrictEqual(restringer.safeMethods.map(m => m.name), ['unwrapIIFEs', 'rearrangeSequences']);
+		assert.deepStrictEqual(restringer.unsafeMethods.map(m => m.name), ['resolveDefiniteBinaryExpressions']);
+	});
+	it('TP-2: Skipped modules do not run', () => {
+		const defaults = new REstringer('');
+		const restringer = configureRestringer(new REstringer(''), {skip: ['unwrapIIFEs', 'resolveDefiniteBinaryExpressions']});
+		assert.strictEqual(restringer.safeMethods.length, defaults.safeMethods.length - 1);
+		assert.strictEqual(restringer.unsafeMethods.length, defaults.unsafeMethods.length - 1);
+		assert.ok(!restringer.safeMethods.concat(restringer.unsafeMethods).some(m => ['unwrapIIFEs', 'resolveDefiniteBinaryExpressions'].includes(m.name)));
+	});
+	it('TP-3: Safe only', () => {
+		assert.ok(configureRestringer(new REstringer(''), {safeOnly: true}).safeOnly);
+		assert.ok(!configureRestringer(new REstringer(''), {}).safeOnly);
+	});
+	it('TP-4: Selected modules are applied', () => {
+		const restringer = configureRestringer(new REstringer('var a = 1 + 2; var b = `x`;'), {only: ['parseTemplateLiteralsIntoStringLiterals']});
+		restringer.logger.setLogLevelNone();
+		restringer.deobfuscate();
+		assert.strictEqual(restringer.script, `var a = 1 + 2;\nvar b = 'x';`);
+	});
+	it('TP-5: List modules', () => {
+		const restringer = new REstringer('');
+		const listing = listModules(restringer);
+		assert.ok(listing.startsWith(`Safe modules:\n  rearrangeSequences\n`));
+		assert.ok(restringer.unsafeMethods.every(m => listing.includes(`  ${m.name}`)));
+	});
+	it('TN-1: Unknown modules throw', () => {
+		assert.throws(() => configureRestringer(new REstringer(''), {only: ['unwrapIIFEs', 'noSuchModule']}), /Unknown modules: noSuchModule/);
+		assert.throws(() => configureRestringer(new REstringer(''), {skip: ['alsoMissing']}), /Unknown modules: alsoMissing/);
+	});
+});
+describe('Config tests', () => {
+	const tmpDir = mkdtempSync(join(tmpdir(), 'restringer-config-'));
+	after(() => rmSync(tmpDir, {recursive: true, force: true}));
+
+	it('TP-1: JSON configuration file is found in the directory and loaded', () => {
+		const dir = join(tmpDir, 'json');
+		mkdirSync(dir);
+		assert.strictEqual(findConfigFile(dir), '');
+		writeFileSync(join(dir, '.restringerrc'), JSON.stringify({skip: ['resolveLocalCalls'], sandbox: {timeout: 200}}));
+		const filename = findConfigFile(dir);
+		assert.strictEqual(filename, join(dir, '.restringerrc'));
+		assert.deepStrictEqual(loadConfig(filename), {skip: ['resolveLocalCalls'], sandbox: {timeout: 200}});
+	});
+	it('TP-2: JS configuration file is loaded', () => {
+		const filename = join(tmpDir, '.restringerrc.cjs');
+		writeFileSync(filename, `module.exports = {maxIterations: 10, normalize: false};`);
+		assert.deepStrictEqual(loadConfig(filename), {maxIterations: 10, normalize: false});
+	});
+	it('TP-10: JS configuration file in an ES module project is loaded', () => {
+		const dir = join(tmpDir, 'esm');
+		mkdirSync(dir);
+		writeFileSync(join(dir, 'package.json'), JSON.stringify({type: 'module'}));
+		const filename = join(dir, '.restringerrc.js');
+		writeFileSync(filename, `export default {maxIterations: 10, normalize: false};`);
+		if (process.features.require_module) assert.deepStrictEqual(loadConfig(filename), {maxIterations: 10, normalize: false});
+		else assert.throws(() => loadConfig(filename), /Use a \.cjs or JSON configuration file instead/);
+	});
+	it('TP-3: No configuration file means no settings', () => {
+		assert.deepStrictEqual(loadConfig(''), {});
+	});
+	it('TP-4: Command line options take precedence over the configuration file', () => {
+		const settings = {only: ['unwrapIIFEs'], skip: ['resolveLocalCalls'], clean: true, normalize: false};
+		const merged = mergeConfig(settings, parseArgs(['input.js', '--skip', 'simplifyCalls']));
+		assert.deepStrictEqual(merged.only, ['unwrapIIFEs']);
+		assert.deepStrictEqual(merged.skip, ['simplifyCalls']);
+		assert.strictEqual(merged.clean, true);
+		assert.strictEqual(merged.normalize, false);
+		assert.strictEqual(merged.inputFilename, 'input.js');
+	});
+	it('TP-8: Sandbox options are merged one by one', () => {
+		const settings = {sandbox: {timeout: 100, memoryLimit: 64, globals: {a: 1, b: 2}}};
+		const merged = mergeConfig(settings, parseArgs(['input.js', '--sandbox-timeout', '300', '--sandbox-global', 'b=3']));
+		assert.deepStrictEqual(merged.sandbox, {timeout: 300, memoryLimit: 64, globals: {a: 1, b: 3}});
+		assert.deepStrictEqual(mergeConfig(settings, parseArgs(['input.js'])).sandbox, settings.sandbox);
+	});
+	it('TP-5: Settings are applied by the constructor', () => {
+		const restringer = new REstringer('', undefined, {
+			skip: ['resolveLocalCalls'],
+			safeOnly: true,
+			clean: true,
+			normalize: false,
+			maxRuntime: 1000,
+			sandbox: {timeout: 200},
+			skipIdentifiers: ['String'],
+		});
+		assert.ok(!restringer.unsafeMethods.some(m => m.name === 'resolveLocalCalls'));
+		assert.ok(restringer.safeOnly);
+		assert.ok(restringer.clean);
+		assert.ok(!restringer.normalize);
+		assert.strictEqual(restringer.maxRuntime, 1000);
+		assert.deepStrictEqual(restringer.sandboxOptions, {timeout: 200});
+		assert.deepStrictEqual(restringer.skipIdentifiers, ['String']);
+		assert.ok(new REstringer('', true, {normalize: false}).normalize);
+	});
+	it('TP-6: Skip lists apply to their instance only', () => {
+		const code = `var a = String.fromCharCode(97);`;
+		const restringer = new REstringer(code, undefined, {skipIdentifiers: ['String']});
+		restringer.logger.setLogLevelNone();
+		restringer.deobfuscate();
+		assert.strictEqual(restringer.script, code);
+		const defaultRestringer = new REstringer(code);
+		defaultRestringer.logger.setLogLevelNone();
+		defaultRestringer.deobfuscate();
+		assert.strictEqual(defaultRestringer.script, `var a = 'a';`);
+	});
+	it('TP-7: Skip lists are restored', () => {
+		const original = [...SKIP_IDENTIFIERS];
+		const inside = runWithSkipLists({skipIdentifiers: ['x']}, () => [...SKIP_IDENTIFIERS]);
+		assert.deepStrictEqual(inside, ['x']);
+		assert.deepStrictEqual(SKIP_IDENTIFIERS, original);
+	});
+	it('TP-9: Max iterations apply to their instance only', () => {
+		const defaultMaxIterations = DEFAULT_MAX_ITERATIONS.value;
+		const restringer = new REstringer('', undefined, {maxIterations: 3});
+		assert.strictEqual(restringer.maxIterations.value, 3);
+		assert.strictEqual(new REstringer('').maxIterations.value, defaultMaxIterations);
+		assert.strictEqual(DEFAULT_MAX_ITERATIONS.value, defaultMaxIterations);
+	});
+	it('TN-1: Unknown settings throw', () => {
+		const filename = join(tmpDir, 'unknown.json');
+		writeFileSync(filename, JSON.stringify({maxIteration: 10}));
+		assert.throws(() => loadConfig(filename), /Unknown setting 'maxIteration'/);
+	});
+	it('TN-2: Settings of the wrong type throw', () => {
+		const filename = join(tmpDir, 'invalid.json');
+		writeFileSync(filename, JSON.stringify({sandbox: {timeout: '200'}}));
+		assert.throws(() => loadConfig(filename), /Setting 'timeout' .* must be of type number/);
+		writeFileSync(filename, JSON.stringify({sandbox: {globals: ['a']}}));
+		assert.throws(() => loadConfig(filename), /Setting 'globals' .* must be of type object/);
+	});
+	it('TN-3: Missing and malformed configuration files throw', () => {
+		const filename = join(tmpDir, 'malformed.json');
+		writeFileSync(filename, '{');
+		assert.throws(() => loadConfig(filename), /Unable to parse/);
+		assert.throws(() => loadConfig(join(tmpDir, 'missing.json')), /Configuration file not found/);
+	});
+	it('TN-4: The constructor does not read the configuration file in the working directory', () => {
+		const dir = join(tmpDir, 'cwd');
+		mkdirSync(dir);
+		writeFileSync(join(dir, '.restringerrc'), '{');
+		const cwd = process.cwd();
+		process.chdir(dir);
+		try {
+			assert.strictEqual(new REstringer('').normalize, true);
+		} finally {
+			process.chdir(cwd);
+		}
+	});
+});
+describe('Report tests', () => {
+	it('TP-1: Report describes the run', () => {
+		const code = `var a = '2' + 3;`;
+		const restringer = new REstringer(code);
+		restringer.logger.setLogLevelNone();
+		const modified = restringer.deobfuscate();
+		const report = createReport(restringer, {inputFilename: 'a.js', inputScript: code, modified, seconds: 0.5});
+		assert.deepStrictEqual(report, {
+			version: REstringer.__version__,
+			inputFilename: 'a.js',
+			inputHash: '23a7ce7a5851387d5979a94216eb43ad3a0c5569e0673587d060ad371eb9cb3c',
+			obfuscationType: 'Generic',
+			modified: true,
+			elapsedSeconds: 0.5,
+			iterations: 2,
+			methodHits: {resolveDefiniteBinaryExpressions: 1},
+			budgetExceeded: null,
+			skippedTransformations: [],
+			sandboxLimitsExceeded: [],
+			seed: null,
+			epoch: null,
+			sideEffects: [],
+			sandboxMetrics: {sandboxesCreated: 1, isolatesCreated: 1, isolatesReused: 0},
+			verification: null,
+			rollbacks: [],
+			protections: [],
+			bundle: null,
+			script: `var a = '23';`,
+		});
+	});
+	it('TP-2: Report includes the seed of the deterministic Date and Math.random', () => {
+		const restringer = new REstringer(`var a = 1;`, undefined, {sandbox: {seed: 7}});
+		restringer.logger.setLogLevelNone();
+		const modified = restringer.deobfuscate();
+		const report = createReport(restringer, {inputFilename: 'a.js', inputScript: `var a = 1;`, modified, seconds: 0});
+		assert.strictEqual(report.seed, 7);
+		assert.strictEqual(report.epoch, Date.UTC(2024, 0, 1));
+	});
+});
+describe('Verification tests', () => {
+	it('TP-1: Behavior includes the result, errors and side effects other than evaluated code', () => {
+		assert.deepStrictEqual(captureBehavior(`eval('console.log(1)'); try {fetch('https://a.b/' + Math.random());} catch {} [2, 'b'];`), {
+			result: '[2,"b"]',
+			error: null,
+			sideEffects: [
+				{type: 'console.log', value: '1'},
+				{type: 'fetch', value: 'https://a.b/0.26642920868471265'},
+			],
+		});
+		assert.deepStrictEqual(captureBehavior(`document.title = 'x'; missing();`, {seed: 5}), {
+			result: null,
+			error: 'ReferenceError: missing is not defined',
+			sideEffects: [],
+		});
+		assert.strictEqual(captureBehavior(`(function() {})`).result, '[function]');
+	});
+	it('TP-2: Differences are listed by kind, with the first differing side effect', () => {
+		const original = {result: '1', error: null, sideEffects: [{type: 'console.log', value: 'a'}, {type: 'console.log', value: 'b'}]};
+		assert.deepStrictEqual(compareBehavior(original, original), []);
+		assert.deepStrictEqual(compareBehavior(original, {result: null, error: 'Error: x', sideEffects: [{type: 'console.log', value: 'a'}]}), [
+			{kind: 'result', original: '1', deobfuscated: null},
+			{kind: 'error', original: null, deobfuscated: 'Error: x'},
+			{kind: 'sideEffect', index: 1, original: {type: 'console.log', value: 'b'}, deobfuscated: null},
+		]);
+	});
+	it('TP-3: The step which introduced a difference is found', () => {
+		const scripts = [`console.log(1 + 1);`, `console.log(2);`, `console.log(3);`, `console.log(3);`];
+		const steps = scripts.slice(0, -1).map((scriptBefore, i) => ({phase: 'safe', iteration: 1, method: `m${i}`, scriptBefore}));
+		const verification = verifyEquivalence(scripts[0], scripts[3], {steps});
+		assert.strictEqual(verification.equivalent, false);
+		assert.deepStrictEqual(verification.introducedBy, {phase: 'safe', iteration: 1, method: 'm1'});
+		assert.deepStrictEqual(verification.divergences, [
+			{kind: 'sideEffect', index: 0, original: {type: 'console.log', value: '2'}, deobfuscated: {type: 'console.log', value: '3'}},
+		]);
+	});
+	it('TN-1: Equivalent scripts', () => {
+		assert.deepStrictEqual(verifyEquivalence(`eval('var a = 1'); console.log(a);`, `var a = 1; console.log(a);`),
+			{equivalent: true, divergences: [], introducedBy: null});
+	});
+});
+describe('Batch tests', () => {
+	const tmpDir = mkdtempSync(join(tmpdir(), 'restringer-batch-'));
+	mkdirSync(join(tmpDir, 'sub'));
+	writeFileSync(join(tmpDir, 'a.js'), `var a = '2' + 3;`);
+	writeFileSync(join(tmpDir, 'sub', 'b.js'), `var b = 1;`);
+	writeFileSync(join(tmpDir, 'sub', 'b.js-deob.js'), `var b = 1;`);
+	writeFileSync(join(tmpDir, 'notes.txt'), `not a script`);
+	after(() => rmSync(tmpDir, {recursive: true, force: true}));
+
+	it('TP-1: Directories are expanded to the scripts they contain', () => {
+		assert.deepStrictEqual(expandInputPaths([tmpDir]), [join(tmpDir, 'a.js'), join(tmpDir, 'sub', 'b.js')]);
+	});
+	it('TP-2: Glob patterns are expanded', () => {
+		assert.deepStrictEqual(expandInputPaths([`${tmpDir}/**/*.js`]), [join(tmpDir, 'a.js'), join(tmpDir, 'sub', 'b.js')]);
+		assert.deepStrictEqual(expandInputPaths([`${tmpDir}/*.js`]), [join(tmpDir, 'a.js')]);
+	});
+	it('TP-3: Files are used as is and duplicates are removed', () => {
+		const notes = join(tmpDir, 'notes.txt');
+		assert.deepStrictEqual(expandInputPaths([notes, tmpDir, notes]), [notes, join(tmpDir, 'a.js'), join(tmpDir, 'sub', 'b.js')]);
+	});
+	it('TN-1: Missing inputs throw', () => {
+		assert.throws(() => expandInputPaths([join(tmpDir, 'missing.js')]), /No input files found/);
+		assert.throws(() => expandInputPaths([`${tmpDir}/*.ts`]), /No input files found/);
+	});
+	it('TP-4: Glob to RegExp', () => {
+		assert.ok(globToRegExp('s/**/*.js').test('s/a/b/c.js'));
+		assert.ok(globToRegExp('s/**/*.js').test('s/c.js'));
+		assert.ok(!globToRegExp('s/*.js').test('s/a/c.js'));
+		assert.ok(globToRegExp('s/?.js').test('s/c.js'));
+		assert.ok(!globToRegExp('s/?.js').test('s/cc.js'));
+	});
+	it('TP-5: Output filenames', () => {
+		assert.strictEqual(getOutputFilename('a/b.js'), 'a/b.js-deob.js');
+		assert.strictEqual(getOutputFilename('a/b.js', 'out'), join('out', 'b.js-deob.js'));
+		assert.strictEqual(getOutputFilename('a/c/b.js', 'out', 'a'), join('out', 'c', 'b.js-deob.js'));
+		assert.strictEqual(getCommonBaseDir([`${sep}x${sep}a${sep}b.js`, `${sep}x${sep}c.js`]), `${sep}x`);
+	});
+	it('TP-6: Summary table', () => {
+		const table = formatSummaryTable([
+			{inputFilename: 'a.js', modified: true, obfuscationName: 'obfuscator.io', seconds: 1.2, error: ''},
+			{inputFilename: 'long/b.js', modified: false, obfuscationName: '', seconds: 0, error: 'boom'},
+		]);
+		assert.strictEqual(table, [
+			'File       Changed  Obfuscation    Time (s)',
+			'a.js       yes      obfuscator.io  1.200',
+			'long/b.js  error    -              0.000',
+			'[-] long/b.js: boom',
+		].join('\n'));
+	});
+	it('TP-7: Files are deobfuscated in workers and written to the output directory', async () => {
+		const outDir = join(tmpDir, 'out');
+		const inputFilenames = [join(tmpDir, 'a.js'), join(tmpDir, 'sub', 'b.js')];
+		const results = await runBatch(inputFilenames, {...parseArgs(inputFilenames), outDir, jobs: 2});
+		assert.deepStrictEqual(results.map(r => [r.inputFilename, r.modified, r.obfuscationName, r.error]), [
+			[inputFilenames[0], true, 'Generic', ''],
+			[inputFilenames[1], false, 'Generic', ''],
+		]);
+		assert.strictEqual(readFileSync(join(outDir, 'a.js-deob.js'), 'utf-8'), `var a = '23';`);
+		assert.ok(!existsSync(join(outDir, 'sub', 'b.js-deob.js')));
+		assert.ok(results.every(r => r.report === undefined));
+	});
+	it('TP-8: Batch results include reports when requested', async () => {
+		const inputFilenames = [join(tmpDir, 'a.js')];
+		const results = await runBatch(inputFilenames, {...parseArgs(inputFilenames), outDir: join(tmpDir, 'out2'), report: 'json'});
+		assert.strictEqual(results[0].report.inputFilename, inputFilenames[0]);
+		assert.strictEqual(results[0].report.script, `var a = '23';`);
+	});
+	it('TP-9: Source maps are written next to the output files when requested', async () => {
+		const inputFilenames = [join(tmpDir, 'a.js')];
+		const outDir = join(tmpDir, 'out3');
+		await runBatch(inputFilenames, {...parseArgs([...inputFilenames, '--source-map']), outDir});
+		const map = JSON.parse(readFileSync(join(outDir, 'a.js-deob.js.map'), 'utf-8'));
+		assert.strictEqual(map.version, 3);
+		assert.deepStrictEqual(map.sources, ['../a.js']);
+		assert.strictEqual(map.file, 'a.js-deob.js');
+		assert.strictEqual(readFileSync(join(outDir, 'a.js-deob.js'), 'utf-8'), `var a = '23';\n//# sourceMappingURL=a.js-deob.js.map`);
+	});
+});
+describe('Source map tests', () => {
+	it('TP-1: Mappings are encoded and decoded', () => {
+		const mappings = [[[0, 0, 0], [4, 0, 4], [8, 1, 0]], [], [[2, 0, 30], [3, 2, 1]]];
+		const encoded = encodeMappings(mappings);
+		assert.strictEqual(encoded, 'AAAA,IAAI,IACJ;;EAD8B,CAE7B');
+		assert.deepStrictEqual(decodeMappings(encoded), mappings);
+	});
+	it('TP-2: Mappings are composed', () => {
+		const outer = [[[0, 0, 0], [6, 0, 9], [10, 1, 0]]];
+		const inner = [[[0, 0, 0], [8, 2, 4]], [[0, 3, 3]]];
+		assert.deepStrictEqual(composeMappings(outer, inner), [[[0, 0, 0], [6, 2, 4], [10, 3, 3]]]);
+	});
+	it('TP-3: Identity mappings', () => {
+		assert.deepStrictEqual(createIdentityMappings('a;\nb;'), [[[0, 0, 0]], [[0, 1, 0]]]);
+	});
+	it('TN-1: Unmapped positions are dropped when composing', () => {
+		assert.deepStrictEqual(composeMappings([[[0, 0, 5], [3, 4, 0]]], [[[6, 0, 0]]]), [[]]);
+	});
+});
+describe('Bundle tests', () => {
+	const tmpDir = mkdtempSync(join(tmpdir(), 'restringer-bundle-'));
+	after(() => rmSync(tmpDir, {recursive: true, force: true}));
+	it('TP-1: Webpack bootstrap with an array of modules', () => {
+		const code = `!function(e) {var t = {}; function n(r) {if (t[r]) return t[r].exports; var o = t[r] = {exports: {}};
+e[r].call(o.exports, o, o.exports, n); return o.exports;} n(n.s = 1);}([
+function(e) {e.exports = 2;},
+function(e, t, n) {var a = n(0); console.log(a);},
+]);`;
+		assert.deepStrictEqual(unpackBundle(code), {
+			format: 'webpack',
+			entries: [1],
+			modules: [
+				{id: 0, params: ['e'], dependencies: [], source: 'e.exports = 2;'},
+				{id: 1, params: ['e', 't', 'n'], dependencies: [0], source: 'var a = n(0);\nconsole.log(a);'},
+			],
+		});
+	});
+	it('TP-2: Webpack bootstrap with a module map variable', () => {
+		const code = `(() => {
+var __webpack_modules__ = {
+	'./src/a.js': (module) => module.exports = 'a',
+	'./src/index.js': (module, exports, __webpack_require__) => {console.log(__webpack_require__('./src/a.js'));},
+};
+function __webpack_require__(moduleId) {
+	var module = {exports: {}};
+	__webpack_modules__[moduleId](module, module.exports, __webpack_require__);
+	return module.exports;
+}
+__webpack_require__('./src/index.js');
+})();`;
+		assert.deepStrictEqual(unpackBundle(code), {
+			format: 'webpack',
+			entries: ['./src/index.js'],
+			modules: [
+				{id: './src/a.js', params: ['module'], dependencies: [], source: `module.exports = 'a';`},
+				{id: './src/index.js', params: ['module', 'exports', '__webpack_require__'], dependencies: ['./src/a.js'],
+					source: `console.log(__webpack_require__('./src/a.js'));`},
+			],
+		});
+	});
+	it('TP-3: Modules of all webpack chunks are collected', () => {
+		const code = `(self.webpackChunk = self.webpackChunk || []).push([[1], {10: (e, t, r) => {r(20);}}]);
+(window.webpackJsonp = window.webpackJsonp || []).push([[2], {20: function(e) {e.exports = 1;}}, [[10, 1]]]);`;
+		assert.deepStrictEqual(unpackBundle(code), {
+			format: 'webpack',
+			entries: [10],
+			modules: [
+				{id: 10, params: ['e', 't', 'r'], dependencies: [20], source: 'r(20);'},
+				{id: 20, params: ['e'], dependencies: [], source: 'e.exports = 1;'},
+			],
+		});
+	});
+	it('TP-4: Browserify bundle', () => {
+		const code = `(function() {function r(e, n, t) {/* prelude */} return r;})()({
+1: [function(require, module, exports) {var b = require('./b');}, {'./b': 2, 'fs': false}],
+2: [function(require, module, exports) {exports.b = 1;}, {}],
+}, {}, [1]);`;
+		assert.deepStrictEqual(unpackBundle(code), {
+			format: 'browserify',
+			entries: [1],
+			modules: [
+				{id: 1, params: ['require', 'module', 'exports'], dependencies: [2], source: `var b = require('./b');`},
+				{id: 2, params: ['require', 'module', 'exports'], dependencies: [], source: 'exports.b = 1;'},
+			],
+		});
+	});
+	it('TP-5: Bundle is unpacked after deobfuscation when requested', () => {
+		const code = `(function(m) {function r(i) {var o = {exports: {}}; m[i].call(o.exports, o, o.exports, r); return o.exports;}
+r(r.s = 0);})([function(e, t, n) {console.log('a' + 'b');}]);`;
+		const restringer = new REstringer(code, undefined, {unpackBundles: true});
+		restringer.logger.setLogLevelNone();
+		restringer.deobfuscate();
+		assert.deepStrictEqual(restringer.bundle.modules.map(m => m.source), [`console.log('ab');`]);
+	});
+	it('TP-6: Modules are written to a directory along with a manifest', () => {
+		const outDir = join(tmpDir, 'modules');
+		const written = writeBundle({format: 'webpack', entries: ['./src/index.js'], modules: [
+			{id: './src/index.js', params: ['e', 't', 'n'], dependencies: [5], source: 'n(5);'},
+			{id: 5, params: ['e'], dependencies: [], source: 'e.exports = 5;'},
+			{id: 'src/index', params: [], dependencies: [], source: ''},
+		]}, outDir);
+		assert.deepStrictEqual(written, ['src_index.js', '5.js', 'src_index-1.js'].map(f => join(outDir, f)));
+		assert.strictEqual(readFileSync(join(outDir, 'src_index.js'), 'utf-8'), 'n(5);');
+		assert.deepStrictEqual(JSON.parse(readFileSync(join(outDir, 'manifest.json'), 'utf-8')), {
+			format: 'webpack',
+			entries: ['./src/index.js'],
+			modules: [
+				{id: './src/index.js', file: 'src_index.js', params: ['e', 't', 'n'], dependencies: [5]},
+				{id: 5, file: '5.js', params: ['e'], dependencies: []},
+				{id: 'src/index', file: 'src_index-1.js', params: [], dependencies: []},
+			],
+		});
+	});
+	it('TN-1: Objects of functions which are not module maps are not unpacked', () => {
+		assert.strictEqual(unpackBundle(`var a = {x: function() {}, y: function(b) {}}; a.x();`), null);
+		assert.strictEqual(unpackBundle(`var m = [function() {}]; m[0]();`), null);
+		assert.strictEqual(new REstringer(`var a = 1;`).bundle, null);
+	});
+	it('TN-2: Calls shaped like a Browserify prelude call which are not bundles are not unpacked', () => {
+		const code = `(function() {})()({1: foo}, {}, [1]);`;
+		assert.strictEqual(unpackBundle(code), null);
+		const restringer = new REstringer(code, undefined, {unpackBundles: true});
+		restringer.logger.setLogLevelNone();
+		restringer.deobfuscate();
+		assert.strictEqual(restringer.bundle, null);
+	});
+});